@@ -37,15 +37,103 @@ var STYLES = {
     rawImage:  null,
     dateRange: { start: null, end: null },
     cloudCover: 5,
-    compositeMethod: 'Median',  // For Sentinel-1 / Sentinel-2
-    waterIndex: 'MNDWI',         // For Sentinel-2
+    compositeMethod: 'median',
+    compositePercentile: 25,     // For percentile composites
+    compositeScore: 'water',     // Quality mosaic score
+    waterIndex: 'MNDWI',         // For optical sensors
+    assetId: '',                 // User image asset
+    assetBands: 'B2, B3, B4, B8, B11, B12',  // Its bands in BAND_ROLES order
+    assetReflectanceScale: 0.0001,           // Factor converting them to reflectance
+    assetScale: 10,              // Its resolution (m)
     waterBodySizeThreshold: 10,
     smoothingKernelSize: 2,
     smoothingIterations: 2,
-    coastalBuffer: 1.0,
+    smoothingMethod: 'chaikin',
+    simplifyTolerance: 5,        // Douglas-Peucker tolerance in meters (0 = off)
+    coastalBuffer: 1.0,          // Lagoon search distance from the sea (km)
+    seaSource: 'edge',
+    landMaskAsset: '',
+    shorelineClasses: ['sea', 'lagoon'],
     sarVotesRequired: 2,
+    detectionApproach: 'threshold',  // 'threshold' or 'supervised'
+    classifier: {
+      type: 'randomForest',
+      trees: 100
+    },
+    trainingSamples: null,       // {water, land} geometries drawn by the user
+    classifierReport: null,      // Accuracy and importance of the last classifier
+    sarSpeckleFilter: 'none',
+    sarKernelSize: 5,
+    sarOrbitPass: 'BOTH',
+    sarRelativeOrbits: '',       // Comma-separated relative orbit numbers
+    sarAngleNormalization: false,
+    sarReferenceAngle: 38,       // Degrees
     useCustomThreshold: false,
-    waterThreshold: 0
+    waterThreshold: 0,
+    thresholdMethod: 'otsu',
+    thresholdValues: {},         // Thresholds computed in the last run
+    s2CloudMask: 'QA60',
+    landsatCloudMask: 'QA_PIXEL',
+    hlsCloudMask: 'Fmask',
+    modisCloudMask: 'StateQA',
+    cloudBuffer: 50,             // Cloud/shadow dilation (m)
+    cloudProbability: 50,        // s2cloudless probability threshold (%)
+    landsatArchive: 'OLI',
+    shorelineExtraction: 'raster',
+    waterSurface: null,          // Signed index surface for contour extraction
+    analysisMode: 'single',      // 'single', 'series' or 'occurrence'
+    occurrenceLevels: [10, 50, 90],  // Iso-frequency shoreline levels (%)
+    timeSeriesWindow: 'yearly',
+    shorelineHistory: [],        // Every shoreline produced in this session
+    changeAnalysis: {
+      baselineMode: 'auto',
+      baselineOffset: 200,
+      baselinePlacement: 'offshore',
+      transectSpacing: 50,
+      transectLength: 1000
+    },
+    changeResults: null,
+    validation: {
+      referenceAsset: '',
+      pointsAsset: '',
+      classProperty: 'water',    // 0 = land, 1 = water
+      tolerance: 10,             // Meters
+      transectSpacing: 50,
+      searchDistance: 200        // Half transect length (m)
+    },
+    validationResults: null,
+    fusion: {
+      sensors: ['sentinel1', 'sentinel2'],
+      weights: {sentinel1: 1, sentinel2: 1, landsat: 1},
+      threshold: 0.5,            // Weighted water fraction
+      used: []                   // Sensors that had imagery in the last run
+    },
+    tide: {
+      enabled: false,
+      source: 'csv',
+      csv: '',
+      assetId: '',
+      timeColumn: 'timestamp',
+      levelColumn: 'level',
+      constituents: '',
+      epoch: '2000-01-01T00:00:00Z',
+      meanLevel: 0,
+      minLevel: -0.5,
+      maxLevel: 0.5,
+      correct: false,
+      datumLevel: 0,
+      slopeSource: 'dem',
+      slopeDegrees: 5
+    },
+    tideCorrection: null,        // Level, slope and offset of the last correction
+    batch: {
+      assetId: '',
+      idProperty: 'id',
+      method: 'sentinel2',
+      start: '',
+      end: '',
+      output: 'perAoi'           // 'perAoi' or 'merged'
+    }
   };
 
   /** Resets the state for a new run */
@@ -55,17 +143,105 @@ var STYLES = {
     state.rawImage = null;
     state.dateRange = { start: null, end: null };
     state.cloudCover = 5;
-    state.compositeMethod = 'Median';
+    state.compositeMethod = 'median';
+    state.compositePercentile = 25;
+    state.compositeScore = 'water';
     state.waterIndex = 'MNDWI';
+    state.assetId = '';
+    state.assetBands = 'B2, B3, B4, B8, B11, B12';
+    state.assetReflectanceScale = 0.0001;
+    state.assetScale = 10;
 
     // New advanced settings with defaults
     state.waterBodySizeThreshold = 10;
     state.smoothingKernelSize = 2;
     state.smoothingIterations = 2;
+    state.smoothingMethod = 'chaikin';
+    state.simplifyTolerance = 5;
     state.coastalBuffer = 1.0;
+    state.seaSource = 'edge';
+    state.landMaskAsset = '';
+    state.shorelineClasses = ['sea', 'lagoon'];
     state.sarVotesRequired = 2;
+    state.detectionApproach = 'threshold';
+    state.classifier = {
+      type: 'randomForest',
+      trees: 100
+    };
+    state.trainingSamples = null;
+    state.classifierReport = null;
+    state.sarSpeckleFilter = 'none';
+    state.sarKernelSize = 5;
+    state.sarOrbitPass = 'BOTH';
+    state.sarRelativeOrbits = '';
+    state.sarAngleNormalization = false;
+    state.sarReferenceAngle = 38;
     state.useCustomThreshold = false;
     state.waterThreshold = 0;
+    state.thresholdMethod = 'otsu';
+    state.thresholdValues = {};
+    state.s2CloudMask = 'QA60';
+    state.landsatCloudMask = 'QA_PIXEL';
+    state.hlsCloudMask = 'Fmask';
+    state.modisCloudMask = 'StateQA';
+    state.cloudBuffer = 50;
+    state.cloudProbability = 50;
+    state.landsatArchive = 'OLI';
+    state.shorelineExtraction = 'raster';
+    state.waterSurface = null;
+    state.analysisMode = 'single';
+    state.occurrenceLevels = [10, 50, 90];
+    state.timeSeriesWindow = 'yearly';
+    state.shorelineHistory = [];
+    state.changeAnalysis = {
+      baselineMode: 'auto',
+      baselineOffset: 200,
+      baselinePlacement: 'offshore',
+      transectSpacing: 50,
+      transectLength: 1000
+    };
+    state.changeResults = null;
+    state.validation = {
+      referenceAsset: '',
+      pointsAsset: '',
+      classProperty: 'water',
+      tolerance: 10,
+      transectSpacing: 50,
+      searchDistance: 200
+    };
+    state.validationResults = null;
+    state.fusion = {
+      sensors: ['sentinel1', 'sentinel2'],
+      weights: {sentinel1: 1, sentinel2: 1, landsat: 1},
+      threshold: 0.5,
+      used: []
+    };
+    state.tide = {
+      enabled: false,
+      source: 'csv',
+      csv: '',
+      assetId: '',
+      timeColumn: 'timestamp',
+      levelColumn: 'level',
+      constituents: '',
+      epoch: '2000-01-01T00:00:00Z',
+      meanLevel: 0,
+      minLevel: -0.5,
+      maxLevel: 0.5,
+      correct: false,
+      datumLevel: 0,
+      slopeSource: 'dem',
+      slopeDegrees: 5
+    };
+    state.tideCorrection = null;
+    state.batch = {
+      assetId: '',
+      idProperty: 'id',
+      method: 'sentinel2',
+      start: '',
+      end: '',
+      output: 'perAoi'
+    };
   }
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -85,7 +261,8 @@ var STYLES = {
     style: {width: '360px'}
   });
 
-  ui.root.add(ui.SplitPanel({firstPanel: map, secondPanel: sidebarPanel}));
+  var appSplitPanel = ui.SplitPanel({firstPanel: map, secondPanel: sidebarPanel});
+  ui.root.add(appSplitPanel);
 
   // Create a help panel that can be toggled
   var helpPanel = ui.Panel({
@@ -216,6 +393,21 @@ var STYLES = {
     }
   }
 
+  /**
+   * Finds an entry by value in a list of {label, value, description} options.
+   * @param {Array<Object>} options - Option list
+   * @param {string} value - Value to look up
+   * @returns {Object} Matching option, or the first option as default
+   */
+  function findOption(options, value) {
+    for (var i = 0; i < options.length; i++) {
+      if (options[i].value === value) {
+        return options[i];
+      }
+    }
+    return options[0];
+  }
+
   /**
    * Returns the optimal scale (in meters) for processing.
    * Automatically adjusts resolution based on area size to prevent computation errors
@@ -248,1235 +440,6750 @@ var STYLES = {
   }
 
   // ─────────────────────────────────────────────────────────────────────────────
-  // SHORELINE DETECTION ALGORITHMS
+  // THRESHOLDING
   // ─────────────────────────────────────────────────────────────────────────────
 
   /**
-   * Detects water bodies from Sentinel-1 SAR imagery using:
-   * - Otsu thresholding on VV and VH bands
-   * - Otsu threshold on VV/VH ratio
-   * - Majority vote to produce binary water mask
+   * Automatic water/land thresholding methods shared by all detectors.
    */
-  function detectWaterFromSAR(image) {
-    // Helper for Otsu threshold
-    function getOtsuThreshold(img, bandName) {
-      var hist = img.select(bandName).reduceRegion({
-        reducer: ee.Reducer.histogram({maxBuckets: 256, minBucketWidth: 0.001}),
-        geometry: state.aoi,
-        scale: 10,  // Maintain S1's native resolution
-        maxPixels: 1e13,  // Increased for better precision
-        bestEffort: true
-      }).get(bandName);
-
-      // Otsu Implementation
-      function otsu(histDict) {
-        var counts = ee.Array(ee.Dictionary(histDict).get('histogram'));
-        var means  = ee.Array(ee.Dictionary(histDict).get('bucketMeans'));
-        var size   = means.length().get([0]);
-        var total  = counts.reduce(ee.Reducer.sum(), [0]).get([0]);
-        var sum    = means.multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]);
-        var mean   = sum.divide(total);
-        var indices= ee.List.sequence(1, size.subtract(1));
-
-        var bss = indices.map(function(i) {
-          var aCounts = counts.slice(0, 0, i);
-          var aCount  = aCounts.reduce(ee.Reducer.sum(), [0]).get([0]);
-          var aMeans  = means.slice(0, 0, i);
-          var aMean   = aMeans.multiply(aCounts)
-                        .reduce(ee.Reducer.sum(), [0]).get([0])
-                        .divide(aCount);
-          var bCount  = total.subtract(aCount);
-          var bMean   = sum.subtract(aCount.multiply(aMean)).divide(bCount);
-          return aCount.multiply(aMean.subtract(mean).pow(2))
-                 .add(bCount.multiply(bMean.subtract(mean).pow(2)));
-        });
+  var THRESHOLD_METHODS = [
+    {
+      label: 'Otsu (global)',
+      value: 'otsu',
+      description: 'Classic Otsu on the histogram of the whole area. Works best when water and land cover similar shares of the scene.'
+    },
+    {
+      label: 'Edge-guided Otsu',
+      value: 'edgeOtsu',
+      description: 'Otsu on pixels sampled near Canny edges only. Robust when water or land dominates the scene.'
+    },
+    {
+      label: 'Multi-level Otsu',
+      value: 'multiOtsu',
+      description: 'Splits the histogram into three classes and keeps the mixed class (wet sand, shallows) on the land side.'
+    },
+    {
+      label: 'Kittler-Illingworth (minimum error)',
+      value: 'kittler',
+      description: 'Fits two Gaussian classes and minimizes the classification error. Handles unequal class sizes and spreads.'
+    }
+  ];
 
-        var maxIndex = ee.List(bss).indexOf(ee.List(bss).reduce(ee.Reducer.max()));
-        return means.get([maxIndex]);
-      }
+  // Canny parameters for edge-guided Otsu (applied to a 2-98% stretched band)
+  var EDGE_OTSU = {
+    cannyThreshold: 0.3,
+    cannySigma: 1,
+    bufferPixels: 3
+  };
 
-      return ee.Number(otsu(hist));
-    }
+  /**
+   * Looks up a thresholding method by value.
+   * @param {string} value - Method value from THRESHOLD_METHODS
+   * @returns {Object} Method entry, defaults to global Otsu
+   */
+  function getThresholdMethod(value) {
+    return findOption(THRESHOLD_METHODS, value);
+  }
 
-    // Otsu thresholds on VV, VH
-    var vvDb = image.select('VV');
-    var vvThreshold = getOtsuThreshold(image, 'VV');
-    var vvWater = vvDb.lt(vvThreshold);
+  /**
+   * Computes the histogram of a single band over a region.
+   * @returns {ee.Dictionary} Histogram dictionary (histogram, bucketMeans, ...)
+   */
+  function getHistogram(image, bandName, region, scale) {
+    return image.select(bandName).reduceRegion({
+      reducer: ee.Reducer.histogram({maxBuckets: 256, minBucketWidth: 0.001}),
+      geometry: region,
+      scale: scale,
+      maxPixels: 1e13,  // Increased for better precision
+      bestEffort: true
+    }).get(bandName);
+  }
 
-    var vhDb = image.select('VH');
-    var vhThreshold = getOtsuThreshold(image, 'VH');
-    var vhWater = vhDb.lt(vhThreshold);
+  /**
+   * Computes the histogram of a band sampled only near Canny edges.
+   * The band is stretched to 0-1 first so one Canny threshold fits
+   * water indices, reflectance and SAR backscatter alike.
+   */
+  function getEdgeHistogram(image, bandName, region, scale) {
+    var band = image.select(bandName);
+    var range = band.reduceRegion({
+      reducer: ee.Reducer.percentile([2, 98]),
+      geometry: region,
+      scale: scale,
+      maxPixels: 1e13,
+      bestEffort: true
+    });
+    var low = ee.Number(range.get(bandName + '_p2'));
+    var high = ee.Number(range.get(bandName + '_p98'));
+    var stretched = band.subtract(low).divide(high.subtract(low).max(1e-6));
+
+    var edges = ee.Algorithms.CannyEdgeDetector({
+      image: stretched,
+      threshold: EDGE_OTSU.cannyThreshold,
+      sigma: EDGE_OTSU.cannySigma
+    });
+    var nearEdges = edges.gt(0)
+      .focal_max(EDGE_OTSU.bufferPixels * scale, 'square', 'meters');
 
-    // VV/VH ratio
-    var vvLinear = ee.Image.constant(10).pow(vvDb.divide(10));
-    var vhLinear = ee.Image.constant(10).pow(vhDb.divide(10));
-    var ratio = vvLinear.divide(vhLinear).rename('ratio');
-    var ratioThreshold = getOtsuThreshold(ratio, 'ratio');
-    var ratioWater = ratio.gt(ratioThreshold);
+    return getHistogram(band.updateMask(nearEdges), bandName, region, scale);
+  }
 
-    // Use user-defined voting threshold
-    var waterMask = vvWater.add(vhWater).add(ratioWater)
-      .gte(state.sarVotesRequired)
-      .rename('water');
-    return waterMask.updateMask(waterMask);
+  /**
+   * Otsu threshold: maximizes the between-class variance of a histogram.
+   * @returns {ee.Number} Threshold value
+   */
+  function otsu(histDict) {
+    var counts = ee.Array(ee.Dictionary(histDict).get('histogram'));
+    var means  = ee.Array(ee.Dictionary(histDict).get('bucketMeans'));
+    var size   = means.length().get([0]);
+    var total  = counts.reduce(ee.Reducer.sum(), [0]).get([0]);
+    var sum    = means.multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]);
+    var mean   = sum.divide(total);
+    var indices= ee.List.sequence(1, size.subtract(1));
+
+    var bss = indices.map(function(i) {
+      var aCounts = counts.slice(0, 0, i);
+      var aCount  = aCounts.reduce(ee.Reducer.sum(), [0]).get([0]);
+      var aMeans  = means.slice(0, 0, i);
+      var aMean   = aMeans.multiply(aCounts)
+                    .reduce(ee.Reducer.sum(), [0]).get([0])
+                    .divide(aCount);
+      var bCount  = total.subtract(aCount);
+      var bMean   = sum.subtract(aCount.multiply(aMean)).divide(bCount);
+      return aCount.multiply(aMean.subtract(mean).pow(2))
+             .add(bCount.multiply(bMean.subtract(mean).pow(2)));
+    });
+
+    var maxIndex = ee.List(bss).indexOf(ee.List(bss).reduce(ee.Reducer.max()));
+    return ee.Number(means.get([maxIndex]));
   }
 
   /**
-   * Calculates specified water index for Sentinel-2 imagery.
+   * Three-class Otsu threshold. Returns the threshold separating the water
+   * class from the middle (mixed) class, so mixed pixels stay on land.
+   * @param {boolean} waterIsHigh - True if water has the higher values
+   * @returns {ee.Number} Threshold value
    */
-  function calculateWaterIndex(image, indexName) {
-    switch(indexName) {
-      case 'Band8':
-        return image.select('B8').rename('water_index');
-      case 'NDWI':
-        return image.normalizedDifference(['B3', 'B8']).rename('water_index');
-      case 'MNDWI':
-        return image.normalizedDifference(['B3', 'B11']).rename('water_index');
-      case 'AWEInsh':
-        return image.expression(
-          '4 * (GREEN - SWIR1) - (0.25 * NIR + 2.75 * SWIR2)',
-          {
-            'GREEN': image.select('B3'),
-            'SWIR1': image.select('B11'),
-            'NIR':   image.select('B8'),
-            'SWIR2': image.select('B12')
-          }
-        ).rename('water_index');
-      case 'AWEIsh':
-        return image.expression(
-          'BLUE + 2.5 * GREEN - 1.5 * (NIR + SWIR1) - 0.25 * SWIR2',
-          {
-            'BLUE':  image.select('B2'),
-            'GREEN': image.select('B3'),
-            'NIR':   image.select('B8'),
-            'SWIR1': image.select('B11'),
-            'SWIR2': image.select('B12')
-          }
-        ).rename('water_index');
-      case 'SMBWI':
-        return image.expression(
-          '(B2 + B3 + B4) / (B8 + B11 + B12)',
-          {
-            'B2':  image.select('B2'),
-            'B3':  image.select('B3'),
-            'B4':  image.select('B4'),
-            'B8':  image.select('B8'),
-            'B11': image.select('B11'),
-            'B12': image.select('B12')
-          }
-        ).rename('water_index');
-      case 'WRI':
-        return image.expression(
-          '(GREEN + RED) / (NIR + SWIR1)',
-          {
-            'GREEN': image.select('B3'),
-            'RED':   image.select('B4'),
-            'NIR':   image.select('B8'),
-            'SWIR1': image.select('B11')
-          }
-        ).rename('water_index');
-      case 'NDWI2':
-        return image.normalizedDifference(['B8', 'B11']).rename('water_index');
+  function multiLevelOtsu(histDict, waterIsHigh) {
+    var counts = ee.Array(ee.Dictionary(histDict).get('histogram'));
+    var means  = ee.Array(ee.Dictionary(histDict).get('bucketMeans'));
+    var size   = means.length().get([0]);
+    var total  = counts.reduce(ee.Reducer.sum(), [0]).get([0]);
+    var sum    = means.multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]);
+
+    // Cumulative weights and first moments; rows index the first cut (i),
+    // columns the second cut (j). Class 0 = [0..i], 1 = (i..j], 2 = (j..n)
+    var cumCount = counts.accum(0);
+    var cumSum   = means.multiply(counts).accum(0);
+    var countI = cumCount.reshape([size, 1]).repeat(1, size);
+    var countJ = cumCount.reshape([1, size]).repeat(0, size);
+    var sumI   = cumSum.reshape([size, 1]).repeat(1, size);
+    var sumJ   = cumSum.reshape([1, size]).repeat(0, size);
+
+    var w0 = countI;
+    var w1 = countJ.subtract(countI);
+    var w2 = countJ.multiply(-1).add(total);
+    var s0 = sumI;
+    var s1 = sumJ.subtract(sumI);
+    var s2 = sumJ.multiply(-1).add(sum);
+
+    // Maximizing sum(s_k^2 / w_k) is equivalent to maximizing the
+    // between-class variance, since the total mean is constant
+    var score = s0.pow(2).divide(w0.max(1e-10))
+      .add(s1.pow(2).divide(w1.max(1e-10)))
+      .add(s2.pow(2).divide(w2.max(1e-10)));
+
+    var index = ee.Array(ee.List.sequence(0, size.subtract(1)));
+    var valid = index.reshape([1, size]).repeat(0, size)
+      .gt(index.reshape([size, 1]).repeat(1, size));
+
+    var best = score.multiply(valid).argmax();
+    var i = ee.Number(best.get(0));
+    var j = ee.Number(best.get(1));
+
+    return ee.Number(waterIsHigh ? means.get([j]) : means.get([i.add(1)]));
+  }
+
+  /**
+   * Kittler-Illingworth minimum-error threshold, assuming two Gaussian classes.
+   * @returns {ee.Number} Threshold value
+   */
+  function kittlerIllingworth(histDict) {
+    var counts = ee.Array(ee.Dictionary(histDict).get('histogram'));
+    var means  = ee.Array(ee.Dictionary(histDict).get('bucketMeans'));
+    var total  = counts.reduce(ee.Reducer.sum(), [0]).get([0]);
+    var sum    = means.multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]);
+    var sumSq  = means.pow(2).multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]);
+
+    // Class 1 = buckets [0..t], class 2 = buckets (t..n)
+    var c1 = counts.accum(0);
+    var s1 = means.multiply(counts).accum(0);
+    var q1 = means.pow(2).multiply(counts).accum(0);
+    var c2 = c1.multiply(-1).add(total);
+    var s2 = s1.multiply(-1).add(sum);
+    var q2 = q1.multiply(-1).add(sumSq);
+
+    var p1 = c1.divide(total).max(1e-10);
+    var p2 = c2.divide(total).max(1e-10);
+    var m1 = s1.divide(c1.max(1e-10));
+    var m2 = s2.divide(c2.max(1e-10));
+    var v1 = q1.divide(c1.max(1e-10)).subtract(m1.pow(2)).max(1e-10);
+    var v2 = q2.divide(c2.max(1e-10)).subtract(m2.pow(2)).max(1e-10);
+
+    // J(t) = 1 + 2[P1 ln(s1) + P2 ln(s2)] - 2[P1 ln(P1) + P2 ln(P2)]
+    var criterion = p1.multiply(v1.log()).add(p2.multiply(v2.log()))
+      .subtract(p1.multiply(p1.log()).add(p2.multiply(p2.log())).multiply(2))
+      .add(1);
+
+    // Exclude cuts that leave a class empty or without spread
+    var valid = c1.gt(0).and(c2.gt(0)).and(v1.gt(1e-9)).and(v2.gt(1e-9));
+    var penalized = criterion.multiply(valid).add(valid.not().multiply(1e12));
+
+    // Place the threshold on the boundary between the last low bucket and
+    // the first high one, so gt(threshold) keeps bucket t in the low class
+    var t = ee.Number(penalized.multiply(-1).argmax().get(0));
+    return ee.Number(means.get([t])).add(means.get([t.add(1)])).divide(2);
+  }
+
+  /**
+   * Computes a water/land threshold for one band using state.thresholdMethod.
+   * The value is recorded in state.thresholdValues for display.
+   * @param {ee.Image} image - Image containing the band
+   * @param {string} bandName - Band to threshold
+   * @param {Object} options - {region, scale, waterIsHigh, label}
+   * @returns {ee.Number} Threshold value
+   */
+  function computeThreshold(image, bandName, options) {
+    var hist = getHistogram(image, bandName, options.region, options.scale);
+    var threshold;
+
+    switch(state.thresholdMethod) {
+      case 'edgeOtsu':
+        var edgeHist = getEdgeHistogram(image, bandName, options.region, options.scale);
+        // Fall back to the global histogram if no edges were found
+        threshold = ee.Algorithms.If(edgeHist, otsu(edgeHist), otsu(hist));
+        break;
+      case 'multiOtsu':
+        threshold = multiLevelOtsu(hist, options.waterIsHigh);
+        break;
+      case 'kittler':
+        threshold = kittlerIllingworth(hist);
+        break;
       default:
-        // Default to MNDWI
-        return image.normalizedDifference(['B3', 'B11']).rename('water_index');
+        threshold = otsu(hist);
     }
+
+    threshold = ee.Number(threshold);
+    state.thresholdValues[options.label || bandName] = threshold;
+    return threshold;
   }
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // LANDSAT ARCHIVE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  // Common band scheme (OLI numbering) shared by all Landsat missions
+  var LANDSAT_COMMON_BANDS = ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7'];
+
   /**
-   * Detects water from Sentinel-2 using Otsu threshold on the chosen water index.
+   * Landsat Collection 2 Level-2 missions. `bands` lists the native
+   * blue, green, red, NIR, SWIR1 and SWIR2 bands in LANDSAT_COMMON_BANDS order.
    */
-  function detectWaterFromOptical(image, indexName) {
-    var waterIndex = calculateWaterIndex(image, indexName);
+  var LANDSAT_MISSIONS = {
+    L5: {
+      collection: 'LANDSAT/LT05/C02/T1_L2',
+      sensor: 'TM',
+      bands: ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7']
+    },
+    L7: {
+      collection: 'LANDSAT/LE07/C02/T1_L2',
+      sensor: 'ETM+',
+      bands: ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7']
+    },
+    L8: {
+      collection: 'LANDSAT/LC08/C02/T1_L2',
+      sensor: 'OLI',
+      bands: ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7']
+    },
+    L9: {
+      collection: 'LANDSAT/LC09/C02/T1_L2',
+      sensor: 'OLI-2',
+      bands: ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7']
+    }
+  };
 
-    if (state.useCustomThreshold) {
-      return waterIndex.gt(state.waterThreshold);
-    } else {
-      var hist = waterIndex.reduceRegion({
-        reducer: ee.Reducer.histogram({maxBuckets: 256, minBucketWidth: 0.001}),
-        geometry: state.aoi,
-        scale: 10,  // Maintain S2's native resolution
-        maxPixels: 1e13,  // Increased for better precision
-        bestEffort: true
-      }).get('water_index');
-
-      function otsu(histDict) {
-        var counts = ee.Array(ee.Dictionary(histDict).get('histogram'));
-        var means  = ee.Array(ee.Dictionary(histDict).get('bucketMeans'));
-        var size   = means.length().get([0]);
-        var total  = counts.reduce(ee.Reducer.sum(), [0]).get([0]);
-        var sum    = means.multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]);
-        var mean   = sum.divide(total);
-        var indices= ee.List.sequence(1, size.subtract(1));
-
-        var bss = indices.map(function(i) {
-          var aCounts = counts.slice(0, 0, i);
-          var aCount  = aCounts.reduce(ee.Reducer.sum(), [0]).get([0]);
-          var aMeans  = means.slice(0, 0, i);
-          var aMean   = aMeans.multiply(aCounts)
-                        .reduce(ee.Reducer.sum(), [0]).get([0])
-                        .divide(aCount);
-          var bCount  = total.subtract(aCount);
-          var bMean   = sum.subtract(aCount.multiply(aMean)).divide(bCount);
-          return aCount.multiply(aMean.subtract(mean).pow(2))
-                 .add(bCount.multiply(bMean.subtract(mean).pow(2)));
-        });
-        var maxBss = bss.reduce(ee.Reducer.max());
-        var idx = bss.indexOf(maxBss);
-        return means.get([idx]);
-      }
+  /**
+   * Selectable Landsat archives (combinations of missions).
+   */
+  var LANDSAT_ARCHIVES = [
+    {
+      label: 'Landsat 8/9 (2013-present)',
+      value: 'OLI',
+      missions: ['L8', 'L9'],
+      description: 'OLI and OLI-2 only. Best radiometry, shortest record.'
+    },
+    {
+      label: 'Landsat 5/7/8/9 (1984-present)',
+      value: 'ALL',
+      missions: ['L5', 'L7', 'L8', 'L9'],
+      description: 'Merges TM, ETM+, OLI and OLI-2 for long-term studies. ETM+ SLC-off gaps are masked and filled from other scenes.'
+    },
+    {
+      label: 'Landsat 8 only',
+      value: 'L8',
+      missions: ['L8'],
+      description: 'OLI only, as in earlier versions of this tool.'
+    }
+  ];
 
-      var threshold = ee.Number(otsu(hist));
+  // ETM+ scan line corrector failure date; later L7 scenes have data gaps
+  var L7_SLC_OFF_DATE = '2003-05-31';
 
-      // If using Band8, water is typically "lower" DN -> < threshold
-      if (indexName === 'Band8') {
-        return waterIndex.lt(threshold);
-      } else {
-        // For NDWI, MNDWI, AWEI, etc., water is "higher" -> > threshold
-        return waterIndex.gt(threshold);
-      }
+  /**
+   * Renames a Landsat C2 L2 image to the common band scheme and applies the
+   * surface reflectance scale factors. Fill pixels (including ETM+ SLC-off
+   * gaps) are masked, with one pixel of erosion around SLC-off gaps.
+   */
+  function harmonizeLandsat(image, mission) {
+    var reflectance = image.select(mission.bands, LANDSAT_COMMON_BANDS)
+      .multiply(0.0000275)
+      .add(-0.2);
+    var qa = image.select('QA_PIXEL');
+    var valid = qa.bitwiseAnd(1).eq(0);  // Bit 0: fill
+
+    if (mission.sensor === 'ETM+') {
+      var slcOff = ee.Date(image.get('system:time_start')).difference(ee.Date(L7_SLC_OFF_DATE), 'day').gte(0);
+      valid = ee.Image(ee.Algorithms.If(slcOff, valid.focal_min(1), valid));
     }
+
+    return ee.Image(reflectance.addBands(qa)
+      .updateMask(valid)
+      .copyProperties(image, ['system:time_start', 'CLOUD_COVER', 'SPACECRAFT_ID']));
   }
 
   /**
-   * Detects water in Landsat 8/9 using AWEI + Otsu thresholding.
+   * Builds a harmonized Landsat collection for the selected archive.
+   * @returns {ee.ImageCollection} Collection in the common band scheme
    */
-  function detectWaterFromLandsat(image) {
-    var awei = image.expression(
-      '4 * (GREEN - SWIR1) - (0.25 * NIR + 2.75 * SWIR2)', {
-        'GREEN': image.select('SR_B3'),
-        'NIR':   image.select('SR_B5'),
-        'SWIR1': image.select('SR_B6'),
-        'SWIR2': image.select('SR_B7')
-      }
-    ).rename('awei');
-
-    var hist = awei.reduceRegion({
-      reducer: ee.Reducer.histogram({maxBuckets: 256, minBucketWidth: 0.001}),
-      geometry: image.geometry(),
-      scale: 15,  // Use Landsat pan-sharpened resolution
-      maxPixels: 1e13,  // Increased for better precision
-      bestEffort: true
-    }).get('awei');
-
-    function otsu(histDict) {
-      var counts = ee.Array(ee.Dictionary(histDict).get('histogram'));
-      var means  = ee.Array(ee.Dictionary(histDict).get('bucketMeans'));
-      var size   = means.length().get([0]);
-      var total  = counts.reduce(ee.Reducer.sum(), [0]).get([0]);
-      var sum    = means.multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]);
-      var mean   = sum.divide(total);
-      var indices= ee.List.sequence(1, size.subtract(1));
-
-      var bss = indices.map(function(i) {
-        var aCounts = counts.slice(0, 0, i);
-        var aCount  = aCounts.reduce(ee.Reducer.sum(), [0]).get([0]);
-        var aMeans  = means.slice(0, 0, i);
-        var aMean   = aMeans.multiply(aCounts)
-                      .reduce(ee.Reducer.sum(), [0]).get([0])
-                      .divide(aCount);
-        var bCount  = total.subtract(aCount);
-        var bMean   = sum.subtract(aCount.multiply(aMean)).divide(bCount);
-        return aCount.multiply(aMean.subtract(mean).pow(2))
-               .add(bCount.multiply(bMean.subtract(mean).pow(2)));
-      });
-      var maxBss = bss.reduce(ee.Reducer.max());
-      var idx = bss.indexOf(maxBss);
-      return means.get([idx]);
-    }
+  function getLandsatCollection(region, startDate, endDate) {
+    var archive = findOption(LANDSAT_ARCHIVES, state.landsatArchive);
+    var merged = ee.ImageCollection([]);
+
+    archive.missions.forEach(function(key) {
+      var mission = LANDSAT_MISSIONS[key];
+      merged = merged.merge(ee.ImageCollection(mission.collection)
+        .filterBounds(region)
+        .filterDate(startDate, endDate)
+        .filter(ee.Filter.lt('CLOUD_COVER', state.cloudCover))
+        .map(function(image) {
+          return harmonizeLandsat(image, mission);
+        }));
+    });
 
-    var threshold = ee.Number(otsu(hist));
-    return awei.gt(threshold);
+    return merged.sort('system:time_start');
   }
 
   // ─────────────────────────────────────────────────────────────────────────────
-  // SHORELINE VECTOR GENERATION
+  // HLS & MODIS ARCHIVES
   // ─────────────────────────────────────────────────────────────────────────────
 
   /**
-   * Converts a binary water mask into vectorized shoreline features.
+   * Harmonized Landsat-Sentinel products. Both are delivered at 30 m in
+   * surface reflectance; band names differ, so each maps to the band roles.
    */
-  function vectorizeWaterMask(waterMask, geometry) {
-    // Calculate appropriate scale based on area
-    var scale = getAdaptiveScale(geometry, 'sentinel2');
-
-    // Use a larger tile size for faster processing
-    var tileSize = 0.2;  // 0.2 degrees
-
-    try {
-      // Clean up the water mask first - this reduces memory usage
-      // Use simpler focal operations for better compatibility
-      var cleaned = waterMask
-        .updateMask(waterMask.connectedPixelCount(state.waterBodySizeThreshold, true)
-        .gte(state.waterBodySizeThreshold))
-        .focal_max(state.smoothingKernelSize)
-        .focal_min(state.smoothingKernelSize);
+  var HLS_PRODUCTS = [
+    {
+      label: 'HLS L30 (Landsat 8/9)',
+      collection: 'NASA/HLS/HLSL30/v002',
+      bands: ['B2', 'B3', 'B4', 'B5', 'B6', 'B7']
+    },
+    {
+      label: 'HLS S30 (Sentinel-2)',
+      collection: 'NASA/HLS/HLSS30/v002',
+      bands: ['B2', 'B3', 'B4', 'B8A', 'B11', 'B12']   // Narrow NIR matches OLI band 5
+    }
+  ];
 
-      // Create boundary for coastal filtering with simplified buffer operations
-      var aoiBoundary = ee.Feature(geometry).geometry()
-        .buffer(state.coastalBuffer * 1000)
-        .difference(ee.Feature(geometry).geometry().buffer(-state.coastalBuffer * 1000));
+  // MODIS Terra 8-day surface reflectance (500 m)
+  var MODIS = {
+    collection: 'MODIS/061/MOD09A1',
+    bands: ['sur_refl_b03', 'sur_refl_b04', 'sur_refl_b01', 'sur_refl_b02', 'sur_refl_b06', 'sur_refl_b07']
+  };
 
-      // Break into smaller tiles for processing
-      var bounds = geometry.bounds();
-      var coords = ee.List(bounds.coordinates().get(0));
-      var xmin = ee.Number(ee.List(coords.get(0)).get(0));
-      var ymin = ee.Number(ee.List(coords.get(0)).get(1));
-      var xmax = ee.Number(ee.List(coords.get(2)).get(0));
-      var ymax = ee.Number(ee.List(coords.get(2)).get(1));
-
-      // Reduce number of tiles for better performance
-      var xTiles = xmax.subtract(xmin).divide(tileSize).ceil();
-      var yTiles = ymax.subtract(ymin).divide(tileSize).ceil();
-
-      // Create tiles with simplified geometry
-      var tiles = ee.List.sequence(0, xTiles.subtract(1)).map(function(x) {
-        return ee.List.sequence(0, yTiles.subtract(1)).map(function(y) {
-          return ee.Geometry.Rectangle([
-            xmin.add(ee.Number(x).multiply(tileSize)),
-            ymin.add(ee.Number(y).multiply(tileSize)),
-            xmin.add(ee.Number(x).add(1).multiply(tileSize)),
-            ymin.add(ee.Number(y).add(1).multiply(tileSize))
-          ]);
-        });
-      }).flatten();
+  /**
+   * Merges HLS L30 and S30 into one collection, renamed to the band roles.
+   * @returns {ee.ImageCollection} Collection with BLUE..SWIR2 and Fmask bands
+   */
+  function getHlsCollection(region, startDate, endDate) {
+    var merged = ee.ImageCollection([]);
 
-      // Process tiles with minimal parameters
-      var vectors = ee.FeatureCollection(tiles.map(function(tile) {
-        return cleaned.reduceToVectors({
-          geometry: ee.Geometry(tile),
-          scale: scale,
-          geometryType: 'polygon',
-          eightConnected: false,
-          maxPixels: 1e8,
-          tileScale: 2  // Reduced for better performance
-        });
-      })).flatten();
+    HLS_PRODUCTS.forEach(function(product) {
+      merged = merged.merge(ee.ImageCollection(product.collection)
+        .filterBounds(region)
+        .filterDate(startDate, endDate)
+        .filter(ee.Filter.lt('CLOUD_COVERAGE', state.cloudCover))
+        .map(function(image) {
+          return ee.Image(image.select(product.bands, BAND_ROLES)
+            .addBands(image.select('Fmask'))
+            .copyProperties(image, ['system:time_start', 'CLOUD_COVERAGE', 'SPACECRAFT_NAME']));
+        }));
+    });
 
-      // Filter and convert to shoreline with minimal operations
-      return vectors
-        .filter(ee.Filter.gt('area', 1e4))
-        .map(function(feat) {
-          var coords = ee.List(feat.geometry().coordinates().get(0));
-          var line = ee.Geometry.LineString(coords);
-          var coastal = line.intersects(aoiBoundary, ee.ErrorMargin(2));  // Increased error margin
-          return ee.Feature(line).set('isCoastal', coastal);
-        })
-        .filter(ee.Filter.eq('isCoastal', true));
+    return merged.sort('system:time_start');
+  }
 
-    } catch (e) {
-      console.error('Error in vectorization:', e);
-      updateStatus('Error during vectorization: ' + e.message, true);
-      return null;
-    }
+  /**
+   * Builds the MODIS collection. MOD09A1 has no scene cloud cover, so the
+   * share of cloudy StateQA pixels over the region stands in for it.
+   * @returns {ee.ImageCollection} Collection with the MODIS bands and StateQA
+   */
+  function getModisCollection(region, startDate, endDate) {
+    return ee.ImageCollection(MODIS.collection)
+      .filterDate(startDate, endDate)
+      .map(function(image) {
+        var cloudy = getModisCloudMask(image).reduceRegion({
+          reducer: ee.Reducer.mean(),
+          geometry: region,
+          scale: 500,
+          maxPixels: 1e9,
+          bestEffort: true
+        }).values().get(0);
+        return image.select(MODIS.bands.concat(['StateQA']))
+          .set('CLOUD_COVER', ee.Number(cloudy).multiply(100));
+      })
+      .filter(ee.Filter.lt('CLOUD_COVER', state.cloudCover));
   }
 
   // ─────────────────────────────────────────────────────────────────────────────
-  // UI WORKFLOW
+  // CLOUD & SHADOW MASKING
   // ─────────────────────────────────────────────────────────────────────────────
 
-  function initializeDrawing(map, callback, panel) {
-    map.drawingTools().setShown(true);
-    var drawingTools = map.drawingTools();
-    drawingTools.setShape('polygon');
-    drawingTools.setDrawModes(['polygon']);
-    drawingTools.layers().reset();
+  /**
+   * Per-pixel cloud masks available for Sentinel-2.
+   */
+  var S2_CLOUD_MASKS = [
+    {
+      label: 'QA60 (cloud + cirrus bits)',
+      value: 'QA60',
+      description: 'Uses the Level-1C QA60 band. Cloud shadows are estimated by projecting clouds along the sun azimuth.'
+    },
+    {
+      label: 'Scene Classification (SCL)',
+      value: 'SCL',
+      description: 'Uses the Level-2A SCL cloud, cirrus and shadow classes. Switches to surface reflectance imagery.'
+    },
+    {
+      label: 's2cloudless probability',
+      value: 's2cloudless',
+      description: 'Uses the Sentinel-2 cloud probability collection. Shadows are projected from the detected clouds.'
+    },
+    {
+      label: 'None',
+      value: 'none',
+      description: 'No per-pixel masking. Only the scene cloud cover filter is applied.'
+    }
+  ];
 
-    var dummyGeom = ui.Map.GeometryLayer({geometries: null, name: 'AOI'});
-    drawingTools.layers().add(dummyGeom);
-    drawingTools.draw();
+  /**
+   * Per-pixel cloud masks available for Landsat.
+   */
+  var LANDSAT_CLOUD_MASKS = [
+    {
+      label: 'QA_PIXEL (cloud, shadow, dilated cloud)',
+      value: 'QA_PIXEL',
+      description: 'Uses the Collection 2 QA_PIXEL bits for cloud, cirrus, cloud shadow and dilated cloud.'
+    },
+    {
+      label: 'None',
+      value: 'none',
+      description: 'No per-pixel masking. Only the scene cloud cover filter is applied.'
+    }
+  ];
 
-    panel.clear();
-    panel.add(ui.Label('Draw Study Area', STYLES.heading));
+  /**
+   * Per-pixel cloud masks available for HLS.
+   */
+  var HLS_CLOUD_MASKS = [
+    {
+      label: 'Fmask (cloud, shadow, adjacent)',
+      value: 'Fmask',
+      description: 'Uses the HLS Fmask bits for cirrus, cloud, cloud shadow and pixels adjacent to them.'
+    },
+    {
+      label: 'None',
+      value: 'none',
+      description: 'No per-pixel masking. Only the scene cloud cover filter is applied.'
+    }
+  ];
 
-    // Add drawing instructions with icon
-    var instructionsPanel = ui.Panel({
-      widgets: [
-        ui.Label(ICONS.info + ' Instructions:', {fontWeight: 'bold', margin: '4px 0'}),
-        ui.Label('1. Click points on map to draw your area of interest', {margin: '2px 0'}),
-        ui.Label('2. Complete the polygon by clicking on the first point', {margin: '2px 0'}),
-        ui.Label('3. Click "Confirm Selection" when finished', {margin: '2px 0'})
-      ],
-      style: {
-        padding: '8px',
-        backgroundColor: 'white',
-        border: '1px solid #ddd',
-        margin: '5px 0'
-      }
-    });
-    panel.add(instructionsPanel);
+  /**
+   * Per-pixel cloud masks available for MODIS.
+   */
+  var MODIS_CLOUD_MASKS = [
+    {
+      label: 'StateQA (cloud, shadow, cirrus)',
+      value: 'StateQA',
+      description: 'Uses the MOD09A1 StateQA cloud state, cloud shadow and cirrus bits.'
+    },
+    {
+      label: 'None',
+      value: 'none',
+      description: 'No per-pixel masking. Only the regional cloud cover filter is applied.'
+    }
+  ];
 
-    // Add drawing tips
-    panel.add(ui.Label({
-      value: ICONS.help + ' Tip: You can edit points by dragging them after drawing',
-      style: {fontSize: '12px', color: '#666', margin: '5px 0'}
-    }));
+  /**
+   * Cloud mask options and the state field holding the choice, per optical method.
+   */
+  var CLOUD_MASK_SETTINGS = {
+    sentinel2: {options: S2_CLOUD_MASKS, field: 's2CloudMask'},
+    landsat: {options: LANDSAT_CLOUD_MASKS, field: 'landsatCloudMask'},
+    hls: {options: HLS_CLOUD_MASKS, field: 'hlsCloudMask'},
+    modis: {options: MODIS_CLOUD_MASKS, field: 'modisCloudMask'}
+  };
 
-    var confirmButton = ui.Button({
-      label: 'Confirm Selection',
-      onClick: function() {
-        var geometry = drawingTools.layers().get(0).toGeometry();
-        if (!geometry) {
-          ui.alert('No Area Selected', 'Please draw an area first.');
-          updateStatus('No area selected. Please draw an area on the map.', true);
-          return;
-        }
-        updateStatus('Area selected successfully');
-        callback(ee.Geometry(geometry));
-      },
-      style: STYLES.button
-    });
+  // Cloud-shadow projection parameters for Sentinel-2
+  var S2_SHADOW = {
+    darkNirThreshold: 0.15,   // NIR reflectance below which a pixel may be shadow
+    projectionDistance: 1     // Maximum cloud-to-shadow distance (km)
+  };
 
-    var clearButton = ui.Button({
-      label: 'Clear Drawing',
-      onClick: function() {
-        drawingTools.layers().get(0).geometries().remove(0);
-        drawingTools.draw();
-        updateStatus('Drawing cleared. Please draw a new area.');
-      },
-      style: STYLES.button
-    });
+  /**
+   * Returns the Sentinel-2 collection ID matching the selected cloud mask.
+   * SCL is only available in Level-2A surface reflectance.
+   */
+  function getS2CollectionId() {
+    return state.s2CloudMask === 'SCL' ? 'COPERNICUS/S2_SR_HARMONIZED' : 'COPERNICUS/S2';
+  }
 
-    var buttonPanel = ui.Panel({
-      widgets: [confirmButton, clearButton],
-      layout: ui.Panel.Layout.flow('horizontal'),
-      style: {margin: '10px 0'}
-    });
-    panel.add(buttonPanel);
+  /**
+   * Grows a cloud/shadow mask by the configured buffer distance.
+   */
+  function dilateCloudMask(mask) {
+    if (!state.cloudBuffer) {
+      return mask;
+    }
+    return mask.focal_max(state.cloudBuffer, 'circle', 'meters');
   }
 
-  function showWelcome() {
-    resultsPanel.style().set('shown', false);
-    mainPanel.clear();
-    map.layers().reset();
-    map.setCenter(10, 51, 4);
+  /**
+   * Estimates Sentinel-2 cloud shadows by projecting clouds along the solar
+   * azimuth and keeping dark, non-water pixels in their path.
+   */
+  function getS2ShadowMask(image, clouds) {
+    var darkPixels = image.select('B8').lt(S2_SHADOW.darkNirThreshold * 1e4)
+      .and(image.normalizedDifference(['B3', 'B11']).lt(0));  // Keep open water
+    var shadowAzimuth = ee.Number(90).subtract(ee.Number(image.get('MEAN_SOLAR_AZIMUTH_ANGLE')));
+
+    var cloudProjection = clouds
+      .directionalDistanceTransform(shadowAzimuth, S2_SHADOW.projectionDistance * 10)
+      .reproject({crs: image.select(0).projection(), scale: 100})
+      .select('distance')
+      .mask();
+
+    return cloudProjection.and(darkPixels);
+  }
 
-    // App title with version - Fixed to use proper GEE styling properties
-    var titleLabel = ui.Label({
-      value: 'Shoreline Detection Software v1.0.1',
-      style: {
-        fontSize: '20px',
-        fontWeight: 'bold',
-        margin: '10px 0',
-        padding: '5px 0'
-      }
-    });
+  /**
+   * Masks clouds, cirrus and cloud shadows in a single Sentinel-2 image.
+   */
+  function maskS2Image(image) {
+    var clouds;
+    var shadows;
+
+    switch(state.s2CloudMask) {
+      case 'SCL':
+        var scl = image.select('SCL');
+        clouds = scl.eq(8).or(scl.eq(9)).or(scl.eq(10));  // Cloud medium/high, cirrus
+        shadows = scl.eq(3);
+        break;
+      case 's2cloudless':
+        clouds = ee.Image(image.get('s2cloudless')).select('probability')
+          .gt(state.cloudProbability);
+        shadows = getS2ShadowMask(image, clouds);
+        break;
+      default:
+        var qa = image.select('QA60');
+        clouds = qa.bitwiseAnd(1 << 10).neq(0)   // Opaque clouds
+          .or(qa.bitwiseAnd(1 << 11).neq(0));    // Cirrus
+        shadows = getS2ShadowMask(image, clouds);
+    }
 
-    // Add a separator panel instead of using borderBottom
-    var titleSeparator = ui.Panel({
-      style: {
-        height: '2px',
-        backgroundColor: '#4285F4',
-        margin: '0 0 10px 0',
-        stretch: 'horizontal'
-      }
-    });
+    return image.updateMask(dilateCloudMask(clouds.or(shadows)).not());
+  }
 
-    mainPanel.add(titleLabel);
-    mainPanel.add(titleSeparator);
+  /**
+   * Masks clouds, cirrus and cloud shadows in a single Landsat C2 L2 image.
+   */
+  function maskLandsatImage(image) {
+    var qa = image.select('QA_PIXEL');
+    var clouds = qa.bitwiseAnd(1 << 1).neq(0)   // Dilated cloud
+      .or(qa.bitwiseAnd(1 << 2).neq(0))         // Cirrus (OLI only)
+      .or(qa.bitwiseAnd(1 << 3).neq(0));        // Cloud
+    var shadows = qa.bitwiseAnd(1 << 4).neq(0);
+
+    return image.updateMask(dilateCloudMask(clouds.or(shadows)).not());
+  }
 
-    // Description panel
-    var descriptionPanel = ui.Panel({
-      widgets: [
-        ui.Label('Welcome to the Shoreline Detection Tool', STYLES.subheading),
-        ui.Label({
-          value: 'This application helps you detect shorelines from satellite imagery using ' +
-                 'multiple data sources and advanced techniques. The tool supports:',
-          style: {fontSize: '14px', margin: '5px 0'}
-        }),
-        ui.Label({
-          value: '• Sentinel-1 SAR radar data',
-          style: {fontSize: '13px', margin: '2px 0 2px 10px'}
-        }),
-        ui.Label({
-          value: '• Sentinel-2 optical imagery',
-          style: {fontSize: '13px', margin: '2px 0 2px 10px'}
-        }),
-        ui.Label({
-          value: '• Landsat 8/9 imagery',
-          style: {fontSize: '13px', margin: '2px 0 2px 10px'}
-        }),
-        ui.Label({
-          value: 'Start by clicking the button below and drawing your area of interest.',
-          style: {fontSize: '14px', margin: '10px 0 5px 0'}
-        })
-      ],
-      style: {
-        backgroundColor: 'white',
-        padding: '10px',
-        border: '1px solid #ddd',
-        margin: '5px 0 15px 0'
-      }
-    });
+  /**
+   * Applies the selected per-pixel cloud mask to a Sentinel-2 collection.
+   * For s2cloudless the matching probability image is joined to each scene.
+   */
+  function applyS2CloudMask(collection, region, startDate, endDate) {
+    if (state.s2CloudMask === 'none') {
+      return collection;
+    }
 
-    mainPanel.add(descriptionPanel);
+    if (state.s2CloudMask === 's2cloudless') {
+      var probability = ee.ImageCollection('COPERNICUS/S2_CLOUD_PROBABILITY')
+        .filterBounds(region)
+        .filterDate(startDate, endDate);
 
-    // Start button with icon
-    var startButton = ui.Button({
-      label: ICONS.next + ' Start Analysis',
-      onClick: function() {
-        updateStatus('Drawing mode activated. Please draw your area of interest.');
-        showDrawAOI();
-      },
-      style: STYLES.button
-    });
-    mainPanel.add(startButton);
+      collection = ee.ImageCollection(ee.Join.saveFirst('s2cloudless').apply({
+        primary: collection,
+        secondary: probability,
+        condition: ee.Filter.equals({leftField: 'system:index', rightField: 'system:index'})
+      }));
+    }
 
-    // Credits and about section
-    var aboutPanel = ui.Panel({
-      widgets: [
-        ui.Label('About', {fontWeight: 'bold', margin: '5px 0'}),
-        ui.Label({
-          value: 'This tool uses Earth Engine to process satellite data and ' +
-                 'extract shorelines automatically. It provides multiple water detection ' +
-                 'algorithms for different environments.',
-          style: {fontSize: '12px', color: '#666'}
-        })
-      ],
-      style: {
-        position: 'bottom-center',
-        margin: '20px 0 0 0',
-        padding: '10px',
-        fontSize: '11px',
-        border: '1px solid #eee'
-      }
-    });
-    mainPanel.add(aboutPanel);
+    return collection.map(maskS2Image);
+  }
 
-    updateStatus('Ready to start shoreline detection. Click "Start Analysis"');
+  /**
+   * Applies the selected per-pixel cloud mask to a Landsat collection.
+   */
+  function applyLandsatCloudMask(collection) {
+    if (state.landsatCloudMask === 'none') {
+      return collection;
+    }
+    return collection.map(maskLandsatImage);
   }
 
-  function showDrawAOI() {
-    initializeDrawing(map, function(geometry) {
-      state.aoi = geometry;
-      showMethodSelection();
-    }, mainPanel);
+  /**
+   * Masks clouds, cirrus and cloud shadows in a single HLS image.
+   */
+  function maskHlsImage(image) {
+    var fmask = image.select('Fmask');
+    var clouds = fmask.bitwiseAnd(1 << 0).neq(0)   // Cirrus
+      .or(fmask.bitwiseAnd(1 << 1).neq(0))         // Cloud
+      .or(fmask.bitwiseAnd(1 << 2).neq(0));        // Adjacent to cloud/shadow
+    var shadows = fmask.bitwiseAnd(1 << 3).neq(0);
+
+    return image.updateMask(dilateCloudMask(clouds.or(shadows)).not());
   }
 
-  function showMethodSelection() {
-    mainPanel.clear();
-    mainPanel.add(ui.Label('Select Detection Method', STYLES.heading));
+  /**
+   * Flags cloudy, cloud-shadow and cirrus pixels in a MOD09A1 image.
+   */
+  function getModisCloudMask(image) {
+    var qa = image.select('StateQA');
+    return qa.bitwiseAnd(3).eq(1)                  // Cloud state: cloudy
+      .or(qa.bitwiseAnd(3).eq(2))                  // Cloud state: mixed
+      .or(qa.bitwiseAnd(1 << 2).neq(0))            // Cloud shadow
+      .or(qa.rightShift(8).bitwiseAnd(3).gt(1));   // Average or high cirrus
+  }
 
-    var methods = [
-      {label: 'Sentinel-1 SAR', value: 'sentinel1'},
-      {label: 'Sentinel-2 Optical', value: 'sentinel2'},
-      {label: 'Landsat 8/9', value: 'landsat'},
-      {label: 'Process Asset', value: 'asset'}  // Add asset option
-    ];
+  /**
+   * Applies the selected per-pixel cloud mask to an HLS collection.
+   */
+  function applyHlsCloudMask(collection) {
+    if (state.hlsCloudMask === 'none') {
+      return collection;
+    }
+    return collection.map(maskHlsImage);
+  }
 
-    methods.forEach(function(method) {
-      mainPanel.add(ui.Button({
-        label: method.label,
-        onClick: function() {
-          state.shorelineMethod = method.value;
-          if (method.value === 'asset') {
-            addAssetSelector(mainPanel);
-          } else {
-            showDateCloudSettings(method.value);
-          }
-        },
-        style: STYLES.button
-      }));
+  /**
+   * Applies the selected per-pixel cloud mask to a MODIS collection.
+   */
+  function applyModisCloudMask(collection) {
+    if (state.modisCloudMask === 'none') {
+      return collection;
+    }
+    return collection.map(function(image) {
+      return image.updateMask(dilateCloudMask(getModisCloudMask(image)).not());
     });
-
-    mainPanel.add(ui.Button({
-      label: 'Back',
-      onClick: showDrawAOI,
-      style: STYLES.button
-    }));
   }
 
-  function showAdvancedSettings(method) {
-    mainPanel.clear();
-    mainPanel.add(ui.Label({
-      value: ICONS.settings + ' Advanced Settings',
-      style: STYLES.heading
-    }));
+  // ─────────────────────────────────────────────────────────────────────────────
+  // TIDES
+  // ─────────────────────────────────────────────────────────────────────────────
 
-    // Create a panel for all settings
-    var settingsPanel = ui.Panel({
-      style: {
-        padding: '10px',
-        backgroundColor: 'white',
-        border: '1px solid #ddd'
-      }
-    });
+  /**
+   * Sources of tide levels.
+   */
+  var TIDE_SOURCES = [
+    {
+      label: 'Tide table (paste CSV)',
+      value: 'csv',
+      description: 'Paste "timestamp,level" records separated by spaces, new lines or ";". ' +
+                   'Timestamps in ISO format (UTC), levels in metres.'
+    },
+    {
+      label: 'Tide table (asset)',
+      value: 'asset',
+      description: 'A table asset with one row per observation. Timestamps must be parseable by ee.Date.'
+    },
+    {
+      label: 'Harmonic constituents',
+      value: 'harmonic',
+      description: 'Enter "name:amplitude:phase" items, e.g. "M2:1.20:45, S2:0.40:80". ' +
+                   'Phases (degrees) are relative to the reference epoch.'
+    }
+  ];
 
-    // 1. Water Body Size Filter
-    var sizeHeader = createSectionHeader('Minimum Water Body Size',
-      'Controls the minimum size of water bodies to include in the analysis. ' +
-      'Higher values remove small ponds and noise, lower values keep more detail.');
+  /**
+   * Sources of the beach slope used for tidal correction.
+   */
+  var BEACH_SLOPE_SOURCES = [
+    {
+      label: 'From DEM (as in slope.js)',
+      value: 'dem',
+      description: 'Mean NASADEM slope within 200 m of the detected waterline.'
+    },
+    {
+      label: 'User-defined',
+      value: 'user',
+      description: 'Enter a beach slope in degrees, e.g. from a survey or the slope module.'
+    }
+  ];
 
-    settingsPanel.add(sizeHeader);
+  // Angular speeds (degrees per hour) of common tidal constituents
+  var TIDAL_CONSTITUENTS = {
+    M2: 28.9841042, S2: 30.0000000, N2: 28.4397295, K2: 30.0821373,
+    K1: 15.0410686, O1: 13.9430356, P1: 14.9589314, Q1: 13.3986609,
+    M4: 57.9682084, MS4: 58.9841042
+  };
 
-    var minSizeSlider = ui.Slider({
-      min: 5,
-      max: 100,
-      value: state.waterBodySizeThreshold,
-      step: 5,
-      style: {width: '300px'},
-      onChange: function(value) {
-        state.waterBodySizeThreshold = value;
+  var TIDE = {
+    noData: -9999,      // Tide level of scenes outside the tide table
+    maxOffset: 500,     // Largest horizontal correction applied (m)
+    slopeBuffer: 200    // Distance from the waterline used for DEM slope (m)
+  };
+
+  /**
+   * Parses pasted "timestamp,level" records (client-side).
+   * @returns {Object} {times, levels} sorted by time
+   */
+  function parseTideCsv(text) {
+    var records = [];
+    // "YYYY-MM-DD HH:MM" stamps are joined with a T first, since records are
+    // separated by whitespace
+    (text || '').replace(/(\d{4}-\d{2}-\d{2})[ \t]+(\d{2}:\d{2})/g, '$1T$2')
+      .split(/[\s;]+/).forEach(function(item) {
+      if (!item) {
+        return;
+      }
+      var parts = item.split(',');
+      // Times are UTC: ISO date-times without an offset would parse as local time
+      var stamp = /^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(parts[0]) ? parts[0] + 'Z' : parts[0];
+      var time = Date.parse(stamp);
+      var level = parseFloat(parts[1]);
+      // Skip header rows and malformed records
+      if (!isNaN(time) && !isNaN(level)) {
+        records.push({time: time, level: level});
       }
     });
-    settingsPanel.add(minSizeSlider);
-
-    // 2. Coastline Smoothing
-    var smoothingHeader = createSectionHeader('Coastline Smoothing',
-      'Controls how smooth the shoreline will appear. Higher values create smoother lines ' +
-      'but may lose detail. Lower values preserve detail but may show pixelation.');
 
-    settingsPanel.add(smoothingHeader);
+    if (records.length < 2) {
+      throw new Error('The tide table needs at least two valid "timestamp,level" records.');
+    }
 
-    var kernelSizeSlider = ui.Slider({
-      min: 1,
-      max: 5,
-      value: state.smoothingKernelSize,
-      step: 1,
-      style: {width: '300px'},
-      onChange: function(value) {
-        state.smoothingKernelSize = value;
-      }
-    });
-    settingsPanel.add(ui.Label('Kernel Size:', {margin: '4px 0'}));
-    settingsPanel.add(kernelSizeSlider);
+    records.sort(function(a, b) { return a.time - b.time; });
+    return {
+      times: records.map(function(r) { return r.time; }),
+      levels: records.map(function(r) { return r.level; })
+    };
+  }
 
-    var iterationsSlider = ui.Slider({
-      min: 1,
-      max: 5,
-      value: state.smoothingIterations,
-      step: 1,
-      style: {width: '300px'},
-      onChange: function(value) {
-        state.smoothingIterations = value;
+  /**
+   * Parses "name:amplitude:phase" harmonic constituents (client-side).
+   * @returns {Array<Object>} Constituents {name, speed, amplitude, phase}
+   */
+  function parseConstituents(text) {
+    var constituents = (text || '').split(/[\s,;]+/).filter(function(item) {
+      return item;
+    }).map(function(item) {
+      var parts = item.split(':');
+      var name = parts[0].toUpperCase();
+      if (!TIDAL_CONSTITUENTS[name] || parts.length !== 3) {
+        throw new Error('Unknown or malformed tidal constituent: ' + item);
       }
+      return {
+        name: name,
+        speed: TIDAL_CONSTITUENTS[name],
+        amplitude: parseFloat(parts[1]),
+        phase: parseFloat(parts[2])
+      };
     });
-    settingsPanel.add(ui.Label('Smoothing Iterations:', {margin: '4px 0'}));
-    settingsPanel.add(iterationsSlider);
 
-    // 3. Coastal Buffer
-    var bufferHeader = createSectionHeader('Coastal Buffer Distance',
-      'Distance (in km) from coastline to search for water features. ' +
-      'Larger values capture more coastal features but may include inland water.');
-
-    settingsPanel.add(bufferHeader);
+    if (constituents.length === 0) {
+      throw new Error('Please enter at least one tidal constituent.');
+    }
+    return constituents;
+  }
 
-    var bufferSlider = ui.Slider({
-      min: 0.1,
-      max: 2.0,
-      value: state.coastalBuffer,
-      step: 0.1,
-      style: {width: '300px'},
-      onChange: function(value) {
-        state.coastalBuffer = value;
+  /**
+   * Builds a server-side tide model for the configured source.
+   * @returns {Function} Maps epoch milliseconds to an ee.Number tide level
+   */
+  function getTideModel() {
+    var tide = state.tide;
+
+    if (tide.source === 'harmonic') {
+      var constituents = parseConstituents(tide.constituents);
+      var epoch = Date.parse(tide.epoch);
+      if (isNaN(epoch)) {
+        throw new Error('Invalid reference epoch for harmonic constituents.');
       }
-    });
-    settingsPanel.add(bufferSlider);
 
-    // 4. Water Detection Sensitivity (method-specific)
-    var waterDetectionHeader = createSectionHeader('Water Detection Settings',
-      method === 'sentinel1' ?
-        'SAR-specific settings for water detection sensitivity' :
-        'Optical imagery water detection parameters');
+      return function(millis) {
+        var hours = ee.Number(millis).subtract(epoch).divide(3600 * 1000);
+        var level = ee.Number(tide.meanLevel);
+        constituents.forEach(function(c) {
+          level = level.add(hours.multiply(c.speed).subtract(c.phase)
+            .multiply(Math.PI / 180).cos().multiply(c.amplitude));
+        });
+        return level;
+      };
+    }
 
-    settingsPanel.add(waterDetectionHeader);
+    var times;
+    var levels;
+    if (tide.source === 'asset') {
+      var table = ee.FeatureCollection(tide.assetId).map(function(f) {
+        return f.set('tide_millis', ee.Date(f.get(tide.timeColumn)).millis());
+      }).sort('tide_millis');
+      times = ee.Array(table.aggregate_array('tide_millis'));
+      levels = ee.Array(table.aggregate_array(tide.levelColumn));
+    } else {
+      var parsed = parseTideCsv(tide.csv);
+      times = ee.Array(parsed.times);
+      levels = ee.Array(parsed.levels);
+    }
 
-    if (method === 'sentinel1') {
-      settingsPanel.add(ui.Label({
-        value: 'SAR Votes Required (1-3):',
-        style: {fontSize: '13px', margin: '4px 0'}
-      }));
+    // Linear interpolation between the records around each timestamp
+    return function(millis) {
+      var t = ee.Number(millis);
+      var n = ee.Number(times.length().get([0]));
+      var next = ee.Number(times.lt(t).reduce(ee.Reducer.sum(), [0]).get([0]))
+        .max(1).min(n.subtract(1));
+      var t0 = ee.Number(times.get([next.subtract(1)]));
+      var t1 = ee.Number(times.get([next]));
+      var l0 = ee.Number(levels.get([next.subtract(1)]));
+      var l1 = ee.Number(levels.get([next]));
+      var fraction = t.subtract(t0).divide(t1.subtract(t0).max(1));
+      var inside = t.gte(times.get([0])).and(t.lte(times.get([n.subtract(1)])));
+      return ee.Number(ee.Algorithms.If(inside,
+        l0.add(l1.subtract(l0).multiply(fraction)), TIDE.noData));
+    };
+  }
 
-      var tooltipText = 'Number of SAR indicators (VV, VH, ratio) that must agree for water classification. ' +
-                        'Higher is more conservative, lower detects more water but may have false positives.';
+  /**
+   * Tags each image with its tide level and keeps scenes within the tide band.
+   */
+  function applyTideFilter(collection) {
+    if (!state.tide.enabled) {
+      return collection;
+    }
 
-      settingsPanel.add(createInfoTooltip(tooltipText));
+    var levelAt = getTideModel();
+    return collection
+      .map(function(image) {
+        return image.set('tide_level', levelAt(image.get('system:time_start')));
+      })
+      .filter(ee.Filter.neq('tide_level', TIDE.noData))
+      .filter(ee.Filter.rangeContains('tide_level', state.tide.minLevel, state.tide.maxLevel));
+  }
 
-      var sarVotesSlider = ui.Slider({
-        min: 1,
-        max: 3,
-        value: state.sarVotesRequired,
-        step: 1,
-        style: {width: '300px'},
-        onChange: function(value) {
-          state.sarVotesRequired = value;
-        }
-      });
-      settingsPanel.add(sarVotesSlider);
+  /**
+   * Returns tan(beach slope), either user-defined or the mean DEM slope
+   * near the detected waterline.
+   */
+  function getBeachSlope(waterMask, region) {
+    if (state.tide.slopeSource === 'user') {
+      return ee.Number(Math.tan(state.tide.slopeDegrees * Math.PI / 180));
     }
 
-    if (method === 'sentinel2' || method === 'landsat') {
-      var thresholdPanel = ui.Panel({
-        layout: ui.Panel.Layout.flow('horizontal'),
-        style: {margin: '4px 0'}
-      });
+    var water = waterMask.unmask(0);
+    var nearWaterline = water.focal_max(1).neq(water.focal_min(1))
+      .focal_max(TIDE.slopeBuffer, 'circle', 'meters');
+    var slope = ee.Terrain.slope(ee.Image('NASA/NASADEM_HGT/001').select('elevation'));
+    var meanSlope = slope.updateMask(nearWaterline).reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: region,
+      scale: 30,
+      maxPixels: 1e9,
+      bestEffort: true
+    }).get('slope');
 
-      var useCustomThreshold = ui.Checkbox({
-        label: 'Use custom threshold',
-        value: state.useCustomThreshold,
-        onChange: function(checked) {
-          thresholdSlider.setDisabled(!checked);
-          state.useCustomThreshold = checked;
+    return ee.Number(meanSlope).multiply(Math.PI / 180).tan();
+  }
+
+  /**
+   * Moves the zero contour of an image horizontally by `offset` metres.
+   * Positive offsets shrink the high (water) side, moving the line seaward.
+   */
+  function shiftWaterline(image, offset) {
+    var radius = offset.abs();
+    return ee.Image(ee.Algorithms.If(radius.lt(1), image,
+      ee.Algorithms.If(offset.gt(0),
+        image.focal_min({radius: radius, kernelType: 'circle', units: 'meters'}),
+        image.focal_max({radius: radius, kernelType: 'circle', units: 'meters'}))));
+  }
+
+  /**
+   * Projects the waterline of a composite to the reference datum:
+   * offset = (tide level - datum level) / tan(beach slope). The tide level
+   * of a composite is the median over its scenes.
+   * @returns {ee.Image} Corrected water mask
+   */
+  function applyTidalCorrection(waterMask, collection, region) {
+    if (!state.tide.enabled || !state.tide.correct) {
+      return waterMask;
+    }
+
+    var tideLevel = ee.Number(collection.aggregate_array('tide_level').reduce(ee.Reducer.median()));
+    var tanBeta = getBeachSlope(waterMask, region);
+    var offset = tideLevel.subtract(state.tide.datumLevel)
+      .divide(tanBeta.max(1e-3))
+      .max(-TIDE.maxOffset).min(TIDE.maxOffset);
+
+    state.tideCorrection = ee.Dictionary({
+      level: tideLevel,
+      slope: tanBeta.atan().multiply(180 / Math.PI),
+      offset: offset
+    });
+
+    if (state.waterSurface) {
+      state.waterSurface = shiftWaterline(state.waterSurface, offset);
+    }
+    return shiftWaterline(waterMask.unmask(0), offset).selfMask().rename('water');
+  }
+
+  /**
+   * Shows the tide settings page.
+   */
+  function showTideSettings(method) {
+    mainPanel.clear();
+    mainPanel.add(ui.Label('Tide Settings', STYLES.heading));
+
+    var tide = state.tide;
+
+    var settingsPanel = ui.Panel({
+      style: {padding: '10px', backgroundColor: 'white', border: '1px solid #ddd'}
+    });
+
+    settingsPanel.add(ui.Checkbox({
+      label: 'Filter scenes by tide stage',
+      value: tide.enabled,
+      onChange: function(checked) {
+        tide.enabled = checked;
+      }
+    }));
+
+    // Tide source
+    settingsPanel.add(createSectionHeader('Tide Source',
+      'Where tide levels come from. All levels and the datum must use the same vertical reference.'));
+
+    var sourceInfo = ui.Label({
+      value: findOption(TIDE_SOURCES, tide.source).description,
+      style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+    });
+
+    var csvBox = ui.Textbox({
+      placeholder: '2020-01-01T00:00,1.20 2020-01-01T01:00,1.45 ...',
+      value: tide.csv,
+      onChange: function(value) { tide.csv = value; },
+      style: {width: '300px', shown: tide.source === 'csv'}
+    });
+
+    var assetPanel = ui.Panel({
+      widgets: [
+        ui.Textbox({
+          placeholder: 'users/YOUR_USERNAME/tide_table',
+          value: tide.assetId,
+          onChange: function(value) { tide.assetId = value; },
+          style: {width: '300px'}
+        }),
+        ui.Label('Timestamp / level columns:', {margin: '4px 0'}),
+        ui.Panel({
+          widgets: [
+            ui.Textbox({value: tide.timeColumn, onChange: function(value) { tide.timeColumn = value; }, style: {width: '140px'}}),
+            ui.Textbox({value: tide.levelColumn, onChange: function(value) { tide.levelColumn = value; }, style: {width: '140px'}})
+          ],
+          layout: ui.Panel.Layout.flow('horizontal')
+        })
+      ],
+      style: {shown: tide.source === 'asset'}
+    });
+
+    var harmonicPanel = ui.Panel({
+      widgets: [
+        ui.Textbox({
+          placeholder: 'M2:1.20:45, S2:0.40:80, K1:0.10:200',
+          value: tide.constituents,
+          onChange: function(value) { tide.constituents = value; },
+          style: {width: '300px'}
+        }),
+        ui.Label('Reference epoch (UTC) / mean level (m):', {margin: '4px 0'}),
+        ui.Panel({
+          widgets: [
+            ui.Textbox({value: tide.epoch, onChange: function(value) { tide.epoch = value; }, style: {width: '140px'}}),
+            ui.Textbox({
+              value: String(tide.meanLevel),
+              onChange: function(value) { tide.meanLevel = parseFloat(value) || 0; },
+              style: {width: '140px'}
+            })
+          ],
+          layout: ui.Panel.Layout.flow('horizontal')
+        })
+      ],
+      style: {shown: tide.source === 'harmonic'}
+    });
+
+    settingsPanel.add(ui.Select({
+      items: TIDE_SOURCES.map(function(s) {
+        return {label: s.label, value: s.value};
+      }),
+      value: tide.source,
+      onChange: function(value) {
+        tide.source = value;
+        sourceInfo.setValue(findOption(TIDE_SOURCES, value).description);
+        csvBox.style().set('shown', value === 'csv');
+        assetPanel.style().set('shown', value === 'asset');
+        harmonicPanel.style().set('shown', value === 'harmonic');
+      },
+      style: {width: '300px'}
+    }));
+    settingsPanel.add(sourceInfo);
+    settingsPanel.add(csvBox);
+    settingsPanel.add(assetPanel);
+    settingsPanel.add(harmonicPanel);
+
+    // Tide band
+    settingsPanel.add(createSectionHeader('Tide Band (m)',
+      'Only scenes acquired with a tide level inside this band are used.'));
+    settingsPanel.add(ui.Panel({
+      widgets: [
+        ui.Label('Min:', {margin: '8px 4px 0 0'}),
+        ui.Textbox({
+          value: String(tide.minLevel),
+          onChange: function(value) { tide.minLevel = parseFloat(value); },
+          style: {width: '80px'}
+        }),
+        ui.Label('Max:', {margin: '8px 4px 0 8px'}),
+        ui.Textbox({
+          value: String(tide.maxLevel),
+          onChange: function(value) { tide.maxLevel = parseFloat(value); },
+          style: {width: '80px'}
+        })
+      ],
+      layout: ui.Panel.Layout.flow('horizontal')
+    }));
+
+    // Tidal correction
+    settingsPanel.add(createSectionHeader('Tidal Correction',
+      'Projects the waterline horizontally to a reference datum (e.g. MSL or MHW) using ' +
+      'the beach slope: offset = (tide level - datum level) / tan(slope).'));
+
+    settingsPanel.add(ui.Checkbox({
+      label: 'Correct waterline to reference datum',
+      value: tide.correct,
+      onChange: function(checked) {
+        tide.correct = checked;
+      }
+    }));
+
+    settingsPanel.add(ui.Label('Datum level (m, e.g. MSL = 0):', {margin: '4px 0'}));
+    settingsPanel.add(ui.Textbox({
+      value: String(tide.datumLevel),
+      onChange: function(value) { tide.datumLevel = parseFloat(value) || 0; },
+      style: {width: '80px'}
+    }));
+
+    var slopeInfo = ui.Label({
+      value: findOption(BEACH_SLOPE_SOURCES, tide.slopeSource).description,
+      style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+    });
+    var slopeBox = ui.Textbox({
+      placeholder: 'Slope (degrees)',
+      value: String(tide.slopeDegrees),
+      onChange: function(value) { tide.slopeDegrees = parseFloat(value) || tide.slopeDegrees; },
+      style: {width: '80px', shown: tide.slopeSource === 'user'}
+    });
+
+    settingsPanel.add(ui.Label('Beach slope:', {margin: '4px 0'}));
+    settingsPanel.add(ui.Select({
+      items: BEACH_SLOPE_SOURCES.map(function(s) {
+        return {label: s.label, value: s.value};
+      }),
+      value: tide.slopeSource,
+      onChange: function(value) {
+        tide.slopeSource = value;
+        slopeInfo.setValue(findOption(BEACH_SLOPE_SOURCES, value).description);
+        slopeBox.style().set('shown', value === 'user');
+      },
+      style: {width: '300px'}
+    }));
+    settingsPanel.add(slopeInfo);
+    settingsPanel.add(slopeBox);
+
+    mainPanel.add(settingsPanel);
+
+    mainPanel.add(ui.Button({
+      label: ICONS.back + ' Back',
+      onClick: function() {
+        if (tide.enabled && isNaN(tide.minLevel + tide.maxLevel)) {
+          ui.alert('Please enter a valid tide band.');
+          return;
         }
+        updateStatus('Tide settings saved');
+        showDateCloudSettings(method);
+      },
+      style: STYLES.button
+    }));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SAR PREPROCESSING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Speckle filters for Sentinel-1. All filters run on linear backscatter.
+   */
+  var SPECKLE_FILTERS = [
+    {
+      label: 'None',
+      value: 'none',
+      description: 'No speckle filtering. Compositing alone reduces speckle.'
+    },
+    {
+      label: 'Boxcar',
+      value: 'boxcar',
+      description: 'Moving-window mean. Strong smoothing that also blurs the land/water edge.'
+    },
+    {
+      label: 'Refined Lee',
+      value: 'refinedLee',
+      description: 'Edge-aligned Lee filter with directional 7x7 windows. Preserves shorelines well.'
+    },
+    {
+      label: 'Lee Sigma',
+      value: 'leeSigma',
+      description: 'Improved Lee Sigma filter. Filters within the speckle sigma range and keeps strong scatterers.'
+    },
+    {
+      label: 'Gamma MAP',
+      value: 'gammaMap',
+      description: 'Maximum a posteriori filter assuming Gamma-distributed speckle.'
+    }
+  ];
+
+  var SAR_ORBIT_PASSES = [
+    {label: 'Both', value: 'BOTH'},
+    {label: 'Ascending', value: 'ASCENDING'},
+    {label: 'Descending', value: 'DESCENDING'}
+  ];
+
+  // Equivalent number of looks of Sentinel-1 IW GRD
+  var SAR_ENL = 4.4;
+
+  /**
+   * Parses a comma-separated list of relative orbit numbers.
+   * @returns {Array<number>} Orbit numbers (empty = all orbits)
+   */
+  function parseRelativeOrbits(text) {
+    return (text || '').split(/[\s,;]+/).map(function(item) {
+      return parseInt(item, 10);
+    }).filter(function(orbit) {
+      return !isNaN(orbit);
+    });
+  }
+
+  /**
+   * Boxcar (moving mean) filter.
+   */
+  function boxcarFilter(band, kernelSize) {
+    return band.reduceNeighborhood({
+      reducer: ee.Reducer.mean(),
+      kernel: ee.Kernel.square(kernelSize / 2, 'pixels')
+    });
+  }
+
+  /**
+   * Refined Lee filter (Lee 1981, edge-aligned windows) on one linear band.
+   */
+  function refinedLeeFilter(band) {
+    // 3x3 statistics sampled at nine positions inside a 7x7 window
+    var kernel3 = ee.Kernel.fixed(3, 3, ee.List.repeat(ee.List.repeat(1, 3), 3), 1, 1, false);
+    var mean3 = band.reduceNeighborhood(ee.Reducer.mean(), kernel3);
+    var variance3 = band.reduceNeighborhood(ee.Reducer.variance(), kernel3);
+
+    var sampleWeights = ee.List([
+      [0, 0, 0, 0, 0, 0, 0], [0, 1, 0, 1, 0, 1, 0], [0, 0, 0, 0, 0, 0, 0],
+      [0, 1, 0, 1, 0, 1, 0], [0, 0, 0, 0, 0, 0, 0], [0, 1, 0, 1, 0, 1, 0],
+      [0, 0, 0, 0, 0, 0, 0]
+    ]);
+    var sampleKernel = ee.Kernel.fixed(7, 7, sampleWeights, 3, 3, false);
+    var sampleMean = mean3.neighborhoodToBands(sampleKernel);
+    var sampleVar = variance3.neighborhoodToBands(sampleKernel);
+
+    // Gradients in four directions; the strongest one sets the edge orientation
+    var gradients = sampleMean.select(1).subtract(sampleMean.select(7)).abs()
+      .addBands(sampleMean.select(6).subtract(sampleMean.select(2)).abs())
+      .addBands(sampleMean.select(3).subtract(sampleMean.select(5)).abs())
+      .addBands(sampleMean.select(0).subtract(sampleMean.select(8)).abs());
+    var gradientMask = gradients.eq(gradients.reduce(ee.Reducer.max()));
+    gradientMask = gradientMask.addBands(gradientMask);
+
+    // Eight directions: which side of the edge the center pixel is on
+    var center = sampleMean.select(4);
+    var directions = sampleMean.select(1).subtract(center).gt(center.subtract(sampleMean.select(7))).multiply(1)
+      .addBands(sampleMean.select(6).subtract(center).gt(center.subtract(sampleMean.select(2))).multiply(2))
+      .addBands(sampleMean.select(3).subtract(center).gt(center.subtract(sampleMean.select(5))).multiply(3))
+      .addBands(sampleMean.select(0).subtract(center).gt(center.subtract(sampleMean.select(8))).multiply(4));
+    directions = directions
+      .addBands(directions.select(0).not().multiply(5))
+      .addBands(directions.select(1).not().multiply(6))
+      .addBands(directions.select(2).not().multiply(7))
+      .addBands(directions.select(3).not().multiply(8));
+    directions = directions.updateMask(gradientMask).reduce(ee.Reducer.sum());
+
+    // Local noise variance from the five most homogeneous sample windows
+    var sigmaV = sampleVar.divide(sampleMean.multiply(sampleMean))
+      .toArray().arraySort().arraySlice(0, 0, 5).arrayReduce(ee.Reducer.mean(), [0]);
+
+    // Directional 7x7 windows
+    var rectWeights = ee.List.repeat(ee.List.repeat(0, 7), 3).cat(ee.List.repeat(ee.List.repeat(1, 7), 4));
+    var diagWeights = ee.List([
+      [1, 0, 0, 0, 0, 0, 0], [1, 1, 0, 0, 0, 0, 0], [1, 1, 1, 0, 0, 0, 0],
+      [1, 1, 1, 1, 0, 0, 0], [1, 1, 1, 1, 1, 0, 0], [1, 1, 1, 1, 1, 1, 0],
+      [1, 1, 1, 1, 1, 1, 1]
+    ]);
+    var rectKernel = ee.Kernel.fixed(7, 7, rectWeights, 3, 3, false);
+    var diagKernel = ee.Kernel.fixed(7, 7, diagWeights, 3, 3, false);
+
+    var dirMean = band.reduceNeighborhood(ee.Reducer.mean(), rectKernel).updateMask(directions.eq(1))
+      .addBands(band.reduceNeighborhood(ee.Reducer.mean(), diagKernel).updateMask(directions.eq(2)));
+    var dirVar = band.reduceNeighborhood(ee.Reducer.variance(), rectKernel).updateMask(directions.eq(1))
+      .addBands(band.reduceNeighborhood(ee.Reducer.variance(), diagKernel).updateMask(directions.eq(2)));
+
+    for (var i = 1; i < 4; i++) {
+      dirMean = dirMean
+        .addBands(band.reduceNeighborhood(ee.Reducer.mean(), rectKernel.rotate(i)).updateMask(directions.eq(2 * i + 1)))
+        .addBands(band.reduceNeighborhood(ee.Reducer.mean(), diagKernel.rotate(i)).updateMask(directions.eq(2 * i + 2)));
+      dirVar = dirVar
+        .addBands(band.reduceNeighborhood(ee.Reducer.variance(), rectKernel.rotate(i)).updateMask(directions.eq(2 * i + 1)))
+        .addBands(band.reduceNeighborhood(ee.Reducer.variance(), diagKernel.rotate(i)).updateMask(directions.eq(2 * i + 2)));
+    }
+    dirMean = dirMean.reduce(ee.Reducer.sum());
+    dirVar = dirVar.reduce(ee.Reducer.sum());
+
+    var varX = dirVar.subtract(dirMean.multiply(dirMean).multiply(sigmaV)).divide(sigmaV.add(1.0));
+    var b = varX.divide(dirVar);
+
+    return dirMean.add(b.multiply(band.subtract(dirMean))).arrayFlatten([['sum']]);
+  }
+
+  /**
+   * Improved Lee Sigma filter (Lee et al. 2009) on one linear band.
+   */
+  function leeSigmaFilter(band, kernelSize) {
+    var sigma = 0.9;
+    var targetKernel = 3;
+    var brightCount = 7;   // Bright pixels in a 3x3 window marking a strong scatterer
+    var one = ee.Image.constant(1);
+    var meanVariance = ee.Reducer.mean().combine({reducer2: ee.Reducer.variance(), sharedInputs: true});
+
+    // Keep strong point scatterers unfiltered
+    var z98 = ee.Number(band.reduceRegion({
+      reducer: ee.Reducer.percentile([98]),
+      geometry: band.geometry(),
+      scale: 10,
+      maxPixels: 1e13,
+      bestEffort: true
+    }).values().get(0));
+    var retain = band.gte(z98).reduceNeighborhood({
+      reducer: ee.Reducer.sum(),
+      kernel: ee.Kernel.square(targetKernel / 2, 'pixels')
+    }).gte(brightCount);
+
+    // A-priori mean from a 3x3 MMSE estimate
+    var eta = ee.Image.constant(1.0 / Math.sqrt(SAR_ENL));
+    var stats = band.reduceNeighborhood({
+      reducer: meanVariance,
+      kernel: ee.Kernel.square(targetKernel / 2, 'pixels'),
+      optimization: 'window'
+    });
+    var zBar = stats.select(0);
+    var varZ = stats.select(1);
+    var varX = varZ.subtract(zBar.pow(2).multiply(eta.pow(2))).divide(one.add(eta.pow(2)));
+    var b = varX.divide(varZ);
+    var xTilde = one.subtract(b).multiply(zBar).add(b.multiply(band));
+
+    // Sigma range for sigma = 0.9 (intensity, 4 looks)
+    var lookup = {I1: 0.378, I2: 2.094, eta: 0.3991};
+    var inRange = band.gte(xTilde.multiply(lookup.I1)).and(band.lte(xTilde.multiply(lookup.I2)));
+    var z = band.updateMask(inRange);
+
+    // MMSE filter over the pixels inside the sigma range
+    var nEta = ee.Image.constant(lookup.eta);
+    stats = z.reduceNeighborhood({
+      reducer: meanVariance,
+      kernel: ee.Kernel.square(kernelSize / 2, 'pixels'),
+      optimization: 'window'
+    });
+    zBar = stats.select(0);
+    varZ = stats.select(1);
+    varX = varZ.subtract(zBar.pow(2).multiply(nEta.pow(2))).divide(one.add(nEta.pow(2)));
+    b = varX.divide(varZ);
+    b = b.where(b.lt(0), 0);
+    var xHat = one.subtract(b).multiply(zBar).add(b.multiply(band));
+
+    return band.updateMask(retain).unmask(xHat);
+  }
+
+  /**
+   * Gamma MAP filter (Lopez et al. 1990) on one linear band.
+   */
+  function gammaMapFilter(band, kernelSize) {
+    var stats = band.reduceNeighborhood({
+      reducer: ee.Reducer.mean().combine({reducer2: ee.Reducer.stdDev(), sharedInputs: true}),
+      kernel: ee.Kernel.square(kernelSize / 2, 'pixels'),
+      optimization: 'window'
+    });
+    var z = stats.select(0);
+    var ci = stats.select(1).divide(z);   // Observed coefficient of variation
+
+    var cu = 1.0 / Math.sqrt(SAR_ENL);    // Speckle coefficient of variation
+    var cmax = Math.sqrt(2.0) * cu;
+
+    var alpha = ee.Image.constant(1 + cu * cu).divide(ci.pow(2).subtract(cu * cu));
+    var q = band.expression('z ** 2 * (z * alpha - enl - 1) ** 2 + 4 * alpha * enl * x * z', {
+      z: z, alpha: alpha, enl: SAR_ENL, x: band
+    });
+    var rHat = z.multiply(alpha.subtract(SAR_ENL + 1)).add(q.sqrt()).divide(alpha.multiply(2));
+
+    // Homogeneous -> local mean, textured -> Gamma MAP, strong scatterer -> original
+    return ee.ImageCollection([
+      z.updateMask(ci.lte(cu)),
+      rHat.updateMask(ci.gt(cu).and(ci.lt(cmax))),
+      band.updateMask(ci.gte(cmax))
+    ]).mosaic();
+  }
+
+  /**
+   * Applies the selected speckle filter to one linear band.
+   */
+  function applySpeckleFilter(band) {
+    switch(state.sarSpeckleFilter) {
+      case 'boxcar':
+        return boxcarFilter(band, state.sarKernelSize);
+      case 'refinedLee':
+        return refinedLeeFilter(band);
+      case 'leeSigma':
+        return leeSigmaFilter(band, state.sarKernelSize);
+      case 'gammaMap':
+        return gammaMapFilter(band, state.sarKernelSize);
+      default:
+        return band;
+    }
+  }
+
+  /**
+   * Speckle-filters a Sentinel-1 GRD image and optionally normalizes the
+   * backscatter to a reference incidence angle (cosine-squared law).
+   * VV and VH are returned in dB, as in the raw collection.
+   */
+  function preprocessSentinel1(image) {
+    var polarizations = ['VV', 'VH'];
+
+    var filtered = ee.Image.cat(polarizations.map(function(pol) {
+      // dB -> linear: 10^(dB / 10)
+      var linear = image.select(pol).multiply(Math.LN10 / 10).exp();
+      return applySpeckleFilter(linear).rename(pol);
+    }));
+
+    var db = filtered.updateMask(filtered.gt(0)).log10().multiply(10);
+
+    if (state.sarAngleNormalization) {
+      var angle = image.select('angle').multiply(Math.PI / 180);
+      var reference = 20 * Math.log(Math.cos(state.sarReferenceAngle * Math.PI / 180)) / Math.LN10;
+      db = db.add(ee.Image.constant(reference).subtract(angle.cos().log10().multiply(20)));
+    }
+
+    return image.addBands(db, null, true);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SHORELINE DETECTION ALGORITHMS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Detects water bodies from Sentinel-1 SAR imagery using:
+   * - Automatic thresholding on VV and VH bands
+   * - Automatic threshold on VV/VH ratio
+   * - Majority vote to produce binary water mask
+   */
+  function detectWaterFromSAR(image) {
+    // Helper for per-band threshold options
+    function thresholdOptions(label, waterIsHigh) {
+      return {
+        region: state.aoi,
+        scale: 10,  // Maintain S1's native resolution
+        waterIsHigh: waterIsHigh,
+        label: label
+      };
+    }
+
+    // Thresholds on VV, VH
+    var vvDb = image.select('VV');
+    var vvThreshold = computeThreshold(image, 'VV', thresholdOptions('VV', false));
+    var vvWater = vvDb.lt(vvThreshold);
+
+    var vhDb = image.select('VH');
+    var vhThreshold = computeThreshold(image, 'VH', thresholdOptions('VH', false));
+    var vhWater = vhDb.lt(vhThreshold);
+
+    // VV/VH ratio
+    var vvLinear = ee.Image.constant(10).pow(vvDb.divide(10));
+    var vhLinear = ee.Image.constant(10).pow(vhDb.divide(10));
+    var ratio = vvLinear.divide(vhLinear).rename('ratio');
+    var ratioThreshold = computeThreshold(ratio, 'ratio', thresholdOptions('VV/VH', true));
+    var ratioWater = ratio.gt(ratioThreshold);
+
+    // VV backscatter drives the sub-pixel contour (water = low backscatter)
+    state.waterSurface = ee.Image.constant(vvThreshold).subtract(vvDb).rename('surface');
+
+    // Use user-defined voting threshold
+    var waterMask = vvWater.add(vhWater).add(ratioWater)
+      .gte(state.sarVotesRequired)
+      .rename('water');
+    return waterMask.updateMask(waterMask);
+  }
+
+  // Spectral roles water indices are written in, in band order
+  var BAND_ROLES = ['BLUE', 'GREEN', 'RED', 'NIR', 'SWIR1', 'SWIR2'];
+
+  /**
+   * Optical sensors: band names in BAND_ROLES order, the factor converting
+   * them to surface reflectance, their native resolution (m) and the scene
+   * cloud cover property. The `asset` entry describes user imagery and is
+   * filled in from the asset settings; an empty band name marks a role the
+   * image does not have.
+   */
+  var OPTICAL_SENSORS = {
+    sentinel2: {
+      label: 'Sentinel-2',
+      bands: ['B2', 'B3', 'B4', 'B8', 'B11', 'B12'],
+      reflectanceScale: 1e-4,
+      scale: 10,
+      cloudProperty: 'CLOUDY_PIXEL_PERCENTAGE'
+    },
+    landsat: {
+      label: 'Landsat',
+      bands: LANDSAT_COMMON_BANDS,
+      reflectanceScale: 1,
+      scale: 30,
+      cloudProperty: 'CLOUD_COVER'
+    },
+    hls: {
+      label: 'HLS',
+      bands: BAND_ROLES,
+      reflectanceScale: 1,
+      scale: 30,
+      cloudProperty: 'CLOUD_COVERAGE'
+    },
+    modis: {
+      label: 'MODIS',
+      bands: MODIS.bands,
+      reflectanceScale: 1e-4,
+      scale: 500,
+      cloudProperty: 'CLOUD_COVER'
+    },
+    asset: {
+      label: 'User imagery',
+      bands: ['B2', 'B3', 'B4', 'B8', 'B11', 'B12'],
+      reflectanceScale: 1e-4,
+      scale: 10,
+      cloudProperty: null
+    }
+  };
+
+  /**
+   * Water indices, written in band roles. `roles` lists the roles an index
+   * needs, so user imagery without some bands only offers the indices it can
+   * compute.
+   */
+  var WATER_INDICES = [
+    {
+      label: 'MNDWI (Modified NDWI)',
+      value: 'MNDWI',
+      roles: ['GREEN', 'SWIR1'],
+      description: 'Best for most cases, uses green and SWIR bands. Good at suppressing built-up area noise.'
+    },
+    {
+      label: 'NDWI (Normalized Difference Water Index)',
+      value: 'NDWI',
+      roles: ['GREEN', 'NIR'],
+      description: 'Uses green and NIR bands. Good for clear water bodies but may confuse with built-up areas.'
+    },
+    {
+      label: 'AWEInsh (Automated Water Extraction Index)',
+      value: 'AWEInsh',
+      roles: ['GREEN', 'NIR', 'SWIR1', 'SWIR2'],
+      description: 'Non-shadow variant, good for areas without mountain shadows.'
+    },
+    {
+      label: 'AWEIsh (AWEI shadow)',
+      value: 'AWEIsh',
+      roles: ['BLUE', 'GREEN', 'NIR', 'SWIR1', 'SWIR2'],
+      description: 'Shadow variant, better for mountainous regions with shadows.'
+    },
+    {
+      label: 'NIR Band',
+      value: 'Band8',
+      roles: ['NIR'],
+      description: 'Simple NIR reflectance (Sentinel-2 band 8). Water appears dark. Good for clear contrast scenes.'
+    },
+    {
+      label: 'SMBWI (Multi-Band Water Index)',
+      value: 'SMBWI',
+      roles: BAND_ROLES,
+      description: 'Visible to infrared ratio over six bands, designed for Sentinel-2 but robust on other sensors.'
+    },
+    {
+      label: 'WRI (Water Ratio Index)',
+      value: 'WRI',
+      roles: ['GREEN', 'RED', 'NIR', 'SWIR1'],
+      description: 'Ratio-based index, sometimes useful in vegetated areas.'
+    },
+    {
+      label: 'NDWI2 (NIR-SWIR)',
+      value: 'NDWI2',
+      roles: ['NIR', 'SWIR1'],
+      description: 'Alternative NDWI using NIR and SWIR bands. Good for turbid waters.'
+    }
+  ];
+
+  /**
+   * Selects an optical sensor's bands under their role names, in reflectance.
+   * @param {ee.Image} image - Image in the sensor's band scheme
+   * @param {string} sensor - Key of OPTICAL_SENSORS
+   * @returns {ee.Image} Bands BLUE, GREEN, RED, NIR, SWIR1, SWIR2
+   */
+  function getBandRoles(image, sensor) {
+    var bands = OPTICAL_SENSORS[sensor];
+    var roles = getAvailableRoles(sensor);
+    var names = roles.map(function(role) {
+      return bands.bands[BAND_ROLES.indexOf(role)];
+    });
+    return image.select(names, roles).multiply(bands.reflectanceScale);
+  }
+
+  /**
+   * Band roles a sensor provides.
+   * @param {string} sensor - Key of OPTICAL_SENSORS
+   * @returns {Array<string>} Roles with a band name, in BAND_ROLES order
+   */
+  function getAvailableRoles(sensor) {
+    var bands = OPTICAL_SENSORS[sensor].bands;
+    return BAND_ROLES.filter(function(role, i) {
+      return !!bands[i];
+    });
+  }
+
+  /**
+   * Whether a sensor provides every band role in a list.
+   */
+  function hasBandRoles(sensor, roles) {
+    var available = getAvailableRoles(sensor);
+    return roles.every(function(role) {
+      return available.indexOf(role) !== -1;
+    });
+  }
+
+  /**
+   * Describes user imagery in OPTICAL_SENSORS.asset from the asset settings.
+   * @returns {string|null} Error message, or null when the settings are valid
+   */
+  function configureUserImagery() {
+    var bands = state.assetBands.split(',').map(function(band) {
+      return band.trim();
+    });
+    var reflectanceScale = Number(state.assetReflectanceScale);
+    var scale = Number(state.assetScale);
+
+    if (!state.assetId) {
+      return 'Enter an image asset ID.';
+    }
+    if (bands.length !== BAND_ROLES.length) {
+      return 'Enter ' + BAND_ROLES.length + ' band names (' + BAND_ROLES.join(', ') +
+             '), leaving missing ones empty.';
+    }
+    if (!(reflectanceScale > 0) || !(scale > 0)) {
+      return 'Enter a positive reflectance scale and resolution.';
+    }
+
+    OPTICAL_SENSORS.asset.bands = bands;
+    OPTICAL_SENSORS.asset.reflectanceScale = reflectanceScale;
+    OPTICAL_SENSORS.asset.scale = scale;
+
+    var usable = WATER_INDICES.some(function(index) {
+      return hasBandRoles('asset', index.roles);
+    });
+    return usable ? null : 'The bands do not cover any water index; at least NIR is needed.';
+  }
+
+  /**
+   * Calculates the specified water index for any optical sensor.
+   * @param {string} [sensor='sentinel2'] - Key of OPTICAL_SENSORS
+   */
+  function calculateWaterIndex(image, indexName, sensor) {
+    var bands = getBandRoles(image, sensor || 'sentinel2');
+
+    switch(indexName) {
+      case 'Band8':
+        return bands.select('NIR').rename('water_index');
+      case 'NDWI':
+        return bands.normalizedDifference(['GREEN', 'NIR']).rename('water_index');
+      case 'AWEInsh':
+        return bands.expression('4 * (GREEN - SWIR1) - (0.25 * NIR + 2.75 * SWIR2)')
+          .rename('water_index');
+      case 'AWEIsh':
+        return bands.expression('BLUE + 2.5 * GREEN - 1.5 * (NIR + SWIR1) - 0.25 * SWIR2')
+          .rename('water_index');
+      case 'SMBWI':
+        return bands.expression('(BLUE + GREEN + RED) / (NIR + SWIR1 + SWIR2)')
+          .rename('water_index');
+      case 'WRI':
+        return bands.expression('(GREEN + RED) / (NIR + SWIR1)')
+          .rename('water_index');
+      case 'NDWI2':
+        return bands.normalizedDifference(['NIR', 'SWIR1']).rename('water_index');
+      default:
+        // Default to MNDWI
+        return bands.normalizedDifference(['GREEN', 'SWIR1']).rename('water_index');
+    }
+  }
+
+  /**
+   * Detects water from optical imagery using a threshold on the chosen water index.
+   * @param {string} [sensor='sentinel2'] - Key of OPTICAL_SENSORS
+   */
+  function detectWaterFromOptical(image, indexName, sensor) {
+    sensor = sensor || 'sentinel2';
+    var waterIndex = calculateWaterIndex(image, indexName, sensor);
+
+    if (state.useCustomThreshold) {
+      state.thresholdValues[indexName] = ee.Number(state.waterThreshold);
+      state.waterSurface = waterIndex.subtract(state.waterThreshold).rename('surface');
+      return waterIndex.gt(state.waterThreshold);
+    } else {
+      var threshold = computeThreshold(waterIndex, 'water_index', {
+        region: state.aoi,
+        scale: OPTICAL_SENSORS[sensor].scale,  // Maintain the sensor's native resolution
+        waterIsHigh: indexName !== 'Band8',
+        label: indexName
       });
 
-      thresholdPanel.add(useCustomThreshold);
-      thresholdPanel.add(createInfoTooltip(
-        'Enable to manually set water threshold instead of using automatic Otsu thresholding. ' +
-        'Useful for fine-tuning results in complex areas.'
-      ));
+      // If using the NIR band, water is typically "lower" reflectance -> < threshold
+      if (indexName === 'Band8') {
+        state.waterSurface = ee.Image.constant(threshold).subtract(waterIndex).rename('surface');
+        return waterIndex.lt(threshold);
+      } else {
+        // For NDWI, MNDWI, AWEI, etc., water is "higher" -> > threshold
+        state.waterSurface = waterIndex.subtract(threshold).rename('surface');
+        return waterIndex.gt(threshold);
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SUPERVISED CLASSIFICATION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Classifiers for supervised water/land detection.
+   */
+  var CLASSIFIERS = [
+    {
+      label: 'Random Forest',
+      value: 'randomForest',
+      description: 'Ensemble of decision trees. A robust default; reports out-of-bag accuracy ' +
+                   'and gives a water probability for sub-pixel contours.'
+    },
+    {
+      label: 'Support Vector Machine',
+      value: 'svm',
+      description: 'RBF-kernel SVM on standardized features. Works well with few, clean samples.'
+    },
+    {
+      label: 'CART',
+      value: 'cart',
+      description: 'Single decision tree. Fast and easy to interpret, but less stable.'
+    }
+  ];
+
+  // Classification parameters
+  var CLASSIFICATION = {
+    samplesPerClass: 2000,   // Pixels sampled from each class's training polygons
+    holdOut: 0.3,            // Share of samples held out to validate SVM and CART
+    seed: 42
+  };
+
+  // Native resolution (m) of each method's classification features
+  var CLASSIFICATION_SCALES = {
+    sentinel1: 10,
+    sentinel2: 10,
+    landsat: 30,
+    hls: 30,
+    modis: 500
+  };
+
+  /**
+   * Stacks the bands and water indices a classifier is trained on.
+   * @param {string} method - 'sentinel1', 'sentinel2' or 'landsat'
+   * @param {ee.Image} image - Composite
+   * @returns {ee.Image} Feature bands
+   */
+  function getClassificationFeatures(method, image) {
+    switch(method) {
+      case 'sentinel1':
+        return image.select(['VV', 'VH'])
+          .addBands(image.select('VV').subtract(image.select('VH')).rename('VV_VH'));
+      default:
+        var indices = ['NDWI', 'MNDWI', 'AWEInsh', 'AWEIsh'].filter(function(index) {
+          return hasBandRoles(method, findOption(WATER_INDICES, index).roles);
+        });
+        return getBandRoles(image, method).addBands(indices.map(function(index) {
+          return calculateWaterIndex(image, index, method).rename(index);
+        }));
+    }
+  }
+
+  /**
+   * Builds an untrained classifier from the current settings.
+   */
+  function getClassifier(options) {
+    switch(options.type) {
+      case 'svm':
+        return ee.Classifier.libsvm({kernelType: 'RBF', gamma: 0.5, cost: 10});
+      case 'cart':
+        return ee.Classifier.smileCart();
+      default:
+        return ee.Classifier.smileRandomForest({
+          numberOfTrees: options.trees,
+          seed: CLASSIFICATION.seed
+        });
+    }
+  }
+
+  /**
+   * Classifies water and land with a classifier trained on the user's
+   * training polygons. Records the accuracy and feature importance in
+   * state.classifierReport.
+   * @param {string} method - Detection method
+   * @param {ee.Image} image - Composite
+   * @returns {ee.Image} Binary water mask
+   */
+  function detectWaterSupervised(method, image) {
+    if (!state.trainingSamples) {
+      throw new Error('Draw water and land training samples before using supervised classification.');
+    }
+
+    var scale = CLASSIFICATION_SCALES[method];
+    var features = getClassificationFeatures(method, image);
+    var bandNames = features.bandNames();
+
+    // Standardize so distance-based classifiers (SVM) weigh features equally
+    var stats = features.reduceRegion({
+      reducer: ee.Reducer.mean().combine({reducer2: ee.Reducer.stdDev(), sharedInputs: true}),
+      geometry: state.aoi,
+      scale: scale * 3,
+      maxPixels: 1e9,
+      bestEffort: true
+    });
+    var means = ee.Image.constant(bandNames.map(function(band) {
+      return stats.get(ee.String(band).cat('_mean'));
+    })).rename(bandNames);
+    var stdDevs = ee.Image.constant(bandNames.map(function(band) {
+      return stats.get(ee.String(band).cat('_stdDev'));
+    })).rename(bandNames);
+    features = features.subtract(means).divide(stdDevs);
+
+    // Sample both classes evenly from the training polygons
+    var training = ee.FeatureCollection([
+      ee.Feature(state.trainingSamples.water, {'class': 1}),
+      ee.Feature(state.trainingSamples.land, {'class': 0})
+    ]);
+    var samples = features.addBands(ee.Image(0).byte().paint(training, 'class').rename('class'))
+      .updateMask(ee.Image(0).byte().paint(training, 1))
+      .stratifiedSample({
+        numPoints: CLASSIFICATION.samplesPerClass,
+        classBand: 'class',
+        region: training.geometry(),
+        scale: scale,
+        seed: CLASSIFICATION.seed,
+        tileScale: 4
+      })
+      .randomColumn('random', CLASSIFICATION.seed);
+
+    var options = state.classifier;
+    var report = {type: options.type, importance: null};
+
+    if (options.type === 'randomForest') {
+      // The out-of-bag estimate needs no hold-out, so train on every sample
+      var forest = getClassifier(options).train({
+        features: samples,
+        classProperty: 'class',
+        inputProperties: bandNames
+      });
+      var explanation = ee.Dictionary(forest.explain());
+      report.accuracyLabel = 'Out-of-bag accuracy';
+      report.accuracy = ee.Number(1).subtract(explanation.get('outOfBagErrorEstimate'));
+      report.importance = ee.Dictionary(explanation.get('importance'));
+      state.classifierReport = report;
+
+      var probability = features.classify(getClassifier(options).setOutputMode('PROBABILITY').train({
+        features: samples,
+        classProperty: 'class',
+        inputProperties: bandNames
+      }));
+      state.waterSurface = probability.subtract(0.5).rename('surface');
+      return probability.gt(0.5);
+    }
+
+    var trained = getClassifier(options).train({
+      features: samples.filter(ee.Filter.gte('random', CLASSIFICATION.holdOut)),
+      classProperty: 'class',
+      inputProperties: bandNames
+    });
+    report.accuracyLabel = 'Hold-out accuracy';
+    report.accuracy = samples.filter(ee.Filter.lt('random', CLASSIFICATION.holdOut))
+      .classify(trained)
+      .errorMatrix('class', 'classification')
+      .accuracy();
+    if (options.type === 'cart') {
+      report.importance = ee.Dictionary(ee.Dictionary(trained.explain()).get('importance'));
+    }
+    state.classifierReport = report;
+
+    // Hard labels have no continuous surface; contours fall back to raster
+    state.waterSurface = null;
+    return features.classify(trained).eq(1);
+  }
+
+  /**
+   * Column chart of classifier feature importance.
+   */
+  function createImportanceChart(importance) {
+    return ui.Chart.feature.byProperty(ee.Feature(null, importance))
+      .setChartType('ColumnChart')
+      .setOptions({
+        title: 'Feature Importance',
+        legend: {position: 'none'},
+        hAxis: {title: 'Feature'},
+        vAxis: {title: 'Importance'},
+        colors: ['#4285F4']
+      });
+  }
+
+  /**
+   * Shows the classifier accuracy and feature importance and waits for the
+   * user before vectorizing. Threshold runs continue straight away.
+   * @param {string} method - Detection method
+   * @param {ui.Panel} progressPanel - Progress panel
+   * @param {function()} next - Continues processing
+   */
+  function reviewClassification(method, progressPanel, next) {
+    if (state.detectionApproach !== 'supervised' || !state.classifierReport) {
+      next();
+      return;
+    }
+
+    var report = state.classifierReport;
+    var classifierLabel = findOption(CLASSIFIERS, report.type).label;
+
+    progressPanel.add(ui.Label(classifierLabel + ' trained', {fontWeight: 'bold', margin: '8px 0 2px 0'}));
+    var accuracyLabel = ui.Label(report.accuracyLabel + ': calculating...', {fontSize: '13px', margin: '2px 0'});
+    progressPanel.add(accuracyLabel);
+    report.accuracy.evaluate(function(value, error) {
+      accuracyLabel.setValue(report.accuracyLabel + ': ' +
+        (error || value === null ? 'unavailable' : formatPercent(value)));
+    });
+
+    if (report.importance) {
+      progressPanel.add(createImportanceChart(report.importance));
+    } else {
+      progressPanel.add(ui.Label('Feature importance is not available for ' + classifierLabel + '.',
+        {fontSize: '12px', color: '#666', margin: '2px 0'}));
+    }
+
+    var continueButton = ui.Button({
+      label: ICONS.next + ' Continue to Shoreline',
+      onClick: function() {
+        progressPanel.remove(buttonPanel);
+        next();
+      },
+      style: STYLES.button
+    });
+    var buttonPanel = ui.Panel({
+      widgets: [
+        continueButton,
+        ui.Button({
+          label: ICONS.back + ' Edit Samples',
+          onClick: function() {
+            showTrainingSamples(method);
+          },
+          style: STYLES.button
+        })
+      ],
+      layout: ui.Panel.Layout.flow('horizontal')
+    });
+    progressPanel.add(buttonPanel);
+    updateStatus('Check the classifier accuracy, then continue');
+  }
+
+  /**
+   * Lets the user draw water and land training polygons and pick a classifier.
+   */
+  function showTrainingSamples(method) {
+    var drawingTools = map.drawingTools();
+    drawingTools.setShown(true);
+    drawingTools.setShape('polygon');
+    drawingTools.setDrawModes(['polygon', 'rectangle']);
+    drawingTools.layers().reset();
+
+    var waterLayer = ui.Map.GeometryLayer({
+      geometries: state.trainingSamples ? [state.trainingSamples.water] : null,
+      name: 'Water samples',
+      color: '0000FF'
+    });
+    var landLayer = ui.Map.GeometryLayer({
+      geometries: state.trainingSamples ? [state.trainingSamples.land] : null,
+      name: 'Land samples',
+      color: 'FF8C00'
+    });
+    drawingTools.layers().add(waterLayer);
+    drawingTools.layers().add(landLayer);
+    drawingTools.setSelected(waterLayer);
+
+    mainPanel.clear();
+    mainPanel.add(ui.Label('Training Samples', STYLES.heading));
+    mainPanel.add(ui.Panel({
+      widgets: [
+        ui.Label(ICONS.info + ' Instructions:', {fontWeight: 'bold', margin: '4px 0'}),
+        ui.Label('1. Choose "Draw Water" and outline open water, turbid water and wet areas', {margin: '2px 0'}),
+        ui.Label('2. Choose "Draw Land" and outline sand, wet sand, vegetation, cliffs and shadows', {margin: '2px 0'}),
+        ui.Label('3. Cover the confusing surfaces of your coast in both classes', {margin: '2px 0'})
+      ],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '5px 0'}
+    }));
+
+    mainPanel.add(ui.Panel({
+      widgets: [
+        ui.Button({
+          label: 'Draw Water',
+          onClick: function() {
+            drawingTools.setSelected(waterLayer);
+            drawingTools.draw();
+          },
+          style: STYLES.button
+        }),
+        ui.Button({
+          label: 'Draw Land',
+          onClick: function() {
+            drawingTools.setSelected(landLayer);
+            drawingTools.draw();
+          },
+          style: STYLES.button
+        })
+      ],
+      layout: ui.Panel.Layout.flow('horizontal')
+    }));
+
+    mainPanel.add(createSectionHeader('Classifier',
+      'Trained on the image bands plus NDWI, MNDWI and AWEI (VV, VH and their ratio for SAR).'));
+
+    var classifierInfo = ui.Label({
+      value: findOption(CLASSIFIERS, state.classifier.type).description,
+      style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+    });
+    var treesLabel = ui.Label('Number of Trees:', {
+      margin: '4px 0',
+      shown: state.classifier.type === 'randomForest'
+    });
+    var treesSlider = ui.Slider({
+      min: 10,
+      max: 500,
+      value: state.classifier.trees,
+      step: 10,
+      style: {width: '300px', shown: state.classifier.type === 'randomForest'},
+      onChange: function(value) {
+        state.classifier.trees = value;
+      }
+    });
+
+    mainPanel.add(ui.Select({
+      items: CLASSIFIERS.map(function(c) {
+        return {label: c.label, value: c.value};
+      }),
+      value: state.classifier.type,
+      onChange: function(value) {
+        state.classifier.type = value;
+        classifierInfo.setValue(findOption(CLASSIFIERS, value).description);
+        treesLabel.style().set('shown', value === 'randomForest');
+        treesSlider.style().set('shown', value === 'randomForest');
+      },
+      style: {width: '300px'}
+    }));
+    mainPanel.add(classifierInfo);
+    mainPanel.add(treesLabel);
+    mainPanel.add(treesSlider);
+
+    var buttonPanel = ui.Panel({
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '20px 0'}
+    });
+
+    buttonPanel.add(ui.Button({
+      label: ICONS.next + ' Train & Process',
+      onClick: function() {
+        var water = waterLayer.toGeometry();
+        var land = landLayer.toGeometry();
+        if (waterLayer.geometries().length() === 0 || landLayer.geometries().length() === 0) {
+          ui.alert('Missing Samples', 'Please draw at least one water and one land polygon.');
+          updateStatus('Draw both water and land samples', true);
+          return;
+        }
+        state.trainingSamples = {water: water, land: land};
+        drawingTools.layers().reset();
+        drawingTools.setShown(false);
+        updateStatus('Training classifier...');
+        processImagery(method);
+      },
+      style: STYLES.button
+    }));
+
+    buttonPanel.add(ui.Button({
+      label: ICONS.back + ' Back',
+      onClick: function() {
+        drawingTools.layers().reset();
+        drawingTools.setShown(false);
+        if (OPTICAL_SENSORS[method]) {
+          showWaterIndexOptions(method);
+        } else {
+          showDateCloudSettings(method);
+        }
+      },
+      style: STYLES.button
+    }));
+
+    mainPanel.add(buttonPanel);
+    drawingTools.draw();
+    updateStatus('Draw water and land training samples');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SHORELINE VECTOR GENERATION
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Shoreline extraction modes.
+   */
+  var SHORELINE_EXTRACTION_MODES = [
+    {
+      label: 'Raster boundary',
+      value: 'raster',
+      description: 'Traces the boundary of the binary water mask. Fast, but follows the pixel grid.'
+    },
+    {
+      label: 'Sub-pixel contour',
+      value: 'contour',
+      description: 'Traces the threshold contour of the continuous water index (VV backscatter for SAR) ' +
+                   'with sub-pixel interpolation. Produces smooth lines.'
+    }
+  ];
+
+  // Contour extraction parameters
+  var CONTOUR = {
+    upsampleFactor: 4   // Contour is traced at 1/4 of the processing scale
+  };
+
+  /**
+   * Splits a geometry's bounding box into square tiles for vectorization.
+   * @param {ee.Geometry} geometry - Area to split
+   * @param {number} tileSize - Tile size in degrees
+   * @returns {ee.List} List of tile rectangles
+   */
+  function getProcessingTiles(geometry, tileSize) {
+    var bounds = geometry.bounds();
+    var coords = ee.List(bounds.coordinates().get(0));
+    var xmin = ee.Number(ee.List(coords.get(0)).get(0));
+    var ymin = ee.Number(ee.List(coords.get(0)).get(1));
+    var xmax = ee.Number(ee.List(coords.get(2)).get(0));
+    var ymax = ee.Number(ee.List(coords.get(2)).get(1));
+
+    // Reduce number of tiles for better performance
+    var xTiles = xmax.subtract(xmin).divide(tileSize).ceil();
+    var yTiles = ymax.subtract(ymin).divide(tileSize).ceil();
+
+    // Create tiles with simplified geometry
+    return ee.List.sequence(0, xTiles.subtract(1)).map(function(x) {
+      return ee.List.sequence(0, yTiles.subtract(1)).map(function(y) {
+        return ee.Geometry.Rectangle([
+          xmin.add(ee.Number(x).multiply(tileSize)),
+          ymin.add(ee.Number(y).multiply(tileSize)),
+          xmin.add(ee.Number(x).add(1).multiply(tileSize)),
+          ymin.add(ee.Number(y).add(1).multiply(tileSize))
+        ]);
+      });
+    }).flatten();
+  }
+
+  /**
+   * Line smoothing methods applied to shoreline segments.
+   */
+  var LINE_SMOOTHING_METHODS = [
+    {
+      label: 'Chaikin',
+      value: 'chaikin',
+      description: 'Corner cutting. Each iteration replaces every edge with points at 1/4 and 3/4 of its length.'
+    },
+    {
+      label: 'Gaussian',
+      value: 'gaussian',
+      description: 'Weighted moving average of neighboring vertices (1-2-1 kernel). ' +
+                   'Repeated passes approximate a Gaussian filter.'
+    }
+  ];
+
+  /**
+   * Weighted sum of coordinates.
+   * @param {Array<ee.List>} coords - Coordinates [x, y]
+   * @param {Array<number>} weights - Weights summing to 1
+   */
+  function weightedCoord(coords, weights) {
+    var x = ee.Number(0);
+    var y = ee.Number(0);
+    coords.forEach(function(coord, i) {
+      coord = ee.List(coord);
+      x = x.add(ee.Number(coord.get(0)).multiply(weights[i]));
+      y = y.add(ee.Number(coord.get(1)).multiply(weights[i]));
+    });
+    return ee.List([x, y]);
+  }
+
+  /**
+   * One Chaikin corner-cutting pass. Open lines keep their end points.
+   */
+  function chaikinStep(coords, closed) {
+    var cuts = coords.slice(0, -1).zip(coords.slice(1)).iterate(function(pair, result) {
+      var a = ee.List(pair).get(0);
+      var b = ee.List(pair).get(1);
+      return ee.List(result)
+        .add(weightedCoord([a, b], [0.75, 0.25]))
+        .add(weightedCoord([a, b], [0.25, 0.75]));
+    }, ee.List([]));
+    cuts = ee.List(cuts);
+
+    return ee.List(ee.Algorithms.If(closed,
+      cuts.add(cuts.get(0)),
+      ee.List([coords.get(0)]).cat(cuts).add(coords.get(-1))));
+  }
+
+  /**
+   * One 1-2-1 smoothing pass. Open lines keep their end points; closed
+   * rings wrap around.
+   */
+  function gaussianStep(coords, closed) {
+    var smoothed = coords.slice(0, -2).zip(coords.slice(1, -1)).zip(coords.slice(2)).map(function(item) {
+      item = ee.List(item);
+      var head = ee.List(item.get(0));
+      return weightedCoord([head.get(0), head.get(1), item.get(1)], [0.25, 0.5, 0.25]);
+    });
+    var start = weightedCoord([coords.get(-2), coords.get(0), coords.get(1)], [0.25, 0.5, 0.25]);
+
+    return ee.List(ee.Algorithms.If(closed,
+      ee.List([start]).cat(smoothed).add(start),
+      ee.List([coords.get(0)]).cat(smoothed).add(coords.get(-1))));
+  }
+
+  /**
+   * Smooths a line for the configured number of iterations.
+   * @param {ee.List} coords - Line coordinates
+   * @returns {ee.List} Smoothed coordinates
+   */
+  function smoothLine(coords) {
+    coords = ee.List(coords);
+    var closed = ee.Algorithms.IsEqual(coords.get(0), coords.get(-1));
+    var step = state.smoothingMethod === 'gaussian' ? gaussianStep : chaikinStep;
+
+    for (var i = 0; i < state.smoothingIterations; i++) {
+      coords = step(coords, closed);
+    }
+    return coords;
+  }
+
+  /**
+   * References for locating the open sea.
+   */
+  var SEA_SOURCES = [
+    {
+      label: 'AOI edge contact',
+      value: 'edge',
+      description: 'Water bodies touching the AOI boundary along at least 1 km are open sea. ' +
+                   'Draw the AOI so that it reaches out to sea.'
+    },
+    {
+      label: 'Global land mask (ETOPO1)',
+      value: 'etopo',
+      description: 'Water bodies lying mostly over ETOPO1 terrain below sea level are open sea.'
+    },
+    {
+      label: 'Custom land mask asset',
+      value: 'asset',
+      description: 'Single-band image asset in which 0 marks sea and any other value marks land.'
+    }
+  ];
+
+  /**
+   * Water body classes.
+   */
+  var WATER_CLASSES = [
+    {label: 'Sea', value: 'sea'},
+    {label: 'Lagoon', value: 'lagoon'},
+    {label: 'River', value: 'river'},
+    {label: 'Inland lake', value: 'lake'}
+  ];
+
+  // Water body classification parameters
+  var WATER_BODY = {
+    minArea: 1e4,           // Smallest water body kept (m²)
+    seaContact: 1000,       // AOI edge contact (m) that makes a body open sea
+    seaFraction: 0.5,       // Land-mask sea fraction that makes a body open sea
+    riverCompactness: 0.1   // Polsby-Popper compactness below which a body is a river
+  };
+
+  /**
+   * Returns the sea mask (1 = sea) of the selected land mask source, or
+   * null when the sea is located by AOI edge contact.
+   */
+  function getSeaMask() {
+    if (state.seaSource === 'etopo') {
+      return ee.Image('NOAA/NGDC/ETOPO1').select('bedrock').lt(0);
+    }
+    if (state.seaSource === 'asset') {
+      if (!state.landMaskAsset) {
+        throw new Error('Enter a land mask asset ID or choose another open sea reference.');
+      }
+      return ee.Image(state.landMaskAsset).select(0).eq(0);
+    }
+    return null;
+  }
+
+  /**
+   * Labels water polygons as sea, lagoon, river or inland lake. After the
+   * dissolve every polygon is one connected water body, so connectivity to
+   * the open sea reduces to whether the polygon reaches it:
+   * - sea: lies over the land mask's sea, or runs along the AOI edge
+   * - river: any other elongated body
+   * - lagoon: any other body within the lagoon search distance of the sea
+   * - lake: everything else
+   * @param {ee.List} parts - Dissolved water polygons
+   * @param {ee.Geometry} borderZone - Band along the AOI boundary
+   * @param {ee.Number} borderWidth - Width of the band in meters
+   * @returns {ee.FeatureCollection} Polygons with a 'waterClass' property
+   */
+  function classifyWaterBodies(parts, borderZone, borderWidth) {
+    var margin = ee.ErrorMargin(1);
+
+    var bodies = ee.FeatureCollection(parts.map(function(part) {
+      var polygon = ee.Geometry(part);
+      var area = polygon.area(1);
+      return ee.Feature(polygon, {
+        area: area,
+        compactness: area.multiply(4 * Math.PI).divide(polygon.perimeter(1).pow(2))
+      });
+    })).filter(ee.Filter.gt('area', WATER_BODY.minArea));
+
+    var seaMask = getSeaMask();
+    if (seaMask) {
+      bodies = seaMask.reduceRegions({
+        collection: bodies,
+        reducer: ee.Reducer.mean().setOutputs(['seaFraction']),
+        scale: 100,
+        tileScale: 4
+      }).map(function(body) {
+        var fraction = ee.Number(ee.Algorithms.If(body.get('seaFraction'), body.get('seaFraction'), 0));
+        return body.set('isSea', fraction.gte(WATER_BODY.seaFraction));
+      });
+    } else {
+      bodies = bodies.map(function(body) {
+        var contact = body.geometry().intersection(borderZone, margin).area(1).divide(borderWidth);
+        return body.set('isSea', contact.gte(WATER_BODY.seaContact));
+      });
+    }
+
+    var seaGeometry = bodies.filter(ee.Filter.eq('isSea', 1)).geometry(margin);
+    var lagoonDistance = state.coastalBuffer * 1000;
+
+    return bodies.map(function(body) {
+      var nearSea = body.geometry().withinDistance(seaGeometry, lagoonDistance, margin);
+      var elongated = ee.Number(body.get('compactness')).lt(WATER_BODY.riverCompactness);
+      return body.set('waterClass', ee.Algorithms.If(body.get('isSea'), 'sea',
+        ee.Algorithms.If(elongated, 'river',
+        ee.Algorithms.If(nearSea, 'lagoon', 'lake'))));
+    });
+  }
+
+  /**
+   * Turns water polygons into clean shoreline segments:
+   * 1. dissolves the per-tile water polygons so lines run on across tile seams,
+   * 2. classifies the water bodies and keeps the selected classes,
+   * 3. converts every ring - including holes around islands - to a line,
+   * 4. cuts away the parts that trace the AOI border, leaving open segments,
+   * 5. smooths and Douglas-Peucker simplifies each segment.
+   * @param {ee.FeatureCollection} polygons - reduceToVectors polygons (EPSG:4326);
+   *     only those with label 1 (water) are used
+   * @param {ee.Geometry} geometry - Processing area
+   * @param {ee.Number} scale - Vectorization scale in meters
+   * @param {function(ee.List): ee.Geometry} ringToLine - Converts a ring to a line
+   * @returns {ee.FeatureCollection} Shoreline LineStrings with a 'waterClass' property
+   */
+  function buildShorelineSegments(polygons, geometry, scale, ringToLine) {
+    var aoi = ee.Feature(geometry).geometry();
+    var margin = ee.ErrorMargin(1);
+
+    // Mask edges created by clipping to the AOI lie within a pixel of its boundary
+    var borderZone = aoi.buffer(scale, 1).difference(aoi.buffer(ee.Number(scale).multiply(-1), 1), 1);
+
+    // Only water polygons (label 1) are classified; land polygons touching
+    // the AOI edge would otherwise pass for open sea
+    var water = polygons.filter(ee.Filter.eq('label', 1));
+    var dissolved = water.geometry(margin).dissolve(margin);
+    var bodies = classifyWaterBodies(dissolved.geometries(), borderZone, ee.Number(scale).multiply(2))
+      .filter(ee.Filter.inList('waterClass', state.shorelineClasses));
+
+    return bodies.map(function(body) {
+      var waterClass = body.get('waterClass');
+      var segments = body.geometry().coordinates().map(function(ring) {
+        return ringToLine(ring).difference(borderZone, margin).geometries();
+      }).flatten();
+
+      return ee.FeatureCollection(segments.map(function(segment) {
+        var line = ee.Geometry.LineString(smoothLine(ee.Geometry(segment).coordinates()));
+        if (state.simplifyTolerance > 0) {
+          line = line.simplify(ee.ErrorMargin(state.simplifyTolerance));
+        }
+        return ee.Feature(line, {length: line.length(1), waterClass: waterClass});
+      }));
+    }).flatten()
+      .filter(ee.Filter.gt('length', scale));   // Drop slivers left by the border cut
+  }
+
+  /**
+   * Converts a binary water mask into vectorized shoreline features.
+   */
+  function vectorizeWaterMask(waterMask, geometry) {
+    // Calculate appropriate scale based on area
+    var scale = getAdaptiveScale(geometry, 'sentinel2');
+
+    // Use a larger tile size for faster processing
+    var tileSize = 0.2;  // 0.2 degrees
+
+    try {
+      // Clean up the water mask first - this reduces memory usage
+      // Use simpler focal operations for better compatibility
+      var cleaned = waterMask
+        .updateMask(waterMask.connectedPixelCount(state.waterBodySizeThreshold, true)
+        .gte(state.waterBodySizeThreshold))
+        .focal_max(state.smoothingKernelSize)
+        .focal_min(state.smoothingKernelSize)
+        .selfMask();  // Vectorize water only; land polygons would dissolve into the AOI
+
+      // Break into smaller tiles for processing
+      var tiles = getProcessingTiles(geometry, tileSize);
+
+      // Process tiles with minimal parameters
+      var vectors = ee.FeatureCollection(tiles.map(function(tile) {
+        return cleaned.reduceToVectors({
+          geometry: ee.Geometry(tile),
+          scale: scale,
+          geometryType: 'polygon',
+          eightConnected: false,
+          maxPixels: 1e8,
+          tileScale: 2  // Reduced for better performance
+        });
+      })).flatten();
+
+      return buildShorelineSegments(vectors, geometry, scale, function(ring) {
+        return ee.Geometry.LineString(ring);
+      });
+
+    } catch (e) {
+      console.error('Error in vectorization:', e);
+      updateStatus('Error during vectorization: ' + e.message, true);
+      return null;
+    }
+  }
+
+  /**
+   * Replaces each vertex pair of a closed ring with its midpoint. On a
+   * boundary traced along pixel edges this moves vertices onto the
+   * contour crossings between pixel centers, as in marching squares.
+   * @param {ee.List} coords - Closed ring coordinates
+   * @returns {ee.Geometry.LineString} Closed line through the midpoints
+   */
+  function ringToMidpointLine(coords) {
+    coords = ee.List(coords);
+    var midpoints = coords.slice(0, -1).zip(coords.slice(1)).map(function(pair) {
+      var a = ee.List(ee.List(pair).get(0));
+      var b = ee.List(ee.List(pair).get(1));
+      return ee.List([
+        ee.Number(a.get(0)).add(b.get(0)).divide(2),
+        ee.Number(a.get(1)).add(b.get(1)).divide(2)
+      ]);
+    });
+    return ee.Geometry.LineString(midpoints.add(midpoints.get(0)));
+  }
+
+  /**
+   * Extracts the shoreline as the zero contour of a signed water surface
+   * (positive = water). The surface is bilinearly interpolated between pixel
+   * centers - the same linear interpolation marching squares uses - and
+   * traced at a sub-pixel scale before the staircase is removed.
+   * @param {ee.Image} surface - Signed water surface (index minus threshold)
+   * @param {ee.Geometry} geometry - Processing area
+   * @returns {ee.FeatureCollection} Coastal shoreline LineStrings
+   */
+  function extractContourShoreline(surface, geometry) {
+    var scale = getAdaptiveScale(geometry, 'sentinel2');
+    var tileSize = 0.1;  // Smaller tiles for the finer contour grid
+
+    try {
+      var nativeProjection = ee.Projection('EPSG:3857').atScale(scale);
+      var fineProjection = ee.Projection('EPSG:3857').atScale(scale.divide(CONTOUR.upsampleFactor));
+
+      // Same speckle cleaning as raster mode: patches of water or land smaller
+      // than the minimum water body size get the sign of their surroundings
+      var patchSize = surface.gt(0).connectedPixelCount(state.waterBodySizeThreshold, true)
+        .reproject(nativeProjection);
+      surface = surface.where(patchSize.lt(state.waterBodySizeThreshold), surface.multiply(-1));
+
+      var water = surface
+        .reproject(nativeProjection)
+        .resample('bilinear')
+        .reproject(fineProjection)
+        .gt(0)
+        .selfMask();
+
+      var tiles = getProcessingTiles(geometry, tileSize);
+
+      var vectors = ee.FeatureCollection(tiles.map(function(tile) {
+        return water.reduceToVectors({
+          geometry: ee.Geometry(tile),
+          crs: fineProjection,
+          geometryType: 'polygon',
+          eightConnected: false,
+          maxPixels: 1e9,
+          tileScale: 4
+        });
+      })).flatten();
+
+      vectors = vectors.map(function(feat) {
+        return feat.setGeometry(feat.geometry().transform('EPSG:4326', 1));
+      });
+
+      return buildShorelineSegments(vectors, geometry, scale, ringToMidpointLine);
+
+    } catch (e) {
+      console.error('Error in contour extraction:', e);
+      updateStatus('Error during contour extraction: ' + e.message, true);
+      return null;
+    }
+  }
+
+  /**
+   * Extracts shoreline vectors with the selected extraction mode. Contour
+   * mode needs the water surface recorded by the detector and falls back
+   * to raster boundaries when none is available.
+   */
+  function extractShoreline(waterMask, geometry) {
+    if (state.shorelineExtraction === 'contour' && state.waterSurface) {
+      return extractContourShoreline(state.waterSurface, geometry);
+    }
+    return vectorizeWaterMask(waterMask, geometry);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // UI WORKFLOW
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  function initializeDrawing(map, callback, panel) {
+    map.drawingTools().setShown(true);
+    var drawingTools = map.drawingTools();
+    drawingTools.setShape('polygon');
+    drawingTools.setDrawModes(['polygon']);
+    drawingTools.layers().reset();
+
+    var dummyGeom = ui.Map.GeometryLayer({geometries: null, name: 'AOI'});
+    drawingTools.layers().add(dummyGeom);
+    drawingTools.draw();
+
+    panel.clear();
+    panel.add(ui.Label('Draw Study Area', STYLES.heading));
+
+    // Add drawing instructions with icon
+    var instructionsPanel = ui.Panel({
+      widgets: [
+        ui.Label(ICONS.info + ' Instructions:', {fontWeight: 'bold', margin: '4px 0'}),
+        ui.Label('1. Click points on map to draw your area of interest', {margin: '2px 0'}),
+        ui.Label('2. Complete the polygon by clicking on the first point', {margin: '2px 0'}),
+        ui.Label('3. Click "Confirm Selection" when finished', {margin: '2px 0'})
+      ],
+      style: {
+        padding: '8px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd',
+        margin: '5px 0'
+      }
+    });
+    panel.add(instructionsPanel);
+
+    // Add drawing tips
+    panel.add(ui.Label({
+      value: ICONS.help + ' Tip: You can edit points by dragging them after drawing',
+      style: {fontSize: '12px', color: '#666', margin: '5px 0'}
+    }));
+
+    var confirmButton = ui.Button({
+      label: 'Confirm Selection',
+      onClick: function() {
+        var geometry = drawingTools.layers().get(0).toGeometry();
+        if (!geometry) {
+          ui.alert('No Area Selected', 'Please draw an area first.');
+          updateStatus('No area selected. Please draw an area on the map.', true);
+          return;
+        }
+        updateStatus('Area selected successfully');
+        callback(ee.Geometry(geometry));
+      },
+      style: STYLES.button
+    });
+
+    var clearButton = ui.Button({
+      label: 'Clear Drawing',
+      onClick: function() {
+        drawingTools.layers().get(0).geometries().remove(0);
+        drawingTools.draw();
+        updateStatus('Drawing cleared. Please draw a new area.');
+      },
+      style: STYLES.button
+    });
+
+    var buttonPanel = ui.Panel({
+      widgets: [confirmButton, clearButton],
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '10px 0'}
+    });
+    panel.add(buttonPanel);
+  }
+
+  function showWelcome() {
+    resultsPanel.style().set('shown', false);
+    mainPanel.clear();
+    map.layers().reset();
+    map.setCenter(10, 51, 4);
+
+    // App title with version - Fixed to use proper GEE styling properties
+    var titleLabel = ui.Label({
+      value: 'Shoreline Detection Software v1.0.1',
+      style: {
+        fontSize: '20px',
+        fontWeight: 'bold',
+        margin: '10px 0',
+        padding: '5px 0'
+      }
+    });
+
+    // Add a separator panel instead of using borderBottom
+    var titleSeparator = ui.Panel({
+      style: {
+        height: '2px',
+        backgroundColor: '#4285F4',
+        margin: '0 0 10px 0',
+        stretch: 'horizontal'
+      }
+    });
+
+    mainPanel.add(titleLabel);
+    mainPanel.add(titleSeparator);
+
+    // Description panel
+    var descriptionPanel = ui.Panel({
+      widgets: [
+        ui.Label('Welcome to the Shoreline Detection Tool', STYLES.subheading),
+        ui.Label({
+          value: 'This application helps you detect shorelines from satellite imagery using ' +
+                 'multiple data sources and advanced techniques. The tool supports:',
+          style: {fontSize: '14px', margin: '5px 0'}
+        }),
+        ui.Label({
+          value: '• Sentinel-1 SAR radar data',
+          style: {fontSize: '13px', margin: '2px 0 2px 10px'}
+        }),
+        ui.Label({
+          value: '• Sentinel-2 optical imagery',
+          style: {fontSize: '13px', margin: '2px 0 2px 10px'}
+        }),
+        ui.Label({
+          value: '• Landsat 5/7/8/9 imagery (1984-present)',
+          style: {fontSize: '13px', margin: '2px 0 2px 10px'}
+        }),
+        ui.Label({
+          value: 'Start by clicking the button below and drawing your area of interest.',
+          style: {fontSize: '14px', margin: '10px 0 5px 0'}
+        })
+      ],
+      style: {
+        backgroundColor: 'white',
+        padding: '10px',
+        border: '1px solid #ddd',
+        margin: '5px 0 15px 0'
+      }
+    });
+
+    mainPanel.add(descriptionPanel);
+
+    // Start button with icon
+    var startButton = ui.Button({
+      label: ICONS.next + ' Start Analysis',
+      onClick: function() {
+        updateStatus('Drawing mode activated. Please draw your area of interest.');
+        showDrawAOI();
+      },
+      style: STYLES.button
+    });
+    mainPanel.add(startButton);
+
+    mainPanel.add(ui.Button({
+      label: 'Batch Mode (many AOIs)',
+      onClick: function() {
+        showBatchSettings();
+      },
+      style: STYLES.button
+    }));
+
+    // Credits and about section
+    var aboutPanel = ui.Panel({
+      widgets: [
+        ui.Label('About', {fontWeight: 'bold', margin: '5px 0'}),
+        ui.Label({
+          value: 'This tool uses Earth Engine to process satellite data and ' +
+                 'extract shorelines automatically. It provides multiple water detection ' +
+                 'algorithms for different environments.',
+          style: {fontSize: '12px', color: '#666'}
+        })
+      ],
+      style: {
+        position: 'bottom-center',
+        margin: '20px 0 0 0',
+        padding: '10px',
+        fontSize: '11px',
+        border: '1px solid #eee'
+      }
+    });
+    mainPanel.add(aboutPanel);
+
+    updateStatus('Ready to start shoreline detection. Click "Start Analysis"');
+  }
+
+  function showDrawAOI() {
+    initializeDrawing(map, function(geometry) {
+      state.aoi = geometry;
+      showMethodSelection();
+    }, mainPanel);
+  }
+
+  function showMethodSelection() {
+    mainPanel.clear();
+    mainPanel.add(ui.Label('Select Detection Method', STYLES.heading));
+
+    var methods = [
+      {label: 'Sentinel-1 SAR', value: 'sentinel1'},
+      {label: 'Sentinel-2 Optical', value: 'sentinel2'},
+      {label: 'Landsat 5/7/8/9', value: 'landsat'},
+      {label: 'HLS (Landsat + Sentinel-2, 30 m)', value: 'hls'},
+      {label: 'MODIS (500 m, regional screening)', value: 'modis'},
+      {label: 'Multi-Sensor Fusion', value: 'fusion'},
+      {label: 'Process Asset', value: 'asset'}  // Add asset option
+    ];
+
+    methods.forEach(function(method) {
+      mainPanel.add(ui.Button({
+        label: method.label,
+        onClick: function() {
+          state.shorelineMethod = method.value;
+          state.detectionApproach = 'threshold';
+          if (method.value === 'asset') {
+            addAssetSelector(mainPanel);
+          } else if (method.value === 'fusion') {
+            showFusionSettings();
+          } else {
+            showDateCloudSettings(method.value);
+          }
+        },
+        style: STYLES.button
+      }));
+    });
+
+    mainPanel.add(ui.Button({
+      label: 'Back',
+      onClick: showDrawAOI,
+      style: STYLES.button
+    }));
+  }
+
+  function showAdvancedSettings(method) {
+    mainPanel.clear();
+    mainPanel.add(ui.Label({
+      value: ICONS.settings + ' Advanced Settings',
+      style: STYLES.heading
+    }));
+
+    // Create a panel for all settings
+    var settingsPanel = ui.Panel({
+      style: {
+        padding: '10px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd'
+      }
+    });
+
+    // 1. Water Body Size Filter
+    var sizeHeader = createSectionHeader('Minimum Water Body Size',
+      'Controls the minimum size of water bodies to include in the analysis. ' +
+      'Higher values remove small ponds and noise, lower values keep more detail.');
+
+    settingsPanel.add(sizeHeader);
+
+    var minSizeSlider = ui.Slider({
+      min: 5,
+      max: 100,
+      value: state.waterBodySizeThreshold,
+      step: 5,
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.waterBodySizeThreshold = value;
+      }
+    });
+    settingsPanel.add(minSizeSlider);
+
+    // 2. Coastline Smoothing
+    var smoothingHeader = createSectionHeader('Coastline Smoothing',
+      'Controls how smooth the shoreline will appear. Higher values create smoother lines ' +
+      'but may lose detail. Lower values preserve detail but may show pixelation.');
+
+    settingsPanel.add(smoothingHeader);
+
+    var kernelSizeSlider = ui.Slider({
+      min: 1,
+      max: 5,
+      value: state.smoothingKernelSize,
+      step: 1,
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.smoothingKernelSize = value;
+      }
+    });
+    settingsPanel.add(ui.Label('Kernel Size:', {margin: '4px 0'}));
+    settingsPanel.add(kernelSizeSlider);
+
+    var iterationsSlider = ui.Slider({
+      min: 1,
+      max: 5,
+      value: state.smoothingIterations,
+      step: 1,
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.smoothingIterations = value;
+      }
+    });
+    settingsPanel.add(ui.Label('Smoothing Iterations:', {margin: '4px 0'}));
+    settingsPanel.add(iterationsSlider);
+
+    var smoothingInfo = ui.Label({
+      value: findOption(LINE_SMOOTHING_METHODS, state.smoothingMethod).description,
+      style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+    });
+    settingsPanel.add(ui.Label('Line Smoothing:', {margin: '4px 0'}));
+    settingsPanel.add(ui.Select({
+      items: LINE_SMOOTHING_METHODS.map(function(m) {
+        return {label: m.label, value: m.value};
+      }),
+      value: state.smoothingMethod,
+      onChange: function(value) {
+        state.smoothingMethod = value;
+        smoothingInfo.setValue(findOption(LINE_SMOOTHING_METHODS, value).description);
+      },
+      style: {width: '300px'}
+    }));
+    settingsPanel.add(smoothingInfo);
+
+    var simplifySlider = ui.Slider({
+      min: 0,
+      max: 50,
+      value: state.simplifyTolerance,
+      step: 1,
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.simplifyTolerance = value;
+      }
+    });
+    settingsPanel.add(ui.Label('Simplification Tolerance (m, 0 = off):', {margin: '4px 0'}));
+    settingsPanel.add(simplifySlider);
+
+    // 3. Water Body Classes
+    settingsPanel.add(createSectionHeader('Water Body Classes',
+      'Water bodies are labelled sea, lagoon, river or inland lake by their connection ' +
+      'to the open sea. Only the checked classes produce shoreline.'));
+
+    var seaSourceInfo = ui.Label({
+      value: findOption(SEA_SOURCES, state.seaSource).description,
+      style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+    });
+    var landMaskBox = ui.Textbox({
+      placeholder: 'users/username/land_mask',
+      value: state.landMaskAsset,
+      onChange: function(value) {
+        state.landMaskAsset = value.trim();
+      },
+      style: {width: '300px', shown: state.seaSource === 'asset'}
+    });
+
+    settingsPanel.add(ui.Label('Open Sea Reference:', {margin: '4px 0'}));
+    settingsPanel.add(ui.Select({
+      items: SEA_SOURCES.map(function(s) {
+        return {label: s.label, value: s.value};
+      }),
+      value: state.seaSource,
+      onChange: function(value) {
+        state.seaSource = value;
+        seaSourceInfo.setValue(findOption(SEA_SOURCES, value).description);
+        landMaskBox.style().set('shown', value === 'asset');
+      },
+      style: {width: '300px'}
+    }));
+    settingsPanel.add(seaSourceInfo);
+    settingsPanel.add(landMaskBox);
+
+    settingsPanel.add(ui.Label('Extract Shoreline Of:', {margin: '4px 0'}));
+    WATER_CLASSES.forEach(function(waterClass) {
+      settingsPanel.add(ui.Checkbox({
+        label: waterClass.label,
+        value: state.shorelineClasses.indexOf(waterClass.value) !== -1,
+        onChange: function(checked) {
+          state.shorelineClasses = state.shorelineClasses.filter(function(value) {
+            return value !== waterClass.value;
+          });
+          if (checked) {
+            state.shorelineClasses.push(waterClass.value);
+          }
+        }
+      }));
+    });
+
+    var bufferSlider = ui.Slider({
+      min: 0.1,
+      max: 2.0,
+      value: state.coastalBuffer,
+      step: 0.1,
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.coastalBuffer = value;
+      }
+    });
+    settingsPanel.add(ui.Label('Lagoon Search Distance (km):', {margin: '4px 0'}));
+    settingsPanel.add(bufferSlider);
+
+    // 4. Shoreline Extraction
+    settingsPanel.add(createSectionHeader('Shoreline Extraction',
+      'How the shoreline line is derived. Raster boundary follows the water mask pixels; ' +
+      'sub-pixel contour follows the threshold contour of the continuous water index.'));
+
+    var extractionInfo = ui.Label({
+      value: findOption(SHORELINE_EXTRACTION_MODES, state.shorelineExtraction).description,
+      style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+    });
+
+    var extractionSelect = ui.Select({
+      items: SHORELINE_EXTRACTION_MODES.map(function(m) {
+        return {label: m.label, value: m.value};
+      }),
+      value: state.shorelineExtraction,
+      onChange: function(value) {
+        state.shorelineExtraction = value;
+        extractionInfo.setValue(findOption(SHORELINE_EXTRACTION_MODES, value).description);
+      },
+      style: {width: '300px'}
+    });
+    settingsPanel.add(extractionSelect);
+    settingsPanel.add(extractionInfo);
+
+    // 5. Cloud Masking (optical only)
+    if (CLOUD_MASK_SETTINGS[method]) {
+      settingsPanel.add(createSectionHeader('Cloud Masking',
+        'Per-pixel removal of clouds, cirrus and cloud shadows before compositing. ' +
+        'Unmasked clouds and shadows otherwise show up as false water.'));
+
+      var cloudMaskSettings = CLOUD_MASK_SETTINGS[method];
+      var cloudMaskOptions = cloudMaskSettings.options;
+      var cloudMaskValue = state[cloudMaskSettings.field];
+
+      var cloudMaskInfo = ui.Label({
+        value: findOption(cloudMaskOptions, cloudMaskValue).description,
+        style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+      });
+
+      var probabilityLabel = ui.Label('Cloud Probability Threshold (%):', {
+        margin: '4px 0',
+        shown: method === 'sentinel2' && state.s2CloudMask === 's2cloudless'
+      });
+      var probabilitySlider = ui.Slider({
+        min: 10,
+        max: 90,
+        value: state.cloudProbability,
+        step: 5,
+        style: {
+          width: '300px',
+          shown: method === 'sentinel2' && state.s2CloudMask === 's2cloudless'
+        },
+        onChange: function(value) {
+          state.cloudProbability = value;
+        }
+      });
+
+      var cloudMaskSelect = ui.Select({
+        items: cloudMaskOptions.map(function(m) {
+          return {label: m.label, value: m.value};
+        }),
+        value: cloudMaskValue,
+        onChange: function(value) {
+          state[cloudMaskSettings.field] = value;
+          cloudMaskInfo.setValue(findOption(cloudMaskOptions, value).description);
+          probabilityLabel.style().set('shown', value === 's2cloudless');
+          probabilitySlider.style().set('shown', value === 's2cloudless');
+        },
+        style: {width: '300px'}
+      });
+
+      settingsPanel.add(cloudMaskSelect);
+      settingsPanel.add(cloudMaskInfo);
+      settingsPanel.add(probabilityLabel);
+      settingsPanel.add(probabilitySlider);
+
+      settingsPanel.add(ui.Label('Mask Dilation Buffer (m):', {margin: '4px 0'}));
+      var cloudBufferSlider = ui.Slider({
+        min: 0,
+        max: 300,
+        value: state.cloudBuffer,
+        step: 10,
+        style: {width: '300px'},
+        onChange: function(value) {
+          state.cloudBuffer = value;
+        }
+      });
+      settingsPanel.add(cloudBufferSlider);
+    }
+
+    // 6. Water Detection Sensitivity (method-specific)
+    var waterDetectionHeader = createSectionHeader('Water Detection Settings',
+      method === 'sentinel1' ?
+        'SAR-specific settings for water detection sensitivity' :
+        'Optical imagery water detection parameters');
+
+    settingsPanel.add(waterDetectionHeader);
+
+    settingsPanel.add(ui.Label('Detection Approach:', {margin: '4px 0'}));
+    settingsPanel.add(ui.Select({
+      items: [
+        {label: 'Threshold (automatic)', value: 'threshold'},
+        {label: 'Supervised classification', value: 'supervised'}
+      ],
+      value: state.detectionApproach,
+      onChange: function(value) {
+        state.detectionApproach = value;
+      },
+      style: {width: '300px'}
+    }));
+
+    settingsPanel.add(ui.Label('Threshold Method:', {margin: '4px 0'}));
+
+    var thresholdMethodInfo = ui.Label({
+      value: getThresholdMethod(state.thresholdMethod).description,
+      style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+    });
+
+    var thresholdMethodSelect = ui.Select({
+      items: THRESHOLD_METHODS.map(function(m) {
+        return {label: m.label, value: m.value};
+      }),
+      value: state.thresholdMethod,
+      onChange: function(value) {
+        state.thresholdMethod = value;
+        thresholdMethodInfo.setValue(getThresholdMethod(value).description);
+      },
+      style: {width: '300px'}
+    });
+    settingsPanel.add(thresholdMethodSelect);
+    settingsPanel.add(thresholdMethodInfo);
+
+    if (method === 'sentinel1') {
+      settingsPanel.add(ui.Label({
+        value: 'SAR Votes Required (1-3):',
+        style: {fontSize: '13px', margin: '4px 0'}
+      }));
+
+      var tooltipText = 'Number of SAR indicators (VV, VH, ratio) that must agree for water classification. ' +
+                        'Higher is more conservative, lower detects more water but may have false positives.';
+
+      settingsPanel.add(createInfoTooltip(tooltipText));
+
+      var sarVotesSlider = ui.Slider({
+        min: 1,
+        max: 3,
+        value: state.sarVotesRequired,
+        step: 1,
+        style: {width: '300px'},
+        onChange: function(value) {
+          state.sarVotesRequired = value;
+        }
+      });
+      settingsPanel.add(sarVotesSlider);
+
+      // Speckle filter
+      settingsPanel.add(createSectionHeader('Speckle Filter',
+        'Reduces SAR speckle before compositing so the land/water edge is less jagged.'));
+
+      var speckleInfo = ui.Label({
+        value: findOption(SPECKLE_FILTERS, state.sarSpeckleFilter).description,
+        style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+      });
+      var kernelLabel = ui.Label('Filter Window (pixels):', {
+        margin: '4px 0',
+        shown: state.sarSpeckleFilter !== 'none' && state.sarSpeckleFilter !== 'refinedLee'
+      });
+      var sarKernelSlider = ui.Slider({
+        min: 3,
+        max: 9,
+        value: state.sarKernelSize,
+        step: 2,
+        style: {
+          width: '300px',
+          shown: state.sarSpeckleFilter !== 'none' && state.sarSpeckleFilter !== 'refinedLee'
+        },
+        onChange: function(value) {
+          state.sarKernelSize = value;
+        }
+      });
+
+      settingsPanel.add(ui.Select({
+        items: SPECKLE_FILTERS.map(function(f) {
+          return {label: f.label, value: f.value};
+        }),
+        value: state.sarSpeckleFilter,
+        onChange: function(value) {
+          state.sarSpeckleFilter = value;
+          speckleInfo.setValue(findOption(SPECKLE_FILTERS, value).description);
+          // Refined Lee uses fixed 7x7 directional windows
+          var hasWindow = value !== 'none' && value !== 'refinedLee';
+          kernelLabel.style().set('shown', hasWindow);
+          sarKernelSlider.style().set('shown', hasWindow);
+        },
+        style: {width: '300px'}
+      }));
+      settingsPanel.add(speckleInfo);
+      settingsPanel.add(kernelLabel);
+      settingsPanel.add(sarKernelSlider);
+
+      // Acquisition geometry
+      settingsPanel.add(createSectionHeader('Acquisition Geometry',
+        'Mixing ascending and descending passes or different relative orbits changes the ' +
+        'look direction and incidence angle, which shifts the apparent waterline.'));
+
+      settingsPanel.add(ui.Label('Orbit Pass:', {margin: '4px 0'}));
+      settingsPanel.add(ui.Select({
+        items: SAR_ORBIT_PASSES,
+        value: state.sarOrbitPass,
+        onChange: function(value) {
+          state.sarOrbitPass = value;
+        },
+        style: {width: '150px'}
+      }));
+
+      settingsPanel.add(ui.Label('Relative Orbits (blank = all):', {margin: '4px 0'}));
+      settingsPanel.add(ui.Textbox({
+        placeholder: 'e.g. 15, 88',
+        value: state.sarRelativeOrbits,
+        onChange: function(value) {
+          state.sarRelativeOrbits = value;
+        },
+        style: {width: '150px'}
+      }));
+
+      var referenceAngleSlider = ui.Slider({
+        min: 30,
+        max: 45,
+        value: state.sarReferenceAngle,
+        step: 1,
+        style: {width: '300px', shown: state.sarAngleNormalization},
+        onChange: function(value) {
+          state.sarReferenceAngle = value;
+        }
+      });
+      settingsPanel.add(ui.Checkbox({
+        label: 'Normalize to reference incidence angle (°)',
+        value: state.sarAngleNormalization,
+        onChange: function(checked) {
+          state.sarAngleNormalization = checked;
+          referenceAngleSlider.style().set('shown', checked);
+        }
+      }));
+      settingsPanel.add(referenceAngleSlider);
+    }
+
+    if (OPTICAL_SENSORS[method]) {
+      var thresholdPanel = ui.Panel({
+        layout: ui.Panel.Layout.flow('horizontal'),
+        style: {margin: '4px 0'}
+      });
+
+      var useCustomThreshold = ui.Checkbox({
+        label: 'Use custom threshold',
+        value: state.useCustomThreshold,
+        onChange: function(checked) {
+          thresholdSlider.setDisabled(!checked);
+          state.useCustomThreshold = checked;
+        }
+      });
+
+      thresholdPanel.add(useCustomThreshold);
+      thresholdPanel.add(createInfoTooltip(
+        'Enable to manually set water threshold instead of using automatic thresholding. ' +
+        'Useful for fine-tuning results in complex areas.'
+      ));
+
+      settingsPanel.add(thresholdPanel);
+
+      var thresholdSlider = ui.Slider({
+        min: -1,
+        max: 1,
+        value: state.waterThreshold,
+        step: 0.05,
+        style: {width: '300px'},
+        disabled: !state.useCustomThreshold,
+        onChange: function(value) {
+          state.waterThreshold = value;
+        }
+      });
+      settingsPanel.add(thresholdSlider);
+    }
+
+    mainPanel.add(settingsPanel);
+
+    // Add process and back buttons
+    var buttonPanel = ui.Panel({
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '20px 0'}
+    });
+
+    buttonPanel.add(ui.Button({
+      label: ICONS.next + ' Continue',
+      onClick: function() {
+        updateStatus('Configuring date and image settings');
+        showDateCloudSettings(method);
+      },
+      style: STYLES.button
+    }));
+
+    buttonPanel.add(ui.Button({
+      label: ICONS.back + ' Back',
+      onClick: function() {
+        updateStatus('Returning to method selection');
+        showMethodSelection();
+      },
+      style: STYLES.button
+    }));
+
+    mainPanel.add(buttonPanel);
+  }
+
+  function showDateCloudSettings(method) {
+    mainPanel.clear();
+    mainPanel.add(ui.Label('Image Selection Settings', STYLES.heading));
+
+    // Date range panel with white background
+    var dateRangePanel = ui.Panel({
+      widgets: [
+        ui.Label('Select the time period for image acquisition. Shorter time periods may have fewer images but better seasonal consistency.', {
+          margin: '5px 0',
+          fontSize: '13px'
+        })
+      ],
+      style: {
+        padding: '10px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd',
+        margin: '5px 0 15px 0'
+      }
+    });
+    mainPanel.add(dateRangePanel);
+
+    // Date range inputs
+    var now = Date.now();
+    var oneMonthAgo = new Date();
+    oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
+
+    var startDateBox = ui.Textbox({
+      placeholder: 'YYYY-MM-DD',
+      value: oneMonthAgo.toISOString().split('T')[0],
+      onChange: function(value) {
+        if (validateDate(value)) {
+          this.style().set('color', 'black');
+          state.dateRange.start = ee.Date(value);
+        } else {
+          this.style().set('color', 'red');
+          ui.alert('Please enter a valid start date (YYYY-MM-DD)');
+        }
+      },
+      style: {width: '150px'}
+    });
+
+    var endDateBox = ui.Textbox({
+      placeholder: 'YYYY-MM-DD',
+      value: new Date(now).toISOString().split('T')[0],
+      onChange: function(value) {
+        if (validateDate(value)) {
+          this.style().set('color', 'black');
+          state.dateRange.end = ee.Date(value);
+        } else {
+          this.style().set('color', 'red');
+          ui.alert('Please enter a valid end date (YYYY-MM-DD)');
+        }
+      },
+      style: {width: '150px'}
+    });
+
+    var startDatePanel = ui.Panel({
+      widgets: [ui.Label('Start:', {margin: '4px 8px 4px 0px'}), startDateBox],
+      layout: ui.Panel.Layout.flow('horizontal')
+    });
+    mainPanel.add(startDatePanel);
+
+    var endDatePanel = ui.Panel({
+      widgets: [ui.Label('End:', {margin: '12px 8px 4px 0px'}), endDateBox],
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '8px 0 0 0'}
+    });
+    mainPanel.add(endDatePanel);
+
+    // Cloud cover (not needed for Sentinel-1)
+    if (method !== 'sentinel1') {
+      mainPanel.add(createSectionHeader('Cloud Cover Maximum (%)',
+        'Maximum cloud cover percentage allowed in images. Lower values ensure clearer images but may reduce the number of available scenes.'));
+
+      var cloudSlider = ui.Slider({
+        min: 0, max: 100, value: state.cloudCover, step: 5,
+        onChange: function(value) {
+          state.cloudCover = value;
+        },
+        style: {width: '300px'}
+      });
+      mainPanel.add(cloudSlider);
+    }
+
+    // Landsat mission selection
+    if (method === 'landsat' || (method === 'fusion' && state.fusion.sensors.indexOf('landsat') !== -1)) {
+      mainPanel.add(createSectionHeader('Landsat Missions',
+        'Choose which Landsat missions to merge. Bands are harmonized to a common scheme ' +
+        'and scaled to surface reflectance, so results are comparable across 1984-present.'));
+
+      var archiveInfo = ui.Label({
+        value: findOption(LANDSAT_ARCHIVES, state.landsatArchive).description,
+        style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+      });
+
+      var archiveSelect = ui.Select({
+        items: LANDSAT_ARCHIVES.map(function(a) {
+          return {label: a.label, value: a.value};
+        }),
+        value: state.landsatArchive,
+        onChange: function(value) {
+          state.landsatArchive = value;
+          archiveInfo.setValue(findOption(LANDSAT_ARCHIVES, value).description);
+        },
+        style: {width: '300px'}
+      });
+      mainPanel.add(archiveSelect);
+      mainPanel.add(archiveInfo);
+    }
+
+    // Tide stage filtering and correction
+    mainPanel.add(createSectionHeader('Tides',
+      'Restrict scenes to a tide band and correct the waterline to a reference datum. ' +
+      'Recommended on meso- and macrotidal coasts.'));
+    mainPanel.add(ui.Panel({
+      widgets: [
+        ui.Label(state.tide.enabled ?
+          'Tide band ' + state.tide.minLevel + ' to ' + state.tide.maxLevel + ' m' +
+          (state.tide.correct ? ', corrected to ' + state.tide.datumLevel + ' m' : '') :
+          'Tide filtering off', {fontSize: '13px', margin: '8px 8px 0 0'}),
+        ui.Button({
+          label: ICONS.settings + ' Tide Settings',
+          onClick: function() {
+            showTideSettings(method);
+          },
+          style: STYLES.button
+        })
+      ],
+      layout: ui.Panel.Layout.flow('horizontal')
+    }));
+
+    // Single composite, time series or water occurrence (not available for fusion)
+    if (method !== 'fusion') {
+      mainPanel.add(createSectionHeader('Analysis Mode',
+        'Single composite produces one shoreline for the whole period. Time series splits ' +
+        'the period into windows and extracts a dated shoreline for each. Water occurrence ' +
+        'classifies every scene and traces iso-frequency shorelines as an envelope.'));
+
+      var windowInfo = ui.Label({
+        value: findOption(TIME_SERIES_WINDOWS, state.timeSeriesWindow).description,
+        style: {fontSize: '12px', color: '#666', margin: '3px 0', shown: state.analysisMode === 'series'}
+      });
+
+      var windowSelect = ui.Select({
+        items: TIME_SERIES_WINDOWS.map(function(w) {
+          return {label: w.label, value: w.value};
+        }),
+        value: state.timeSeriesWindow,
+        onChange: function(value) {
+          state.timeSeriesWindow = value;
+          windowInfo.setValue(findOption(TIME_SERIES_WINDOWS, value).description);
+        },
+        style: {width: '150px', shown: state.analysisMode === 'series'}
+      });
+
+      var levelsBox = ui.Textbox({
+        placeholder: 'e.g. 10, 50, 90',
+        value: state.occurrenceLevels.join(', '),
+        onChange: function(value) {
+          var levels = parseOccurrenceLevels(value);
+          if (levels.length > 0) {
+            this.style().set('color', 'black');
+            state.occurrenceLevels = levels;
+          } else {
+            this.style().set('color', 'red');
+            ui.alert('Please enter frequency levels between 1 and 99 (%), separated by commas');
+          }
+        },
+        style: {width: '150px', shown: state.analysisMode === 'occurrence'}
+      });
+      var levelsLabel = ui.Label('Shoreline Frequency Levels (%):', {
+        margin: '4px 0',
+        shown: state.analysisMode === 'occurrence'
+      });
+
+      mainPanel.add(ui.Select({
+        items: [
+          {label: 'Single composite', value: 'single'},
+          {label: 'Time series', value: 'series'},
+          {label: 'Water occurrence', value: 'occurrence'}
+        ],
+        value: state.analysisMode,
+        onChange: function(value) {
+          state.analysisMode = value;
+          windowSelect.style().set('shown', value === 'series');
+          windowInfo.style().set('shown', value === 'series');
+          levelsLabel.style().set('shown', value === 'occurrence');
+          levelsBox.style().set('shown', value === 'occurrence');
+        },
+        style: {width: '150px'}
+      }));
+      mainPanel.add(windowSelect);
+      mainPanel.add(windowInfo);
+      mainPanel.add(levelsLabel);
+      mainPanel.add(levelsBox);
+    }
+
+    // Composite method selection
+    mainPanel.add(createSectionHeader('Composite Method',
+      'Method used to combine multiple images into one. Not used in water occurrence mode, which classifies every scene.'));
+
+    var compositeInfo = ui.Label(findOption(COMPOSITE_METHODS, state.compositeMethod).description, {
+      fontSize: '12px',
+      color: '#666',
+      margin: '2px 0 6px 0'
+    });
+
+    var percentileLabel = ui.Label('Percentile: ' + state.compositePercentile, {
+      margin: '4px 0',
+      shown: state.compositeMethod === 'percentile'
+    });
+    var percentileSlider = ui.Slider({
+      min: 5,
+      max: 95,
+      value: state.compositePercentile,
+      step: 5,
+      onChange: function(value) {
+        state.compositePercentile = value;
+        percentileLabel.setValue('Percentile: ' + value);
+      },
+      style: {width: '200px', shown: state.compositeMethod === 'percentile'}
+    });
+
+    // SAR quality mosaics always use the backscatter score
+    var scoreShown = state.compositeMethod === 'qualityMosaic' && method !== 'sentinel1';
+    var scoreSelect = ui.Select({
+      items: COMPOSITE_SCORES.map(function(score) {
+        return {label: score.label, value: score.value};
+      }),
+      value: state.compositeScore,
+      onChange: function(value) {
+        state.compositeScore = value;
+        scoreInfo.setValue(findOption(COMPOSITE_SCORES, value).description);
+      },
+      style: {width: '200px', shown: scoreShown}
+    });
+    var scoreInfo = ui.Label(findOption(COMPOSITE_SCORES, state.compositeScore).description, {
+      fontSize: '12px',
+      color: '#666',
+      margin: '2px 0 6px 0',
+      shown: scoreShown
+    });
+
+    mainPanel.add(ui.Select({
+      items: COMPOSITE_METHODS.map(function(composite) {
+        return {label: composite.label, value: composite.value};
+      }),
+      value: state.compositeMethod,
+      onChange: function(value) {
+        state.compositeMethod = value;
+        compositeInfo.setValue(findOption(COMPOSITE_METHODS, value).description);
+        percentileLabel.style().set('shown', value === 'percentile');
+        percentileSlider.style().set('shown', value === 'percentile');
+        scoreSelect.style().set('shown', value === 'qualityMosaic' && method !== 'sentinel1');
+        scoreInfo.style().set('shown', value === 'qualityMosaic' && method !== 'sentinel1');
+      },
+      style: {width: '150px'}
+    }));
+    mainPanel.add(compositeInfo);
+    mainPanel.add(percentileLabel);
+    mainPanel.add(percentileSlider);
+    mainPanel.add(scoreSelect);
+    mainPanel.add(scoreInfo);
+
+    // Add buttons
+    var buttonPanel = ui.Panel({
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '20px 0'}
+    });
+
+    buttonPanel.add(ui.Button({
+      label: OPTICAL_SENSORS[method] ? 'Select Water Index' :
+        (state.detectionApproach === 'supervised' && supportsSupervised(method) ? 'Draw Training Samples' : 'Process Images'),
+      onClick: function() {
+        if (OPTICAL_SENSORS[method]) {
+          updateStatus('Selecting water index for ' + OPTICAL_SENSORS[method].label);
+          showWaterIndexOptions(method);
+        } else if (state.detectionApproach === 'supervised' && supportsSupervised(method)) {
+          showTrainingSamples(method);
+        } else {
+          updateStatus('Processing ' + method + ' imagery...');
+          processImagery(method);
+        }
+      },
+      style: STYLES.button
+    }));
+
+    buttonPanel.add(ui.Button({
+      label: ICONS.back + ' Back',
+      onClick: function() {
+        if (method === 'fusion') {
+          showFusionSettings();
+          return;
+        }
+        updateStatus('Returning to advanced settings');
+        showAdvancedSettings(method);
+      },
+      style: STYLES.button
+    }));
+
+    mainPanel.add(buttonPanel);
+  }
+
+  /**
+   * Lets the user pick the water index for an optical method, or switch to
+   * supervised classification.
+   */
+  function showWaterIndexOptions(method) {
+    mainPanel.clear();
+    mainPanel.add(ui.Label('Select Water Index', STYLES.heading));
+
+    // Information about water indices
+    var infoPanel = ui.Panel({
+      widgets: [
+        ui.Label({
+          value: 'Water indices use different band combinations to highlight water features. Choose the best index for your environment:',
+          style: {fontSize: '13px', margin: '3px 0'}
+        })
+      ],
+      style: {
+        padding: '8px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd',
+        margin: '5px 0 10px 0'
+      }
+    });
+    mainPanel.add(infoPanel);
+
+    // Create index cards with descriptions, for the indices the sensor's bands support
+    WATER_INDICES.filter(function(idx) {
+      return hasBandRoles(method, idx.roles);
+    }).forEach(function(idx) {
+      var indexCard = ui.Panel({
+        widgets: [
+          ui.Label({
+            value: idx.label,
+            style: {fontWeight: 'bold', fontSize: '14px', margin: '5px 0'}
+          }),
+          ui.Label({
+            value: idx.description,
+            style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+          }),
+          ui.Button({
+            label: 'Select',
+            onClick: function() {
+              state.waterIndex = idx.value;
+              state.detectionApproach = 'threshold';
+              updateStatus('Processing with ' + idx.label + '...');
+              processImagery(method);
+            },
+            style: STYLES.button
+          })
+        ],
+        style: {
+          padding: '8px',
+          backgroundColor: 'white',
+          border: '1px solid #ddd',
+          margin: '8px 0'
+        }
+      });
+      mainPanel.add(indexCard);
+    });
+
+    // When no index separates water from land, train a classifier instead
+    mainPanel.add(ui.Panel({
+      widgets: [
+        ui.Label({
+          value: 'Supervised Classification',
+          style: {fontWeight: 'bold', fontSize: '14px', margin: '5px 0'}
+        }),
+        ui.Label({
+          value: 'Draw water and land samples and train a classifier on all bands and indices. ' +
+                 'Use it where wet sand, turbid water or shadows defeat the indices.',
+          style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+        }),
+        ui.Button({
+          label: 'Select',
+          onClick: function() {
+            state.detectionApproach = 'supervised';
+            showTrainingSamples(method);
+          },
+          style: STYLES.button
+        })
+      ],
+      style: {
+        padding: '8px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd',
+        margin: '8px 0',
+        shown: supportsSupervised(method)
+      }
+    }));
+
+    mainPanel.add(ui.Button({
+      label: ICONS.back + ' Back',
+      onClick: function() {
+        if (method === 'asset') {
+          updateStatus('Returning to asset settings');
+          addAssetSelector(mainPanel);
+          return;
+        }
+        updateStatus('Returning to date settings');
+        showDateCloudSettings(method);
+      },
+      style: STYLES.button
+    }));
+  }
+
+  /**
+   * Whether supervised detection applies: it classifies a single composite
+   * or asset, so fusion, time series and occurrence runs use thresholds.
+   */
+  function supportsSupervised(method) {
+    return method === 'asset' || (method !== 'fusion' && state.analysisMode === 'single');
+  }
+
+  function processImagery(method) {
+    var startDate = state.dateRange.start || ee.Date(Date.now()).advance(-1, 'month');
+    var endDate   = state.dateRange.end   || ee.Date(Date.now());
+
+    if (state.shorelineClasses.length === 0) {
+      updateStatus('Select at least one water body class in Advanced Settings', true);
+      return;
+    }
+
+    // Training samples belong to one composite; other modes must not reuse them
+    if (state.detectionApproach === 'supervised' && !supportsSupervised(method)) {
+      state.detectionApproach = 'threshold';
+      state.trainingSamples = null;
+      state.classifierReport = null;
+    }
+
+    // Clear previous results and show loading
+    state.thresholdValues = {};
+    state.waterSurface = null;
+    state.tideCorrection = null;
+    state.classifierReport = null;
+    resultsPanel.clear();
+    mainPanel.clear();
+
+    // Create progress panel
+    var progressPanel = ui.Panel({
+      widgets: [
+        ui.Label({
+          value: 'Processing ' + method.toUpperCase() + ' imagery...',
+          style: {fontWeight: 'bold', margin: '5px 0'}
+        }),
+        ui.Label({
+          value: 'This may take a few minutes. Please wait.',
+          style: {fontSize: '13px', margin: '5px 0'}
+        })
+      ],
+      style: {
+        padding: '10px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd',
+        margin: '10px 0'
+      }
+    });
+
+    mainPanel.add(ui.Label('Processing Status', STYLES.heading));
+    mainPanel.add(progressPanel);
+
+    // Add a cancel button
+    mainPanel.add(ui.Button({
+      label: 'Cancel',
+      onClick: function() {
+        updateStatus('Processing cancelled');
+        showMethodSelection();
+      },
+      style: STYLES.button
+    }));
+
+    try {
+      updateStatus('Processing ' + method + ' imagery...');
+
+      if (state.analysisMode === 'series' && method !== 'fusion' && method !== 'asset') {
+        processTimeSeries(method, startDate, endDate, progressPanel);
+        return;
+      }
+      if (state.analysisMode === 'occurrence' && method !== 'fusion' && method !== 'asset') {
+        processOccurrence(method, startDate, endDate, progressPanel);
+        return;
+      }
+
+      switch(method) {
+        case 'sentinel1':
+          processSentinel1(startDate, endDate, progressPanel);
+          break;
+        case 'sentinel2':
+          processSentinel2(startDate, endDate, progressPanel);
+          break;
+        case 'landsat':
+          processLandsat(startDate, endDate, progressPanel);
+          break;
+        case 'hls':
+        case 'modis':
+          processOptical(method, startDate, endDate, progressPanel);
+          break;
+        case 'fusion':
+          processFusion(startDate, endDate, progressPanel);
+          break;
+        case 'asset':
+          processAsset(progressPanel);
+          break;
+      }
+    } catch(e) {
+      progressPanel.clear();
+      progressPanel.add(ui.Label({
+        value: ICONS.warning + ' Error: ' + e.message,
+        style: {color: 'red', fontWeight: 'bold'}
+      }));
+      updateStatus('Error during processing: ' + e.message, true);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // DISPLAY & EXPORT
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  function displayResults(method, water, shoreline, progressPanel) {
+    state.results[method] = {
+      water: water,
+      shoreline: shoreline
+    };
+    recordShoreline(method, water, shoreline);
+
+    map.layers().reset();
+
+    // Update progress panel
+    progressPanel.clear();
+    progressPanel.add(ui.Label({
+      value: ICONS.results + ' Processing complete!',
+      style: {color: '#2E7D32', fontWeight: 'bold', margin: '5px 0'}
+    }));
+
+    // Show raw image
+    if (state.rawImage) {
+      switch(method) {
+        case 'sentinel1':
+          map.addLayer(state.rawImage, {
+            bands: ['VV'],
+            min: -25, max: 0,
+            palette: ['black', 'white']
+          }, method + ' Raw SAR (VV)', true);
+          break;
+        case 'fusion':
+          map.addLayer(state.rawImage, {
+            min: 0.5, max: 1,
+            palette: AGREEMENT_PALETTE
+          }, 'Sensor Agreement', true);
+          break;
+        case 'sentinel2':
+        case 'landsat':
+        case 'hls':
+        case 'modis':
+        case 'asset':
+          if (hasBandRoles(method, ['RED', 'GREEN', 'BLUE'])) {
+            map.addLayer(getBandRoles(state.rawImage, method), {
+              bands: ['RED', 'GREEN', 'BLUE'],
+              min: 0, max: 0.3
+            }, method + ' True Color', true);
+          }
+          break;
+      }
+    }
+
+    // Show water
+    if (water) {
+      map.addLayer(water.selfMask(), {
+        palette: ['#0000FF'],
+        opacity: 0.5
+      }, method + ' Water');
+    }
+
+    // Show shoreline
+    if (shoreline) {
+      map.addLayer(shoreline, {color: '#FF0000', width: 3}, method + ' Shoreline');
+    }
+
+    map.centerObject(state.aoi, 12);
+    updateStatus('Completed processing ' + method + ' imagery');
+
+    // Prepare the results panel
+    resultsPanel.clear();
+    resultsPanel.style().set('shown', true);
+
+    // Add title to results panel - Fixed to use proper GEE styling
+    var resultsTitle = ui.Label({
+      value: ICONS.results + ' Results & Export',
+      style: {
+        fontSize: '18px',
+        fontWeight: 'bold',
+        margin: '10px 0 0 0',
+        padding: '5px 0'
+      }
+    });
+
+    // Add a separator panel instead of using borderBottom
+    var resultsSeparator = ui.Panel({
+      style: {
+        height: '2px',
+        backgroundColor: '#4285F4',
+        margin: '0 0 10px 0',
+        stretch: 'horizontal'
+      }
+    });
+
+    resultsPanel.add(resultsTitle);
+    resultsPanel.add(resultsSeparator);
+
+    // Results summary with safe date formatting
+    var summaryPanel = ui.Panel({
+      widgets: [
+        ui.Label('Processing Summary', {fontWeight: 'bold', margin: '5px 0'}),
+        ui.Label('Method: ' + method, {fontSize: '13px', margin: '2px 0'})
+      ],
+      style: {
+        padding: '8px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd',
+        margin: '5px 0'
+      }
+    });
+
+    // Safely add date range if available
+    if (state.dateRange.start && state.dateRange.end) {
+      try {
+        var startDateStr = state.dateRange.start.format('YYYY-MM-DD').getInfo();
+        var endDateStr = state.dateRange.end.format('YYYY-MM-DD').getInfo();
+        summaryPanel.add(ui.Label('Date Range: ' + startDateStr + ' to ' + endDateStr,
+          {fontSize: '13px', margin: '2px 0'}));
+      } catch (e) {
+        // If formatting fails, show a simpler message
+        summaryPanel.add(ui.Label('Custom date range applied',
+          {fontSize: '13px', margin: '2px 0'}));
+      }
+    } else {
+      // Default message when dates aren't explicitly set
+      summaryPanel.add(ui.Label('Date Range: Last month',
+        {fontSize: '13px', margin: '2px 0'}));
+    }
+
+    // Add method-specific info
+    if (state.classifierReport) {
+      var report = state.classifierReport;
+      var classifierName = findOption(CLASSIFIERS, report.type).label;
+      var classifierLabel = ui.Label('Classifier: ' + classifierName, {fontSize: '13px', margin: '2px 0'});
+      summaryPanel.add(classifierLabel);
+      report.accuracy.evaluate(function(value) {
+        if (value !== null && value !== undefined) {
+          classifierLabel.setValue('Classifier: ' + classifierName + ', ' +
+            report.accuracyLabel.toLowerCase() + ' ' + formatPercent(value));
+        }
+      });
+    } else if (OPTICAL_SENSORS[method]) {
+      summaryPanel.add(ui.Label('Water Index: ' + state.waterIndex,
+        {fontSize: '13px', margin: '2px 0'}));
+    }
+
+    var compositeLabel = ui.Label('Composite: ' + describeComposite(method), {fontSize: '13px', margin: '2px 0'});
+    summaryPanel.add(compositeLabel);
+    if (state.compositeMethod === 'bestScene' && method !== 'fusion' && state.rawImage) {
+      ee.Date(state.rawImage.get('system:time_start')).format('YYYY-MM-dd').evaluate(function(date) {
+        if (date) {
+          compositeLabel.setValue('Composite: ' + describeComposite(method) + ', scene of ' + date);
+        }
+      });
+    }
+
+    summaryPanel.add(ui.Label('Shoreline Extraction: ' +
+      findOption(SHORELINE_EXTRACTION_MODES, state.shorelineExtraction).label,
+      {fontSize: '13px', margin: '2px 0'}));
+
+    summaryPanel.add(ui.Label('Water Bodies: ' + WATER_CLASSES.filter(function(c) {
+      return state.shorelineClasses.indexOf(c.value) !== -1;
+    }).map(function(c) {
+      return c.label;
+    }).join(', ') + ' (' + findOption(SEA_SOURCES, state.seaSource).label + ')',
+      {fontSize: '13px', margin: '2px 0'}));
+
+    summaryPanel.add(ui.Label('Line Smoothing: ' +
+      findOption(LINE_SMOOTHING_METHODS, state.smoothingMethod).label + ' x' + state.smoothingIterations +
+      (state.simplifyTolerance > 0 ? ', simplified to ' + state.simplifyTolerance + ' m' : ''),
+      {fontSize: '13px', margin: '2px 0'}));
+
+    if (method === 'sentinel1') {
+      summaryPanel.add(ui.Label('Speckle Filter: ' + findOption(SPECKLE_FILTERS, state.sarSpeckleFilter).label +
+        ', Orbit: ' + findOption(SAR_ORBIT_PASSES, state.sarOrbitPass).label +
+        (state.sarAngleNormalization ? ', normalized to ' + state.sarReferenceAngle + '°' : ''),
+        {fontSize: '13px', margin: '2px 0'}));
+    }
+
+    if (method === 'fusion') {
+      summaryPanel.add(ui.Label('Sensors: ' + state.fusion.used.map(function(value) {
+        return findOption(FUSION_SENSORS, value).shortLabel + ' (weight ' + state.fusion.weights[value] + ')';
+      }).join(', '), {fontSize: '13px', margin: '2px 0'}));
+      summaryPanel.add(ui.Label('Consensus Threshold: ' + Math.round(state.fusion.threshold * 100) + '%',
+        {fontSize: '13px', margin: '2px 0'}));
+
+      var agreementLabel = ui.Label('Mean Shoreline Agreement: calculating...', {fontSize: '13px', margin: '2px 0'});
+      summaryPanel.add(agreementLabel);
+      shoreline.aggregate_mean('agreement').evaluate(function(value, error) {
+        agreementLabel.setValue('Mean Shoreline Agreement: ' +
+          (error || value === null ? 'unavailable' : Math.round(value * 100) + '%'));
+      });
+    }
+
+    if (method === 'landsat') {
+      summaryPanel.add(ui.Label('Landsat Archive: ' + findOption(LANDSAT_ARCHIVES, state.landsatArchive).label,
+        {fontSize: '13px', margin: '2px 0'}));
+    }
+
+    if (CLOUD_MASK_SETTINGS[method]) {
+      var cloudMaskSettings = CLOUD_MASK_SETTINGS[method];
+      var cloudMask = findOption(cloudMaskSettings.options, state[cloudMaskSettings.field]);
+      summaryPanel.add(ui.Label('Cloud Mask: ' + cloudMask.label +
+        (cloudMask.value !== 'none' ? ' (buffer ' + state.cloudBuffer + ' m)' : ''),
+        {fontSize: '13px', margin: '2px 0'}));
+    }
+
+    if (state.tide.enabled) {
+      summaryPanel.add(ui.Label('Tide Band: ' + state.tide.minLevel + ' to ' + state.tide.maxLevel + ' m',
+        {fontSize: '13px', margin: '2px 0'}));
+    }
+
+    if (state.tideCorrection) {
+      var tideLabel = ui.Label('Tidal Correction: calculating...', {fontSize: '13px', margin: '2px 0'});
+      summaryPanel.add(tideLabel);
+      state.tideCorrection.evaluate(function(values, error) {
+        if (error || !values) {
+          tideLabel.setValue('Tidal Correction: unavailable');
+          return;
+        }
+        tideLabel.setValue('Tidal Correction: level ' + Math.round(values.level * 100) / 100 +
+          ' m, slope ' + Math.round(values.slope * 100) / 100 + '°, shift ' +
+          Math.round(values.offset * 10) / 10 + ' m seaward');
+      });
+    }
+
+    // Thresholds are evaluated asynchronously to keep the UI responsive
+    var thresholdNames = Object.keys(state.thresholdValues);
+    if (thresholdNames.length > 0) {
+      var thresholdMethodName = state.useCustomThreshold && method !== 'sentinel1' ?
+        'Custom' : getThresholdMethod(state.thresholdMethod).label;
+      var thresholdLabel = ui.Label('Threshold (' + thresholdMethodName + '): calculating...',
+        {fontSize: '13px', margin: '2px 0'});
+      summaryPanel.add(thresholdLabel);
+
+      ee.Dictionary(state.thresholdValues).evaluate(function(values, error) {
+        if (error || !values) {
+          thresholdLabel.setValue('Threshold (' + thresholdMethodName + '): unavailable');
+          return;
+        }
+        thresholdLabel.setValue('Threshold (' + thresholdMethodName + '): ' +
+          thresholdNames.map(function(name) {
+            return name + ' = ' + Math.round(values[name] * 1000) / 1000;
+          }).join(', '));
+      });
+    }
+
+    resultsPanel.add(summaryPanel);
+
+    if (method === 'fusion') {
+      resultsPanel.add(createAgreementLegend());
+    }
+
+    // Layer visibility controls
+    var layerControlPanel = ui.Panel({
+      widgets: [
+        ui.Label('Layer Controls', {fontWeight: 'bold', margin: '5px 0'})
+      ],
+      style: {
+        padding: '8px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd',
+        margin: '10px 0'
+      }
+    });
+
+    // Add toggles for the different layers
+    var imageryCheck = ui.Checkbox({
+      label: 'Satellite Imagery',
+      value: true,
+      onChange: function(checked) {
+        var layers = map.layers();
+        if (layers.length() > 0) {  // Add check
+          layers.get(0).setShown(checked);
+        }
+      }
+    });
+    layerControlPanel.add(imageryCheck);
+
+    var waterCheck = ui.Checkbox({
+      label: 'Water Mask',
+      value: true,
+      onChange: function(checked) {
+        var layers = map.layers();
+        if (layers.length() > 1) {  // Add check
+          layers.get(1).setShown(checked);
+        }
+      }
+    });
+    layerControlPanel.add(waterCheck);
+
+    var shorelineCheck = ui.Checkbox({
+      label: 'Shoreline',
+      value: true,
+      onChange: function(checked) {
+        var layers = map.layers();
+        if (layers.length() > 2) {  // Add check
+          layers.get(2).setShown(checked);
+        }
+      }
+    });
+    layerControlPanel.add(shorelineCheck);
+
+    resultsPanel.add(layerControlPanel);
+
+    // Export section
+    resultsPanel.add(ui.Label({
+      value: ICONS.export + ' Export Options',
+      style: {fontWeight: 'bold', margin: '10px 0 5px 0'}
+    }));
+
+    var exportPanel = ui.Panel({
+      style: {
+        margin: '8px 0',
+        padding: '10px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd'
+      }
+    });
+
+    // Shoreline export
+    exportPanel.add(ui.Button({
+      label: ICONS.download + ' Export Shoreline (SHP)',
+      onClick: function() {
+        Export.table.toDrive({
+          collection: shoreline,
+          description: 'Shoreline_' + method + '_' + Date.now(),
+          fileFormat: 'SHP',
+          maxVertices: 1e9
+        });
+        exportPanel.add(ui.Label('✓ Shoreline export started! Check Tasks panel.', {
+          color: '#2E7D32', margin: '5px 0'
+        }));
+      },
+      style: STYLES.button
+    }));
+
+    // Water mask export
+    exportPanel.add(ui.Button({
+      label: ICONS.download + ' Export Water Mask (GeoTIFF)',
+      onClick: function() {
+        Export.image.toDrive({
+          image: water,
+          description: 'WaterMask_' + method + '_' + Date.now(),
+          scale: getAdaptiveScale(state.aoi, method),
+          region: state.aoi,
+          maxPixels: 1e13
+        });
+        exportPanel.add(ui.Label('✓ Water mask export started! Check Tasks panel.', {
+          color: '#2E7D32', margin: '5px 0'
+        }));
+      },
+      style: STYLES.button
+    }));
+
+    // Optical sensors: add image export
+    if (OPTICAL_SENSORS[method]) {
+      var sensor = OPTICAL_SENSORS[method];
+      var sensorName = sensor.label.replace(/[^A-Za-z0-9]/g, '');
+
+      // Export RGB in the sensor's native values, when it has the visible bands
+      if (hasBandRoles(method, ['RED', 'GREEN', 'BLUE'])) {
+        exportPanel.add(ui.Button({
+          label: ICONS.download + ' Export RGB (GeoTIFF)',
+          onClick: function() {
+            Export.image.toDrive({
+              image: state.rawImage.select([sensor.bands[2], sensor.bands[1], sensor.bands[0]]),
+              description: sensorName + '_RGB_' + Date.now(),
+              scale: sensor.scale,
+              region: state.aoi,
+              maxPixels: 1e13,
+              formatOptions: {
+                cloudOptimized: true,
+                fileDimensions: 20000
+              }
+            });
+            exportPanel.add(ui.Label('✓ RGB export started! Check Tasks panel.', {
+              color: '#2E7D32', margin: '5px 0'
+            }));
+          },
+          style: STYLES.button
+        }));
+      }
+
+      // Export water index
+      exportPanel.add(ui.Button({
+        label: ICONS.download + ' Export ' + state.waterIndex + ' (GeoTIFF)',
+        onClick: function() {
+          var wi = calculateWaterIndex(state.rawImage, state.waterIndex, method);
+          Export.image.toDrive({
+            image: wi,
+            description: sensorName + '_' + state.waterIndex + '_' + Date.now(),
+            scale: sensor.scale,
+            region: state.aoi,
+            maxPixels: 1e9
+          });
+          exportPanel.add(ui.Label('✓ Water index export started! Check Tasks panel.', {
+            color: '#2E7D32', margin: '5px 0'
+          }));
+        },
+        style: STYLES.button
+      }));
+    }
+
+    resultsPanel.add(exportPanel);
+
+    // Change analysis needs at least two shorelines
+    var changePanel = ui.Panel({
+      widgets: [
+        ui.Label('Shoreline Change', {fontWeight: 'bold', margin: '5px 0'}),
+        ui.Label({
+          value: state.shorelineHistory.length + ' shoreline(s) in this session. ' +
+                 'Run the detection for other dates to compare shorelines.',
+          style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+        }),
+        ui.Button({
+          label: ICONS.results + ' Shoreline Change Analysis',
+          onClick: function() {
+            updateStatus('Configuring shoreline change analysis');
+            showChangeAnalysis();
+          },
+          disabled: state.shorelineHistory.length < 2,
+          style: STYLES.button
+        }),
+        ui.Button({
+          label: ICONS.results + ' Compare Side by Side',
+          onClick: function() {
+            updateStatus('Select two runs to compare');
+            showComparison();
+          },
+          disabled: state.shorelineHistory.length < 2,
+          style: STYLES.button
+        })
+      ],
+      style: {
+        padding: '8px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd',
+        margin: '10px 0'
+      }
+    });
+    resultsPanel.add(changePanel);
+
+    resultsPanel.add(ui.Button({
+      label: ICONS.results + ' Accuracy Assessment',
+      onClick: function() {
+        updateStatus('Configuring accuracy assessment');
+        showAccuracyAssessment(method);
+      },
+      style: STYLES.button
+    }));
+
+    // Navigation buttons
+    var navPanel = ui.Panel({
+      widgets: [
+        ui.Button({
+          label: 'New Analysis',
+          onClick: function() {
+            resetState();
+            showWelcome();
+          },
+          style: STYLES.button
+        }),
+        ui.Button({
+          label: 'Try Different Method',
+          onClick: function() {
+            resultsPanel.style().set('shown', false);
+            showMethodSelection();
+          },
+          style: STYLES.button
+        })
+      ],
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '15px 0 5px 0'}
+    });
+
+    resultsPanel.add(navPanel);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SHORELINE CHANGE ANALYSIS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  // Nominal positional uncertainty (m) of a shoreline per method, used as
+  // weights (1 / uncertainty²) in Weighted Linear Regression
+  var SHORELINE_UNCERTAINTY = {
+    sentinel1: 10,
+    fusion: 10,
+    sentinel2: 10,
+    landsat: 30,
+    hls: 30,
+    modis: 500,
+    asset: 10,
+    local: 10
+  };
+
+  // Two-sided 95% Student's t values for 1-30 degrees of freedom
+  var T_VALUES_95 = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+  ];
+
+  // Rate classes (m/yr) used to color transects, from erosion to accretion
+  var CHANGE_RATE_CLASSES = {
+    breaks: [-2, -0.5, 0.5, 2],
+    colors: ['#b2182b', '#ef8a62', '#bdbdbd', '#67a9cf', '#2166ac'],
+    labels: ['< -2 m/yr (erosion)', '-2 to -0.5 m/yr', '-0.5 to 0.5 m/yr (stable)',
+             '0.5 to 2 m/yr', '> 2 m/yr (accretion)']
+  };
+
+  // Statistics written to each transect
+  var CHANGE_STATISTICS = ['NSM', 'EPR', 'LRR', 'LR2', 'LCI95', 'WLR', 'WR2', 'WCI95'];
+
+  /**
+   * Adds a processed shoreline to the run history used for change analysis.
+   * The shoreline date defaults to the middle of the composite date range.
+   */
+  function recordShoreline(method, water, shoreline, date) {
+    var start = state.dateRange.start || ee.Date(Date.now()).advance(-1, 'month');
+    var end   = state.dateRange.end   || ee.Date(Date.now());
+
+    state.shorelineHistory.push({
+      id: state.shorelineHistory.length + 1,
+      method: method,
+      date: date || ee.Date(start.millis().add(end.millis()).divide(2)),
+      water: water,
+      shoreline: shoreline,
+      uncertainty: SHORELINE_UNCERTAINTY[method] || 10
+    });
+  }
+
+  /**
+   * Merges the shorelines of the given runs into one collection.
+   */
+  function mergeShorelines(runs) {
+    return ee.FeatureCollection(runs.map(function(run) {
+      return run.shoreline;
+    })).flatten();
+  }
+
+  /**
+   * Generates an offshore baseline: the outline of a buffer around all
+   * shorelines, keeping only the parts that fall on water in the latest run.
+   * @param {Array<Object>} runs - Shoreline runs
+   * @param {number} offset - Distance from the shorelines (m)
+   * @returns {ee.Geometry} Baseline (Multi)LineString
+   */
+  function generateOffshoreBaseline(runs, offset) {
+    var zone = mergeShorelines(runs).geometry().buffer(offset, 10);
+
+    var outline = ee.Geometry.MultiLineString(zone.geometries().map(function(polygon) {
+      return ee.List(ee.Geometry(polygon).coordinates().get(0));
+    }));
+
+    var latest = runs[runs.length - 1];
+    var water = latest.water.gt(0).selfMask().reduceToVectors({
+      geometry: zone.buffer(offset),
+      scale: 30,
+      geometryType: 'polygon',
+      eightConnected: false,
+      maxPixels: 1e9,
+      bestEffort: true,
+      tileScale: 4
+    });
+
+    return outline.intersection(water.geometry(), 1);
+  }
+
+  /**
+   * Cuts a (Multi)LineString into segments of the given length.
+   * @returns {ee.FeatureCollection} Segments, each starting at a sample point
+   */
+  function getLineSegments(line, spacing) {
+    var parts = ee.FeatureCollection(ee.Geometry(line).geometries().map(function(part) {
+      return ee.Feature(ee.Geometry(part)).set('type', ee.Geometry(part).type());
+    })).filter(ee.Filter.eq('type', 'LineString'));
+
+    return parts.map(function(part) {
+      var geometry = part.geometry();
+      var segments = geometry.cutLines(ee.List.sequence(0, geometry.length(1), spacing), 1).geometries();
+
+      return ee.FeatureCollection(segments.map(function(segment) {
+        segment = ee.Geometry(segment);
+        return ee.Feature(segment).set('length', segment.length(1));
+      })).filter(ee.Filter.gt('length', 1));
+    }).flatten();
+  }
+
+  /**
+   * Casts the two normals of a segment from its start point, one to each side.
+   * @param {ee.Geometry} segment - LineString segment
+   * @param {number} length - Normal length (m)
+   * @returns {ee.List} [left, right] LineStrings
+   */
+  function castNormals(segment, length) {
+    var coords = segment.transform('EPSG:3857', 1).coordinates();
+    var start = ee.List(coords.get(0));
+    var end = ee.List(coords.get(-1));
+    var x0 = ee.Number(start.get(0));
+    var y0 = ee.Number(start.get(1));
+    var dx = ee.Number(end.get(0)).subtract(x0);
+    var dy = ee.Number(end.get(1)).subtract(y0);
+
+    // Web Mercator stretches ground distances by 1 / cos(latitude)
+    var latitude = ee.Number(ee.List(segment.coordinates().get(0)).get(1));
+    var projectedLength = ee.Number(length).divide(latitude.multiply(Math.PI / 180).cos());
+    var scale = projectedLength.divide(dx.hypot(dy));
+    var nx = dy.multiply(-1).multiply(scale);
+    var ny = dx.multiply(scale);
+
+    return ee.List([
+      ee.Geometry.LineString([[x0, y0], [x0.add(nx), y0.add(ny)]], 'EPSG:3857', false)
+        .transform('EPSG:4326', 1),
+      ee.Geometry.LineString([[x0, y0], [x0.subtract(nx), y0.subtract(ny)]], 'EPSG:3857', false)
+        .transform('EPSG:4326', 1)
+    ]);
+  }
+
+  /**
+   * Casts shore-normal transects along a baseline. Each transect starts on the
+   * baseline and points to the side where the shorelines are.
+   * @param {ee.Geometry} baseline - Baseline (Multi)LineString
+   * @param {number} spacing - Distance between transects (m)
+   * @param {number} length - Transect length (m)
+   * @param {ee.FeatureCollection} shorelines - Shorelines to intersect
+   * @returns {ee.FeatureCollection} Transects with a `transect_id` property
+   */
+  function generateTransects(baseline, spacing, length, shorelines) {
+    var shorelineGeometry = shorelines.geometry();
+
+    var transects = getLineSegments(baseline, spacing).map(function(feature) {
+      var normals = castNormals(feature.geometry(), length);
+      var left = ee.Geometry(normals.get(0));
+      var right = ee.Geometry(normals.get(1));
+
+      return ee.Feature(ee.Geometry(ee.Algorithms.If(
+        left.intersects(shorelineGeometry, 1), left, right)));
+    });
+
+    return numberFeatures(transects, 'transect_id');
+  }
+
+  /**
+   * Numbers the features of a collection from 1 in the given property.
+   */
+  function numberFeatures(collection, property) {
+    var list = collection.toList(collection.size());
+    return ee.FeatureCollection(ee.List.sequence(0, list.size().subtract(1)).map(function(i) {
+      return ee.Feature(list.get(i)).set(property, ee.Number(i).add(1));
+    }));
+  }
+
+  /**
+   * Measures where each shoreline crosses a transect. Positions are distances
+   * from the baseline, signed so that seaward is positive.
+   * @param {ee.Feature} transect - Transect starting on the baseline
+   * @param {Array<Object>} runs - Shoreline runs
+   * @param {boolean} baselineOffshore - True if the baseline lies offshore
+   * @returns {ee.Feature} Transect with years, positions and weights lists
+   */
+  function measureTransect(transect, runs, baselineOffshore) {
+    var line = transect.geometry();
+    var origin = ee.Geometry.Point(ee.List(line.coordinates().get(0)));
+
+    var rows = ee.Array(runs.map(function(run) {
+      var shoreline = run.shoreline.geometry();
+      var year = run.date.get('year').add(run.date.getFraction('year'));
+      var distance = ee.Algorithms.If(line.intersects(shoreline, 1),
+        origin.distance(line.intersection(shoreline, 1), 1), -1);
+      return ee.List([year, distance, 1 / (run.uncertainty * run.uncertainty)]);
+    }));
+
+    var distances = rows.slice(1, 1, 2).project([0]);
+    var valid = distances.gte(0);
+    var positions = distances.mask(valid).multiply(baselineOffshore ? -1 : 1);
+
+    return transect.set({
+      years: rows.slice(1, 0, 1).project([0]).mask(valid).toList(),
+      positions: positions.toList(),
+      weights: rows.slice(1, 2, 3).project([0]).mask(valid).toList(),
+      n_shorelines: positions.length().get([0])
+    });
+  }
+
+  /**
+   * Weighted least-squares fit of y = a + b·x on ee.Arrays.
+   * @returns {Object} {slope, r2, se} where se is the standard error of the slope
+   */
+  function fitLine(x, y, w) {
+    function sum(array) {
+      return array.reduce(ee.Reducer.sum(), [0]).get([0]);
+    }
+
+    var n = x.length().get([0]);
+    var sumW = sum(w);
+    var xMean = sum(x.multiply(w)).divide(sumW);
+    var yMean = sum(y.multiply(w)).divide(sumW);
+    var dx = x.subtract(xMean);
+    var dy = y.subtract(yMean);
+
+    var sxx = sum(dx.pow(2).multiply(w));
+    var sxy = sum(dx.multiply(dy).multiply(w));
+    var syy = sum(dy.pow(2).multiply(w));
+    var slope = sxy.divide(sxx.max(1e-12));
+    var sse = sum(dy.subtract(dx.multiply(slope)).pow(2).multiply(w));
+
+    // The scale of the weights cancels out in sse / sxx
+    var se = sse.divide(n.subtract(2).max(1)).divide(sxx.max(1e-12)).sqrt();
+
+    return {
+      slope: slope,
+      r2: ee.Number(1).subtract(sse.divide(syy.max(1e-12))),
+      se: se
+    };
+  }
+
+  /**
+   * Computes DSAS-style change statistics for a measured transect:
+   * NSM (m), EPR (m/yr), LRR with R² and 95% CI, and WLR with R² and 95% CI.
+   */
+  function computeChangeStatistics(transect) {
+    var years = ee.Array(transect.get('years'));
+    var positions = ee.Array(transect.get('positions'));
+    var weights = ee.Array(transect.get('weights'));
+    var n = ee.Number(transect.get('n_shorelines'));
+
+    var oldest = ee.Number(years.multiply(-1).argmax().get(0));
+    var latest = ee.Number(years.argmax().get(0));
+    var nsm = ee.Number(positions.get([latest])).subtract(positions.get([oldest]));
+    var span = ee.Number(years.get([latest])).subtract(years.get([oldest]));
+
+    var lrr = fitLine(years, positions, weights.multiply(0).add(1));
+    var wlr = fitLine(years, positions, weights);
+    var tValue = ee.Number(ee.List(T_VALUES_95).get(n.subtract(2).min(30).max(1).subtract(1)));
+
+    function round(value) {
+      return ee.Number(value).multiply(100).round().divide(100);
+    }
+
+    var rate = ee.Number(ee.Algorithms.If(span.gt(0), lrr.slope, 0));
+    var rateClass = ee.List(CHANGE_RATE_CLASSES.breaks).map(function(b) {
+      return rate.gt(ee.Number(b));
+    }).reduce(ee.Reducer.sum());
+
+    return transect.set({
+      NSM: round(nsm),
+      EPR: ee.Algorithms.If(span.gt(0), round(nsm.divide(span)), null),
+      LRR: ee.Algorithms.If(span.gt(0), round(lrr.slope), null),
+      LR2: ee.Algorithms.If(n.gt(2), round(lrr.r2), null),
+      LCI95: ee.Algorithms.If(n.gt(2), round(lrr.se.multiply(tValue)), null),
+      WLR: ee.Algorithms.If(span.gt(0), round(wlr.slope), null),
+      WR2: ee.Algorithms.If(n.gt(2), round(wlr.r2), null),
+      WCI95: ee.Algorithms.If(n.gt(2), round(wlr.se.multiply(tValue)), null),
+      style: {
+        color: ee.List(CHANGE_RATE_CLASSES.colors).get(rateClass),
+        width: 3
+      }
+    });
+  }
+
+  /**
+   * Runs the full change analysis for a set of shoreline runs.
+   * @param {Array<Object>} runs - Shoreline runs (at least two)
+   * @param {ee.Geometry} baseline - Baseline geometry
+   * @param {Object} options - {spacing, length, baselineOffshore}
+   * @returns {ee.FeatureCollection} Transects with change statistics
+   */
+  function analyzeShorelineChange(runs, baseline, options) {
+    var transects = generateTransects(baseline, options.spacing, options.length,
+      mergeShorelines(runs));
+
+    return transects
+      .map(function(transect) {
+        return measureTransect(transect, runs, options.baselineOffshore);
+      })
+      .filter(ee.Filter.gte('n_shorelines', 2))
+      .map(computeChangeStatistics);
+  }
+
+  /**
+   * Creates a color legend for the transect rate classes.
+   */
+  function createChangeLegend() {
+    var legend = ui.Panel({
+      widgets: [ui.Label('Linear Regression Rate', {fontWeight: 'bold', margin: '4px 0'})],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '5px 0'}
+    });
+
+    CHANGE_RATE_CLASSES.colors.forEach(function(color, i) {
+      legend.add(ui.Panel({
+        widgets: [
+          ui.Label('', {backgroundColor: color, padding: '8px', margin: '2px 6px 2px 0'}),
+          ui.Label(CHANGE_RATE_CLASSES.labels[i], {fontSize: '12px', margin: '4px 0'})
+        ],
+        layout: ui.Panel.Layout.flow('horizontal')
+      }));
+    });
+
+    return legend;
+  }
+
+  /**
+   * Starts drawing a baseline line on the map.
+   */
+  function startBaselineDrawing() {
+    var drawingTools = map.drawingTools();
+    drawingTools.setShown(true);
+    drawingTools.setShape('line');
+    drawingTools.setDrawModes(['line']);
+    drawingTools.layers().reset();
+    drawingTools.layers().add(ui.Map.GeometryLayer({geometries: null, name: 'Baseline', color: 'yellow'}));
+    drawingTools.draw();
+  }
+
+  /**
+   * Shows the shoreline change analysis page.
+   */
+  function showChangeAnalysis() {
+    mainPanel.clear();
+    mainPanel.add(ui.Label('Shoreline Change Analysis', STYLES.heading));
+
+    var runs = state.shorelineHistory;
+
+    // Shorelines included in the analysis
+    var runsPanel = ui.Panel({
+      widgets: [ui.Label(runs.length + ' shorelines', {fontWeight: 'bold', margin: '5px 0'})],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '5px 0'}
+    });
+    mainPanel.add(runsPanel);
+
+    map.layers().reset();
+    runs.forEach(function(run, i) {
+      var label = ui.Label('#' + run.id + ' ' + run.method, {fontSize: '13px', margin: '2px 0'});
+      runsPanel.add(label);
+      run.date.format('YYYY-MM-dd').evaluate(function(date) {
+        if (date) {
+          label.setValue('#' + run.id + ' ' + run.method + ' - ' + date);
+        }
+      });
+
+      // Older shorelines in yellow, newer ones in red
+      var shade = runs.length > 1 ? Math.round(255 * i / (runs.length - 1)) : 255;
+      var green = ('0' + (255 - shade).toString(16)).slice(-2);
+      map.addLayer(run.shoreline, {color: 'FF' + green + '00', width: 2}, 'Shoreline #' + run.id);
+    });
+
+    // Baseline
+    mainPanel.add(createSectionHeader('Baseline',
+      'Transects are cast perpendicular to the baseline. An automatic baseline is built ' +
+      'offshore of all shorelines; a drawn baseline should run roughly parallel to the coast ' +
+      'without crossing any shoreline.'));
+
+    var baselineSelect = ui.Select({
+      items: [
+        {label: 'Automatic (offshore buffer)', value: 'auto'},
+        {label: 'Draw on map', value: 'drawn'}
+      ],
+      value: state.changeAnalysis.baselineMode,
+      onChange: function(value) {
+        state.changeAnalysis.baselineMode = value;
+        drawnPanel.style().set('shown', value === 'drawn');
+        offsetPanel.style().set('shown', value === 'auto');
+      },
+      style: {width: '300px'}
+    });
+    mainPanel.add(baselineSelect);
+
+    var offsetPanel = ui.Panel({
+      widgets: [
+        ui.Label('Baseline Offset (m):', {margin: '4px 0'}),
+        ui.Slider({
+          min: 50,
+          max: 1000,
+          value: state.changeAnalysis.baselineOffset,
+          step: 50,
+          style: {width: '300px'},
+          onChange: function(value) {
+            state.changeAnalysis.baselineOffset = value;
+          }
+        })
+      ],
+      style: {shown: state.changeAnalysis.baselineMode === 'auto'}
+    });
+    mainPanel.add(offsetPanel);
+
+    var drawnPanel = ui.Panel({
+      widgets: [
+        ui.Button({
+          label: 'Draw Baseline',
+          onClick: function() {
+            startBaselineDrawing();
+            updateStatus('Draw the baseline on the map, then run the analysis');
+          },
+          style: STYLES.button
+        }),
+        ui.Label('Baseline Placement:', {margin: '4px 0'}),
+        ui.Select({
+          items: [
+            {label: 'Offshore', value: 'offshore'},
+            {label: 'Onshore', value: 'onshore'}
+          ],
+          value: state.changeAnalysis.baselinePlacement,
+          onChange: function(value) {
+            state.changeAnalysis.baselinePlacement = value;
+          },
+          style: {width: '150px'}
+        })
+      ],
+      style: {shown: state.changeAnalysis.baselineMode === 'drawn'}
+    });
+    mainPanel.add(drawnPanel);
+
+    // Transects
+    mainPanel.add(createSectionHeader('Transects',
+      'Shore-normal transects are cast from the baseline at the given spacing. ' +
+      'They must be long enough to reach every shoreline.'));
+
+    mainPanel.add(ui.Label('Spacing (m):', {margin: '4px 0'}));
+    mainPanel.add(ui.Slider({
+      min: 10,
+      max: 500,
+      value: state.changeAnalysis.transectSpacing,
+      step: 10,
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.changeAnalysis.transectSpacing = value;
+      }
+    }));
+
+    mainPanel.add(ui.Label('Length (m):', {margin: '4px 0'}));
+    mainPanel.add(ui.Slider({
+      min: 100,
+      max: 5000,
+      value: state.changeAnalysis.transectLength,
+      step: 100,
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.changeAnalysis.transectLength = value;
+      }
+    }));
+
+    var outputPanel = ui.Panel();
+
+    var buttonPanel = ui.Panel({
+      widgets: [
+        ui.Button({
+          label: ICONS.next + ' Run Analysis',
+          onClick: function() {
+            runChangeAnalysis(outputPanel);
+          },
+          style: STYLES.button
+        }),
+        ui.Button({
+          label: ICONS.back + ' Add Shoreline',
+          onClick: function() {
+            updateStatus('Run another detection to add a shoreline');
+            showMethodSelection();
+          },
+          style: STYLES.button
+        })
+      ],
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '15px 0 5px 0'}
+    });
+    mainPanel.add(buttonPanel);
+    mainPanel.add(outputPanel);
+  }
+
+  /**
+   * Runs the change analysis with the current settings and shows the results.
+   */
+  function runChangeAnalysis(outputPanel) {
+    var settings = state.changeAnalysis;
+    var runs = state.shorelineHistory;
+    outputPanel.clear();
+
+    var baseline;
+    if (settings.baselineMode === 'drawn') {
+      var layers = map.drawingTools().layers();
+      baseline = layers.length() > 0 ? layers.get(0).toGeometry() : null;
+      if (!baseline) {
+        ui.alert('No Baseline', 'Please draw a baseline first.');
+        updateStatus('No baseline drawn', true);
+        return;
+      }
+    } else {
+      baseline = generateOffshoreBaseline(runs, settings.baselineOffset);
+    }
+
+    updateStatus('Calculating shoreline change along transects...');
+
+    try {
+      var transects = analyzeShorelineChange(runs, ee.Geometry(baseline), {
+        spacing: settings.transectSpacing,
+        length: settings.transectLength,
+        baselineOffshore: settings.baselineMode === 'auto' || settings.baselinePlacement === 'offshore'
+      });
+      state.changeResults = transects;
+
+      map.addLayer(ee.Geometry(baseline), {color: 'yellow'}, 'Baseline');
+      map.addLayer(transects.style({styleProperty: 'style'}), {}, 'Transects (LRR)');
+
+      outputPanel.add(createChangeLegend());
+
+      var table = ui.Chart.feature.byFeature({
+        features: transects.select(['transect_id', 'n_shorelines'].concat(CHANGE_STATISTICS)),
+        xProperty: 'transect_id',
+        yProperties: ['n_shorelines'].concat(CHANGE_STATISTICS)
+      }).setChartType('Table');
+      outputPanel.add(table);
+
+      var exportPanel = ui.Panel({
+        style: {margin: '8px 0', padding: '10px', backgroundColor: 'white', border: '1px solid #ddd'}
+      });
+
+      exportPanel.add(ui.Button({
+        label: ICONS.download + ' Export Statistics (CSV)',
+        onClick: function() {
+          Export.table.toDrive({
+            collection: transects.select(['transect_id', 'n_shorelines'].concat(CHANGE_STATISTICS)),
+            description: 'ShorelineChange_' + Date.now(),
+            fileFormat: 'CSV'
+          });
+          exportPanel.add(ui.Label('✓ Statistics export started! Check Tasks panel.', {
+            color: '#2E7D32', margin: '5px 0'
+          }));
+        },
+        style: STYLES.button
+      }));
+
+      exportPanel.add(ui.Button({
+        label: ICONS.download + ' Export Transects (SHP)',
+        onClick: function() {
+          Export.table.toDrive({
+            collection: transects.select(['transect_id', 'n_shorelines'].concat(CHANGE_STATISTICS)),
+            description: 'Transects_' + Date.now(),
+            fileFormat: 'SHP'
+          });
+          exportPanel.add(ui.Label('✓ Transect export started! Check Tasks panel.', {
+            color: '#2E7D32', margin: '5px 0'
+          }));
+        },
+        style: STYLES.button
+      }));
+
+      outputPanel.add(exportPanel);
+      updateStatus('Shoreline change analysis complete');
+    } catch (e) {
+      outputPanel.add(ui.Label({
+        value: ICONS.warning + ' Error: ' + e.message,
+        style: {color: 'red', fontWeight: 'bold'}
+      }));
+      updateStatus('Error during change analysis: ' + e.message, true);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // ACCURACY ASSESSMENT
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  // Colors of validation transects inside / outside the tolerance
+  var VALIDATION_COLORS = {
+    within: '2E7D32',
+    outside: 'D32F2F'
+  };
+
+  // Resolution (m) of the distance rasters used for the Hausdorff distance
+  var HAUSDORFF_SCALE = 5;
+
+  /**
+   * Measures the offset of a detected shoreline from a reference line along
+   * transects centered on the reference. Offsets are signed so that a
+   * detected shoreline on the water side of the reference is positive.
+   * @param {ee.FeatureCollection} shoreline - Detected shoreline
+   * @param {ee.Image} water - Water mask used to find the water side
+   * @param {ee.FeatureCollection} reference - Reference shoreline
+   * @param {Object} options - {spacing, length, tolerance, scale}
+   * @returns {ee.FeatureCollection} Transects with 'offset' (m, null if missed)
+   *     and 'within' (1 if |offset| <= tolerance) properties
+   */
+  function measureShorelineOffsets(shoreline, water, reference, options) {
+    var detected = shoreline.geometry();
+    var waterMask = water.unmask(0).gt(0).rename('water');
+    var missed = 1e9;
+
+    var transects = getLineSegments(reference.geometry(), options.spacing).map(function(feature) {
+      var normals = castNormals(feature.geometry(), options.length / 2);
+      var left = ee.Geometry(normals.get(0));
+      var right = ee.Geometry(normals.get(1));
+      var origin = ee.Geometry.Point(ee.List(left.coordinates().get(0)));
+
+      // The side holding more water is seaward
+      var leftWater = ee.Number(waterMask.reduceRegion({
+        reducer: ee.Reducer.mean(), geometry: left, scale: options.scale
+      }).get('water', 0));
+      var rightWater = ee.Number(waterMask.reduceRegion({
+        reducer: ee.Reducer.mean(), geometry: right, scale: options.scale
+      }).get('water', 0));
+      var seaward = ee.Number(ee.Algorithms.If(leftWater.gte(rightWater), 1, -1));
+
+      // Nearest crossing on either side
+      var leftDistance = ee.Number(ee.Algorithms.If(left.intersects(detected, 1),
+        origin.distance(left.intersection(detected, 1), 1), missed));
+      var rightDistance = ee.Number(ee.Algorithms.If(right.intersects(detected, 1),
+        origin.distance(right.intersection(detected, 1), 1), missed));
+      var distance = leftDistance.min(rightDistance);
+      var side = ee.Number(ee.Algorithms.If(leftDistance.lte(rightDistance), 1, -1));
+      var offset = distance.multiply(side).multiply(seaward);
+      var hit = distance.lt(missed);
+
+      var transect = ee.Geometry.LineString(ee.List(right.coordinates()).reverse()
+        .cat(ee.List(left.coordinates()).slice(1)));
+
+      return ee.Feature(transect, {
+        offset: ee.Algorithms.If(hit, offset, null),
+        within: ee.Algorithms.If(hit, offset.abs().lte(options.tolerance), 0)
+      });
+    });
+
+    return numberFeatures(transects, 'transect_id');
+  }
+
+  /**
+   * Hausdorff distance between the detected and reference shorelines, taken
+   * within the search radius of the reference. Distances beyond the radius
+   * are not resolved, so the result is capped at the radius.
+   * @returns {ee.Number} Distance (m), or null if the lines do not overlap
+   */
+  function computeHausdorffDistance(shoreline, reference, radius) {
+    var referenceGeometry = reference.geometry();
+    var nearby = shoreline.geometry().intersection(referenceGeometry.buffer(radius, 1), 1);
+
+    var toDetected = directedLineDistance(referenceGeometry, shoreline, radius).get('distance_max');
+    var toReference = directedLineDistance(nearby, reference, radius).get('distance_max');
+
+    return ee.List([toDetected, toReference]).removeAll([null]).reduce(ee.Reducer.max());
+  }
+
+  /**
+   * Mean and maximum distance from the pixels along a geometry to the
+   * nearest feature of a collection, up to the radius.
+   * @returns {ee.Dictionary} distance_mean, distance_max
+   */
+  function directedLineDistance(geometry, features, radius) {
+    return features.distance(radius, 1).reduceRegion({
+      reducer: ee.Reducer.mean().combine({reducer2: ee.Reducer.max(), sharedInputs: true}),
+      geometry: geometry,
+      scale: HAUSDORFF_SCALE,
+      maxPixels: 1e9,
+      bestEffort: true
+    });
+  }
+
+  /**
+   * Summarizes validation transects.
+   * @returns {ee.Dictionary} n, matched, bias, rmse, within (% of all transects)
+   */
+  function summarizeOffsets(transects) {
+    var matched = transects.filter(ee.Filter.notNull(['offset'])).map(function(transect) {
+      return transect.set('squared', ee.Number(transect.get('offset')).pow(2));
+    });
+    var n = transects.size();
+
+    return ee.Dictionary({
+      n: n,
+      matched: matched.size(),
+      bias: matched.aggregate_mean('offset'),
+      rmse: ee.Number(matched.aggregate_mean('squared')).sqrt(),
+      within: transects.filter(ee.Filter.eq('within', 1)).size()
+        .divide(n.max(1)).multiply(100)
+    });
+  }
+
+  /**
+   * Confusion matrix of a water mask against labelled points. Points
+   * outside the region are not assessed.
+   * @param {ee.Image} water - Water mask
+   * @param {ee.FeatureCollection} points - Points labelled 0 = land, 1 = water
+   * @param {string} classProperty - Label property
+   * @param {number} scale - Sampling scale (m)
+   * @param {ee.Geometry} region - Area the mask was classified over
+   * @returns {ee.Dictionary} matrix, accuracy, kappa, producers, consumers, n
+   */
+  function assessWaterMask(water, points, classProperty, scale, region) {
+    // Unclassified pixels inside the region are land; outside it they stay masked
+    var predicted = water.unmask(0).clip(region).gt(0).rename('predicted');
+    var samples = predicted.sampleRegions({
+      collection: points,
+      properties: [classProperty],
+      scale: scale,
+      tileScale: 4
+    });
+    var matrix = samples.errorMatrix(classProperty, 'predicted', [0, 1]);
+
+    return ee.Dictionary({
+      matrix: matrix.array(),
+      accuracy: matrix.accuracy(),
+      kappa: matrix.kappa(),
+      producers: matrix.producersAccuracy().project([0]),
+      consumers: matrix.consumersAccuracy().project([1]),
+      n: samples.size()
+    });
+  }
+
+  /**
+   * Shows the accuracy assessment settings for the current results.
+   */
+  function showAccuracyAssessment(method) {
+    var settings = state.validation;
+
+    mainPanel.clear();
+    mainPanel.add(ui.Label('Accuracy Assessment', STYLES.heading));
+    mainPanel.add(ui.Label({
+      value: 'Validates the ' + method + ' result against reference data.',
+      style: {fontSize: '13px', color: '#666', margin: '0 0 10px 0'}
+    }));
+
+    // Reference shoreline
+    mainPanel.add(createSectionHeader('Reference Shoreline',
+      'A line FeatureCollection asset, e.g. a GPS survey or a shoreline digitized from ' +
+      'orthophotos. Offsets are measured along transects centered on the reference line; ' +
+      'positive offsets lie on the water side.'));
+
+    mainPanel.add(ui.Textbox({
+      placeholder: 'users/username/reference_shoreline',
+      value: settings.referenceAsset,
+      onChange: function(value) {
+        settings.referenceAsset = value.trim();
+      },
+      style: {width: '300px'}
+    }));
+
+    mainPanel.add(ui.Label('Tolerance (m):', {margin: '4px 0'}));
+    mainPanel.add(ui.Slider({
+      min: 1,
+      max: 100,
+      value: settings.tolerance,
+      step: 1,
+      style: {width: '300px'},
+      onChange: function(value) {
+        settings.tolerance = value;
+      }
+    }));
+
+    mainPanel.add(ui.Label('Transect Spacing (m):', {margin: '4px 0'}));
+    mainPanel.add(ui.Slider({
+      min: 10,
+      max: 500,
+      value: settings.transectSpacing,
+      step: 10,
+      style: {width: '300px'},
+      onChange: function(value) {
+        settings.transectSpacing = value;
+      }
+    }));
+
+    mainPanel.add(ui.Label('Search Distance (m):', {margin: '4px 0'}));
+    mainPanel.add(ui.Slider({
+      min: 50,
+      max: 1000,
+      value: settings.searchDistance,
+      step: 50,
+      style: {width: '300px'},
+      onChange: function(value) {
+        settings.searchDistance = value;
+      }
+    }));
+
+    // Labelled points
+    mainPanel.add(createSectionHeader('Labelled Points (optional)',
+      'A point FeatureCollection asset with a numeric class property: 0 = land, 1 = water. ' +
+      'Used for the water mask confusion matrix and kappa.'));
+
+    mainPanel.add(ui.Textbox({
+      placeholder: 'users/username/validation_points',
+      value: settings.pointsAsset,
+      onChange: function(value) {
+        settings.pointsAsset = value.trim();
+      },
+      style: {width: '300px'}
+    }));
+    mainPanel.add(ui.Label('Class Property:', {margin: '4px 0'}));
+    mainPanel.add(ui.Textbox({
+      value: settings.classProperty,
+      onChange: function(value) {
+        settings.classProperty = value.trim();
+      },
+      style: {width: '150px'}
+    }));
+
+    var outputPanel = ui.Panel();
+
+    mainPanel.add(ui.Panel({
+      widgets: [
+        ui.Button({
+          label: ICONS.next + ' Run Assessment',
+          onClick: function() {
+            runAccuracyAssessment(method, outputPanel);
+          },
+          style: STYLES.button
+        }),
+        ui.Button({
+          label: ICONS.back + ' New Analysis',
+          onClick: function() {
+            showMethodSelection();
+          },
+          style: STYLES.button
+        })
+      ],
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '15px 0 5px 0'}
+    }));
+    mainPanel.add(outputPanel);
+  }
+
+  /**
+   * Runs the accuracy assessment with the current settings and shows the results.
+   */
+  function runAccuracyAssessment(method, outputPanel) {
+    var settings = state.validation;
+    var result = state.results[method];
+    outputPanel.clear();
+
+    if (!settings.referenceAsset && !settings.pointsAsset) {
+      ui.alert('No Reference Data', 'Please enter a reference shoreline or a labelled points asset.');
+      updateStatus('No reference data', true);
+      return;
+    }
+    if (!result) {
+      updateStatus('No results to assess', true);
+      return;
+    }
+
+    updateStatus('Assessing accuracy...');
+
+    try {
+      var scale = getAdaptiveScale(state.aoi, method);
+
+      if (settings.referenceAsset) {
+        var reference = ee.FeatureCollection(settings.referenceAsset);
+        var transects = measureShorelineOffsets(result.shoreline, result.water, reference, {
+          spacing: settings.transectSpacing,
+          length: settings.searchDistance * 2,
+          tolerance: settings.tolerance,
+          scale: scale
+        });
+        state.validationResults = transects;
+
+        map.addLayer(reference, {color: '00FFFF', width: 2}, 'Reference Shoreline');
+        map.addLayer(transects.map(function(transect) {
+          return transect.set('style', {
+            color: ee.Algorithms.If(transect.get('within'), VALIDATION_COLORS.within, VALIDATION_COLORS.outside),
+            width: 2
+          });
+        }).style({styleProperty: 'style'}), {}, 'Validation Transects');
+
+        var linePanel = ui.Panel({
+          widgets: [ui.Label('Shoreline Position', {fontWeight: 'bold', margin: '5px 0'})],
+          style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '10px 0'}
+        });
+        var lineLabel = ui.Label('Calculating...', {fontSize: '13px', margin: '2px 0'});
+        linePanel.add(lineLabel);
+        outputPanel.add(linePanel);
+
+        summarizeOffsets(transects)
+          .set('hausdorff', computeHausdorffDistance(result.shoreline, reference, settings.searchDistance))
+          .evaluate(function(stats, error) {
+            if (error || !stats) {
+              lineLabel.setValue('Error: ' + (error || 'no statistics'));
+              return;
+            }
+            linePanel.remove(lineLabel);
+            [
+              'Matched Transects: ' + stats.matched + ' of ' + stats.n,
+              'Mean Bias: ' + formatMeters(stats.bias) + ' (positive = seaward)',
+              'RMSE: ' + formatMeters(stats.rmse),
+              'Hausdorff Distance: ' + (stats.hausdorff === null ? 'n/a' :
+                formatMeters(stats.hausdorff) +
+                (stats.hausdorff >= settings.searchDistance ? ' (capped at search distance)' : '')),
+              'Within ' + settings.tolerance + ' m: ' + Math.round(stats.within * 10) / 10 + '%'
+            ].forEach(function(text) {
+              linePanel.add(ui.Label(text, {fontSize: '13px', margin: '2px 0'}));
+            });
+          });
+
+        outputPanel.add(ui.Button({
+          label: ICONS.download + ' Export Transects (SHP)',
+          onClick: function() {
+            Export.table.toDrive({
+              collection: transects.select(['transect_id', 'offset', 'within']),
+              description: 'ShorelineValidation_' + method + '_' + Date.now(),
+              fileFormat: 'SHP'
+            });
+            outputPanel.add(ui.Label('✓ Transect export started! Check Tasks panel.', {
+              color: '#2E7D32', margin: '5px 0'
+            }));
+          },
+          style: STYLES.button
+        }));
+      }
+
+      if (settings.pointsAsset) {
+        var points = ee.FeatureCollection(settings.pointsAsset);
+        map.addLayer(points, {color: 'FF00FF'}, 'Validation Points');
+
+        var maskPanel = ui.Panel({
+          widgets: [ui.Label('Water Mask', {fontWeight: 'bold', margin: '5px 0'})],
+          style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '10px 0'}
+        });
+        var maskLabel = ui.Label('Calculating...', {fontSize: '13px', margin: '2px 0'});
+        maskPanel.add(maskLabel);
+        outputPanel.add(maskPanel);
+
+        assessWaterMask(result.water, points, settings.classProperty, scale, state.aoi).evaluate(function(stats, error) {
+          if (error || !stats) {
+            maskLabel.setValue('Error: ' + (error || 'no statistics'));
+            return;
+          }
+          maskPanel.remove(maskLabel);
+          maskPanel.add(createConfusionMatrixTable(stats.matrix));
+          [
+            'Points: ' + stats.n,
+            'Overall Accuracy: ' + formatPercent(stats.accuracy),
+            'Kappa: ' + Math.round(stats.kappa * 1000) / 1000,
+            'Producer\'s Accuracy: land ' + formatPercent(stats.producers[0]) +
+              ', water ' + formatPercent(stats.producers[1]),
+            'User\'s Accuracy: land ' + formatPercent(stats.consumers[0]) +
+              ', water ' + formatPercent(stats.consumers[1])
+          ].forEach(function(text) {
+            maskPanel.add(ui.Label(text, {fontSize: '13px', margin: '2px 0'}));
+          });
+        });
+      }
+
+      updateStatus('Accuracy assessment running - results appear below');
+    } catch (e) {
+      outputPanel.add(ui.Label({
+        value: ICONS.warning + ' Error: ' + e.message,
+        style: {color: 'red', fontWeight: 'bold'}
+      }));
+      updateStatus('Error during accuracy assessment: ' + e.message, true);
+    }
+  }
+
+  /**
+   * Builds a 2x2 confusion matrix table (rows = reference, columns = predicted).
+   */
+  function createConfusionMatrixTable(matrix) {
+    var cellStyle = {width: '70px', fontSize: '12px', margin: '1px', textAlign: 'center'};
+    var headerStyle = {width: '70px', fontSize: '12px', margin: '1px', textAlign: 'center', fontWeight: 'bold'};
+    var names = ['Land', 'Water'];
+
+    var table = ui.Panel({
+      widgets: [ui.Panel([
+        ui.Label('Ref \\ Pred', headerStyle),
+        ui.Label(names[0], headerStyle),
+        ui.Label(names[1], headerStyle)
+      ], ui.Panel.Layout.flow('horizontal'))],
+      style: {margin: '5px 0'}
+    });
+
+    matrix.forEach(function(row, i) {
+      table.add(ui.Panel([ui.Label(names[i], headerStyle)].concat(row.map(function(count) {
+        return ui.Label(String(count), cellStyle);
+      })), ui.Panel.Layout.flow('horizontal')));
+    });
+    return table;
+  }
+
+  /**
+   * Formats a distance for display.
+   */
+  function formatMeters(value) {
+    return value === null || value === undefined ? 'n/a' : Math.round(value * 10) / 10 + ' m';
+  }
+
+  /**
+   * Formats a 0-1 fraction as a percentage for display.
+   */
+  function formatPercent(value) {
+    return value === null || value === undefined || isNaN(value) ? 'n/a' : Math.round(value * 1000) / 10 + '%';
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SIDE-BY-SIDE COMPARISON
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  // Classes of the water mask difference layer (values 1-3)
+  var MASK_DIFFERENCE = {
+    palette: ['#1565C0', '#E53935', '#43A047'],
+    labels: ['Water in both', 'Water in A only', 'Water in B only']
+  };
+
+  // Search radius (m) for matching the two shorelines
+  var COMPARISON_RADIUS = 500;
+
+  /**
+   * Mean and maximum distance between two shorelines, averaged over both
+   * directions. Parts further apart than the radius are ignored.
+   * @returns {ee.Dictionary} {mean, max} in meters (null if the lines do not overlap)
+   */
+  function compareShorelines(shorelineA, shorelineB, radius) {
+    var aToB = directedLineDistance(shorelineA.geometry(), shorelineB, radius);
+    var bToA = directedLineDistance(shorelineB.geometry(), shorelineA, radius);
+
+    var means = ee.List([aToB.get('distance_mean'), bToA.get('distance_mean')]).removeAll([null]);
+    var maxima = ee.List([aToB.get('distance_max'), bToA.get('distance_max')]).removeAll([null]);
+
+    return ee.Dictionary({
+      mean: ee.Algorithms.If(means.size().gt(0), means.reduce(ee.Reducer.mean()), null),
+      max: ee.Algorithms.If(maxima.size().gt(0), maxima.reduce(ee.Reducer.max()), null)
+    });
+  }
+
+  /**
+   * Difference of two water masks: 1 = water in both, 2 = A only, 3 = B only.
+   */
+  function getMaskDifference(waterA, waterB) {
+    var a = waterA.unmask(0).gt(0);
+    var b = waterB.unmask(0).gt(0);
+
+    return ee.Image(0)
+      .where(a.and(b), 1)
+      .where(a.and(b.not()), 2)
+      .where(b.and(a.not()), 3)
+      .selfMask()
+      .rename('difference')
+      .clip(state.aoi);
+  }
+
+  /**
+   * Area (km²) of each water mask difference class.
+   */
+  function getDifferenceAreas(difference) {
+    var areas = ee.Image.pixelArea().divide(1e6).addBands(difference).reduceRegion({
+      reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'class'}),
+      geometry: state.aoi,
+      scale: 30,
+      maxPixels: 1e10,
+      bestEffort: true
+    });
+
+    return ee.Dictionary.fromLists(
+      ee.List(areas.get('groups')).map(function(group) {
+        return ee.Number(ee.Dictionary(group).get('class')).format('%d');
+      }),
+      ee.List(areas.get('groups')).map(function(group) {
+        return ee.Dictionary(group).get('sum');
+      }));
+  }
+
+  /**
+   * Moves the status panel from the map currently shown to another map.
+   */
+  function moveStatusPanel(target) {
+    var shown = appSplitPanel.getFirstPanel();
+    (shown === map ? map : shown.getFirstPanel()).remove(statusPanel);
+    target.add(statusPanel);
+  }
+
+  /**
+   * Replaces the main map with two linked maps and a swipe divider.
+   */
+  function openComparisonMaps(runA, runB, labelA, labelB, difference) {
+    var leftMap = ui.Map();
+    var rightMap = ui.Map();
+    ui.Map.Linker([leftMap, rightMap]);
+
+    [[leftMap, runA, runB, 'A', labelA, 'top-left'],
+     [rightMap, runB, runA, 'B', labelB, 'top-right']].forEach(function(side) {
+      var sideMap = side[0];
+      sideMap.setControlVisibility({drawingTools: false});
+      sideMap.addLayer(side[1].water.selfMask(), {palette: ['#0000FF'], opacity: 0.5}, side[3] + ' Water');
+      sideMap.addLayer(difference, {min: 1, max: 3, palette: MASK_DIFFERENCE.palette},
+        'Water Mask Difference', false);
+      sideMap.addLayer(side[2].shoreline, {color: '#FFFF00', width: 1}, (side[3] === 'A' ? 'B' : 'A') + ' Shoreline');
+      sideMap.addLayer(side[1].shoreline, {color: '#FF0000', width: 3}, side[3] + ' Shoreline');
+      sideMap.add(ui.Label(side[3] + ': ' + side[4], {position: side[5], fontWeight: 'bold'}));
+    });
+
+    // Status updates stay visible while the main map is swapped out
+    moveStatusPanel(leftMap);
+    appSplitPanel.setFirstPanel(ui.SplitPanel({
+      firstPanel: leftMap,
+      secondPanel: rightMap,
+      wipe: true,
+      style: {stretch: 'both'}
+    }));
+    leftMap.centerObject(state.aoi, 12);
+  }
+
+  /**
+   * Restores the main map after a comparison.
+   */
+  function closeComparisonMaps() {
+    moveStatusPanel(map);
+    appSplitPanel.setFirstPanel(map);
+    resultsPanel.style().set('shown', true);
+  }
+
+  /**
+   * Lets the user pick two stored runs to compare side by side.
+   */
+  function showComparison() {
+    var runs = state.shorelineHistory;
+
+    mainPanel.clear();
+    mainPanel.add(ui.Label('Compare Runs', STYLES.heading));
+    mainPanel.add(ui.Label({
+      value: 'Shows two shorelines from this session on linked maps with a swipe divider. ' +
+             'Run A is on the left, run B on the right.',
+      style: {fontSize: '13px', color: '#666', margin: '0 0 10px 0'}
+    }));
+
+    var loadingLabel = ui.Label('Loading runs...', {fontSize: '13px', margin: '5px 0'});
+    mainPanel.add(loadingLabel);
+
+    ee.List(runs.map(function(run) {
+      return run.date.format('YYYY-MM-dd');
+    })).evaluate(function(dates, error) {
+      mainPanel.remove(loadingLabel);
+
+      var items = runs.map(function(run, i) {
+        return {
+          label: '#' + run.id + ' ' + run.method + (dates && !error ? ' - ' + dates[i] : ''),
+          value: String(i)
+        };
+      });
+
+      var selectA = ui.Select({items: items, value: String(runs.length - 2), style: {width: '300px'}});
+      var selectB = ui.Select({items: items, value: String(runs.length - 1), style: {width: '300px'}});
+
+      mainPanel.add(ui.Label('Run A (left):', {margin: '4px 0'}));
+      mainPanel.add(selectA);
+      mainPanel.add(ui.Label('Run B (right):', {margin: '4px 0'}));
+      mainPanel.add(selectB);
+
+      var outputPanel = ui.Panel();
+
+      mainPanel.add(ui.Panel({
+        widgets: [
+          ui.Button({
+            label: ICONS.next + ' Compare',
+            onClick: function() {
+              var a = parseInt(selectA.getValue(), 10);
+              var b = parseInt(selectB.getValue(), 10);
+              if (a === b) {
+                ui.alert('Same Run', 'Please select two different runs.');
+                return;
+              }
+              runComparison(runs[a], runs[b], items[a].label, items[b].label, outputPanel);
+            },
+            style: STYLES.button
+          }),
+          ui.Button({
+            label: ICONS.back + ' Close',
+            onClick: function() {
+              closeComparisonMaps();
+              showMethodSelection();
+            },
+            style: STYLES.button
+          })
+        ],
+        layout: ui.Panel.Layout.flow('horizontal'),
+        style: {margin: '15px 0 5px 0'}
+      }));
+      mainPanel.add(outputPanel);
+    });
+  }
+
+  /**
+   * Opens the split maps for two runs and reports how far apart they are.
+   */
+  function runComparison(runA, runB, labelA, labelB, outputPanel) {
+    outputPanel.clear();
+    updateStatus('Comparing ' + labelA + ' with ' + labelB);
+
+    var difference = getMaskDifference(runA.water, runB.water);
+    resultsPanel.style().set('shown', false);
+    openComparisonMaps(runA, runB, labelA, labelB, difference);
+
+    var statsPanel = ui.Panel({
+      widgets: [ui.Label('Shoreline Distance', {fontWeight: 'bold', margin: '5px 0'})],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '10px 0'}
+    });
+    var statsLabel = ui.Label('Calculating...', {fontSize: '13px', margin: '2px 0'});
+    statsPanel.add(statsLabel);
+    outputPanel.add(statsPanel);
+
+    compareShorelines(runA.shoreline, runB.shoreline, COMPARISON_RADIUS).evaluate(function(stats, error) {
+      if (error || !stats) {
+        statsLabel.setValue('Error: ' + (error || 'no statistics'));
+        return;
+      }
+      statsLabel.setValue('Mean: ' + formatMeters(stats.mean) + ', Max: ' + formatMeters(stats.max) +
+        (stats.max !== null && stats.max >= COMPARISON_RADIUS ? ' (capped at ' + COMPARISON_RADIUS + ' m)' : ''));
+    });
+
+    // Difference legend with areas
+    var legend = ui.Panel({
+      widgets: [ui.Label('Water Mask Difference', {fontWeight: 'bold', margin: '5px 0'})],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '10px 0'}
+    });
+    var areaLabels = MASK_DIFFERENCE.labels.map(function(label, i) {
+      var areaLabel = ui.Label(label, {fontSize: '12px', margin: '4px 0'});
+      legend.add(ui.Panel({
+        widgets: [
+          ui.Label('', {backgroundColor: MASK_DIFFERENCE.palette[i], padding: '8px', margin: '2px 6px 2px 0'}),
+          areaLabel
+        ],
+        layout: ui.Panel.Layout.flow('horizontal')
+      }));
+      return areaLabel;
+    });
+    outputPanel.add(legend);
+
+    getDifferenceAreas(difference).evaluate(function(areas) {
+      if (!areas) {
+        return;
+      }
+      areaLabels.forEach(function(areaLabel, i) {
+        var area = areas[String(i + 1)] || 0;
+        areaLabel.setValue(MASK_DIFFERENCE.labels[i] + ': ' + Math.round(area * 100) / 100 + ' km²');
+      });
+    });
+
+    updateStatus('Comparison ready - drag the divider to swipe between runs');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SATELLITE-SPECIFIC PROCESSING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Builds the filtered image collection for a method. SAR scenes are
+   * speckle-filtered, optical collections are cloud-masked per pixel, and
+   * all collections are tide-filtered if enabled.
+   * @param {string} method - 'sentinel1', 'sentinel2' or 'landsat'
+   * @returns {ee.ImageCollection} Collection ready for compositing
+   */
+  function getImageCollection(method, region, startDate, endDate) {
+    var collection;
+    switch(method) {
+      case 'sentinel1':
+        collection = ee.ImageCollection('COPERNICUS/S1_GRD')
+          .filterBounds(region)
+          .filterDate(startDate, endDate)
+          .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VV'))
+          .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VH'))
+          .filter(ee.Filter.eq('instrumentMode', 'IW'));
+
+        if (state.sarOrbitPass !== 'BOTH') {
+          collection = collection.filter(ee.Filter.eq('orbitProperties_pass', state.sarOrbitPass));
+        }
+        var orbits = parseRelativeOrbits(state.sarRelativeOrbits);
+        if (orbits.length > 0) {
+          collection = collection.filter(ee.Filter.inList('relativeOrbitNumber_start', orbits));
+        }
+        if (state.sarSpeckleFilter !== 'none' || state.sarAngleNormalization) {
+          collection = collection.map(preprocessSentinel1);
+        }
+        break;
+      case 'sentinel2':
+        var s2 = ee.ImageCollection(getS2CollectionId())
+          .filterBounds(region)
+          .filterDate(startDate, endDate)
+          .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', state.cloudCover));
+        collection = applyS2CloudMask(s2, region, startDate, endDate);
+        break;
+      case 'landsat':
+        collection = applyLandsatCloudMask(getLandsatCollection(region, startDate, endDate));
+        break;
+      case 'hls':
+        collection = applyHlsCloudMask(getHlsCollection(region, startDate, endDate));
+        break;
+      case 'modis':
+        collection = applyModisCloudMask(getModisCollection(region, startDate, endDate));
+        break;
+    }
+    return applyTideFilter(collection);
+  }
+
+  /**
+   * Strategies for combining a collection into a single image.
+   */
+  var COMPOSITE_METHODS = [
+    {
+      label: 'Median',
+      value: 'median',
+      description: 'Per-pixel median. Robust against outliers such as residual clouds or ships.'
+    },
+    {
+      label: 'Mean',
+      value: 'mean',
+      description: 'Per-pixel mean. More sensitive to gradual changes, but also to outliers.'
+    },
+    {
+      label: 'Percentile',
+      value: 'percentile',
+      description: 'Per-pixel percentile. Low percentiles suppress bright residual clouds and sun glint.'
+    },
+    {
+      label: 'Quality Mosaic',
+      value: 'qualityMosaic',
+      description: 'Takes every pixel from the scene with the best quality score at that pixel.'
+    },
+    {
+      label: 'Best Single Scene',
+      value: 'bestScene',
+      description: 'Uses the one scene with the most valid (unmasked) pixels over the area of interest.'
+    },
+    {
+      label: 'Medoid',
+      value: 'medoid',
+      description: 'Takes every pixel from the scene closest to the median in all bands, so band values stay consistent.'
+    }
+  ];
+
+  /**
+   * Per-pixel scores for quality mosaics; the highest score wins.
+   */
+  var COMPOSITE_SCORES = [
+    {
+      label: 'Highest water index',
+      value: 'water',
+      description: 'MNDWI for optical imagery, lowest VV backscatter for SAR.'
+    },
+    {
+      label: 'Lowest cloud probability',
+      value: 'clear',
+      description: 'Pixel cloud probability with s2cloudless, otherwise the scene cloud cover. Not available for SAR.'
+    }
+  ];
+
+  /**
+   * Returns the bands used to measure the distance to the median in medoid composites.
+   */
+  function getMedoidBands(method) {
+    return method === 'sentinel1' ? ['VV', 'VH'] : OPTICAL_SENSORS[method].bands;
+  }
+
+  /**
+   * Adds the quality mosaic score of the selected kind as a 'score' band.
+   */
+  function addCompositeScore(method, image) {
+    var score;
+    if (method === 'sentinel1') {
+      score = image.select('VV').multiply(-1);
+    } else if (state.compositeScore === 'clear') {
+      if (method === 'sentinel2' && state.s2CloudMask === 's2cloudless') {
+        score = ee.Image(image.get('s2cloudless')).select('probability').multiply(-1);
+      } else {
+        var cloudCover = image.get(OPTICAL_SENSORS[method].cloudProperty);
+        score = ee.Image.constant(cloudCover).multiply(-1);
+      }
+    } else {
+      score = calculateWaterIndex(image, 'MNDWI', method);
+    }
+    return image.addBands(score.toFloat().rename('score'));
+  }
+
+  /**
+   * Returns the scene with the largest share of valid pixels over the AOI.
+   */
+  function selectBestScene(collection) {
+    return ee.Image(collection.map(function(image) {
+      var coverage = image.select(0).mask().reduceRegion({
+        reducer: ee.Reducer.mean(),
+        geometry: state.aoi,
+        scale: 100,
+        maxPixels: 1e9,
+        bestEffort: true
+      }).values().get(0);
+      return image.set('coverage', coverage);
+    }).sort('coverage', false).first());
+  }
+
+  /**
+   * Combines a collection into a single image with the selected composite method.
+   */
+  function createComposite(method, collection) {
+    var bands = ee.Image(collection.first()).bandNames();
+
+    switch(state.compositeMethod) {
+      case 'mean':
+        return collection.mean();
+      case 'percentile':
+        return collection.reduce(ee.Reducer.percentile([state.compositePercentile])).rename(bands);
+      case 'qualityMosaic':
+        return collection.map(function(image) {
+          return addCompositeScore(method, image);
+        }).qualityMosaic('score').select(bands);
+      case 'bestScene':
+        return selectBestScene(collection);
+      case 'medoid':
+        var medoidBands = getMedoidBands(method);
+        var median = collection.select(medoidBands).median();
+        return collection.map(function(image) {
+          var distance = image.select(medoidBands).subtract(median).pow(2)
+            .reduce(ee.Reducer.sum());
+          return image.addBands(distance.multiply(-1).toFloat().rename('score'));
+        }).qualityMosaic('score').select(bands);
+      default:
+        return collection.median();
+    }
+  }
+
+  /**
+   * Describes the composite method for run summaries.
+   */
+  function describeComposite(method) {
+    var composite = findOption(COMPOSITE_METHODS, state.compositeMethod);
+    switch(composite.value) {
+      case 'percentile':
+        return composite.label + ' (p' + state.compositePercentile + ')';
+      case 'qualityMosaic':
+        return composite.label + ' (' + (method === 'sentinel1' ?
+          COMPOSITE_SCORES[0] : findOption(COMPOSITE_SCORES, state.compositeScore)).label.toLowerCase() + ')';
+      default:
+        return composite.label;
+    }
+  }
+
+  /**
+   * Runs the water detector for a method on a composite, or the trained
+   * classifier in supervised mode.
+   * @returns {ee.Image} Binary water mask
+   */
+  function detectWater(method, image) {
+    if (state.detectionApproach === 'supervised') {
+      return detectWaterSupervised(method, image);
+    }
+    switch(method) {
+      case 'sentinel1':
+        return detectWaterFromSAR(image);
+      default:
+        return detectWaterFromOptical(image, state.waterIndex, method);
+    }
+  }
+
+  function processSentinel1(startDate, endDate, progressPanel) {
+    var expandedAOI = state.aoi.buffer(500);
+
+    var collection = getImageCollection('sentinel1', expandedAOI, startDate, endDate);
+
+    var count = collection.size().getInfo();
+    if (count === 0) {
+      progressPanel.clear();
+      progressPanel.add(ui.Label({
+        value: ICONS.warning + ' No Sentinel-1 images found for the selected period.',
+        style: {color: 'red', fontWeight: 'bold'}
+      }));
+
+      progressPanel.add(ui.Button({
+        label: 'Change Dates',
+        onClick: function() {
+          showDateCloudSettings('sentinel1');
+        },
+        style: STYLES.button
+      }));
+
+      updateStatus('No images found for the selected period', true);
+      return;
+    }
+
+    // Update progress
+    progressPanel.clear();
+    progressPanel.add(ui.Label('Found ' + count + ' Sentinel-1 scenes', {margin: '5px 0'}));
+    progressPanel.add(ui.Label('Creating composite...', {margin: '5px 0'}));
+
+    updateStatus('Processing ' + count + ' Sentinel-1 scenes');
+
+    var image = createComposite('sentinel1', collection).clip(expandedAOI);
+
+    // Store raw
+    state.rawImage = image;
+
+    // Update progress
+    progressPanel.add(ui.Label('Detecting water bodies...', {margin: '5px 0'}));
+
+    // Detect water & extract shoreline
+    var waterMask = detectWater('sentinel1', image);
+    waterMask = applyTidalCorrection(waterMask, collection, expandedAOI);
+
+    // Supervised runs pause here so the classifier can be checked first
+    reviewClassification('sentinel1', progressPanel, function() {
+      progressPanel.add(ui.Label('Vectorizing shoreline...', {margin: '5px 0'}));
+
+      var shoreline = extractShoreline(waterMask, expandedAOI);
+      var clippedShoreline = shoreline.map(function(f) {
+        return f.intersection(state.aoi);
+      }).filterBounds(state.aoi);
+
+      displayResults('sentinel1', waterMask.clip(state.aoi), clippedShoreline, progressPanel);
+    });
+  }
+
+  function processSentinel2(startDate, endDate, progressPanel) {
+    var expandedAOI = state.aoi.buffer(500);
+
+    var collection = getImageCollection('sentinel2', expandedAOI, startDate, endDate);
+
+    var count = collection.size().getInfo();
+    if (count === 0) {
+      progressPanel.clear();
+      progressPanel.add(ui.Label({
+        value: ICONS.warning + ' No Sentinel-2 images found within cloud cover limit.',
+        style: {color: 'red', fontWeight: 'bold'}
+      }));
+
+      progressPanel.add(ui.Button({
+        label: 'Increase Cloud Cover Limit',
+        onClick: function() {
+          state.cloudCover = Math.min(100, state.cloudCover + 10);
+          showDateCloudSettings('sentinel2');
+        },
+        style: STYLES.button
+      }));
+
+      progressPanel.add(ui.Button({
+        label: 'Change Dates',
+        onClick: function() {
+          showDateCloudSettings('sentinel2');
+        },
+        style: STYLES.button
+      }));
+
+      updateStatus('No images found within cloud cover limit', true);
+      return;
+    }
+
+    // Update progress
+    progressPanel.clear();
+    progressPanel.add(ui.Label('Found ' + count + ' Sentinel-2 scenes', {margin: '5px 0'}));
+    progressPanel.add(ui.Label('Creating composite...', {margin: '5px 0'}));
+
+    updateStatus('Processing ' + count + ' Sentinel-2 scenes');
+
+    var image = createComposite('sentinel2', collection).clip(expandedAOI);
+    state.rawImage = image;
+
+    // Update progress
+    progressPanel.add(ui.Label(state.detectionApproach === 'supervised' ?
+      'Classifying water and land...' : 'Calculating ' + state.waterIndex + '...', {margin: '5px 0'}));
+
+    // Water detection
+    var waterMask = detectWater('sentinel2', image);
+    waterMask = applyTidalCorrection(waterMask, collection, expandedAOI);
+
+    // Supervised runs pause here so the classifier can be checked first
+    reviewClassification('sentinel2', progressPanel, function() {
+      progressPanel.add(ui.Label('Vectorizing shoreline...', {margin: '5px 0'}));
+
+      var shoreline = extractShoreline(waterMask, expandedAOI);
+      var clippedShoreline = shoreline.map(function(f) {
+        return f.intersection(state.aoi);
+      }).filterBounds(state.aoi);
+
+      displayResults('sentinel2', waterMask.clip(state.aoi), clippedShoreline, progressPanel);
+    });
+  }
+
+  function processLandsat(startDate, endDate, progressPanel) {
+    var expandedAOI = state.aoi.buffer(500);
+
+    var collection = getImageCollection('landsat', expandedAOI, startDate, endDate);
+
+    var count = collection.size().getInfo();
+    if (count === 0) {
+      progressPanel.clear();
+      progressPanel.add(ui.Label({
+        value: ICONS.warning + ' No Landsat images found within cloud cover limit.',
+        style: {color: 'red', fontWeight: 'bold'}
+      }));
+
+      progressPanel.add(ui.Button({
+        label: 'Increase Cloud Cover Limit',
+        onClick: function() {
+          state.cloudCover = Math.min(100, state.cloudCover + 10);
+          showDateCloudSettings('landsat');
+        },
+        style: STYLES.button
+      }));
+
+      progressPanel.add(ui.Button({
+        label: 'Change Dates',
+        onClick: function() {
+          showDateCloudSettings('landsat');
+        },
+        style: STYLES.button
+      }));
+
+      updateStatus('No images found within cloud cover limit', true);
+      return;
+    }
+
+    // Update progress
+    progressPanel.clear();
+    progressPanel.add(ui.Label('Found ' + count + ' Landsat scenes', {margin: '5px 0'}));
+    progressPanel.add(ui.Label('Creating composite...', {margin: '5px 0'}));
+
+    updateStatus('Processing ' + count + ' Landsat scenes');
+
+    var image = createComposite('landsat', collection).clip(expandedAOI);
+    state.rawImage = image;
+
+    // Update progress
+    progressPanel.add(ui.Label(state.detectionApproach === 'supervised' ?
+      'Classifying water and land...' : 'Calculating ' + state.waterIndex + '...', {margin: '5px 0'}));
+
+    var waterMask = detectWater('landsat', image);
+    waterMask = applyTidalCorrection(waterMask, collection, expandedAOI);
+
+    // Supervised runs pause here so the classifier can be checked first
+    reviewClassification('landsat', progressPanel, function() {
+      progressPanel.add(ui.Label('Vectorizing shoreline...', {margin: '5px 0'}));
+
+      var shoreline = extractShoreline(waterMask, expandedAOI);
+      var clippedShoreline = shoreline.map(function(f) {
+        return f.intersection(state.aoi);
+      }).filterBounds(state.aoi);
+
+      displayResults('landsat', waterMask.clip(state.aoi), clippedShoreline, progressPanel);
+    });
+  }
+
+  /**
+   * Runs detection for an optical method without a dedicated pipeline (HLS, MODIS).
+   */
+  function processOptical(method, startDate, endDate, progressPanel) {
+    var sensorLabel = OPTICAL_SENSORS[method].label;
+    var expandedAOI = state.aoi.buffer(500);
+
+    var collection = getImageCollection(method, expandedAOI, startDate, endDate);
+
+    var count = collection.size().getInfo();
+    if (count === 0) {
+      progressPanel.clear();
+      progressPanel.add(ui.Label({
+        value: ICONS.warning + ' No ' + sensorLabel + ' images found within cloud cover limit.',
+        style: {color: 'red', fontWeight: 'bold'}
+      }));
+
+      progressPanel.add(ui.Button({
+        label: 'Increase Cloud Cover Limit',
+        onClick: function() {
+          state.cloudCover = Math.min(100, state.cloudCover + 10);
+          showDateCloudSettings(method);
+        },
+        style: STYLES.button
+      }));
+
+      progressPanel.add(ui.Button({
+        label: 'Change Dates',
+        onClick: function() {
+          showDateCloudSettings(method);
+        },
+        style: STYLES.button
+      }));
+
+      updateStatus('No images found within cloud cover limit', true);
+      return;
+    }
+
+    // Update progress
+    progressPanel.clear();
+    progressPanel.add(ui.Label('Found ' + count + ' ' + sensorLabel + ' scenes', {margin: '5px 0'}));
+    progressPanel.add(ui.Label('Creating composite...', {margin: '5px 0'}));
+
+    updateStatus('Processing ' + count + ' ' + sensorLabel + ' scenes');
+
+    var image = createComposite(method, collection).clip(expandedAOI);
+    state.rawImage = image;
+
+    // Update progress
+    progressPanel.add(ui.Label(state.detectionApproach === 'supervised' ?
+      'Classifying water and land...' : 'Calculating ' + state.waterIndex + '...', {margin: '5px 0'}));
+
+    var waterMask = detectWater(method, image);
+    waterMask = applyTidalCorrection(waterMask, collection, expandedAOI);
+
+    // Supervised runs pause here so the classifier can be checked first
+    reviewClassification(method, progressPanel, function() {
+      progressPanel.add(ui.Label('Vectorizing shoreline...', {margin: '5px 0'}));
+
+      var shoreline = extractShoreline(waterMask, expandedAOI);
+      var clippedShoreline = shoreline.map(function(f) {
+        return f.intersection(state.aoi);
+      }).filterBounds(state.aoi);
+
+      displayResults(method, waterMask.clip(state.aoi), clippedShoreline, progressPanel);
+    });
+  }
 
-      settingsPanel.add(thresholdPanel);
+  /**
+   * Detects the shoreline on a user image asset, read through the band roles
+   * configured in OPTICAL_SENSORS.asset.
+   */
+  function processAsset(progressPanel) {
+    var expandedAOI = state.aoi.buffer(500);
+    var image = ee.Image(state.assetId).clip(expandedAOI);
+    state.rawImage = image;
 
-      var thresholdSlider = ui.Slider({
-        min: -1,
-        max: 1,
-        value: state.waterThreshold,
-        step: 0.05,
-        style: {width: '300px'},
-        disabled: !state.useCustomThreshold,
-        onChange: function(value) {
-          state.waterThreshold = value;
-        }
-      });
-      settingsPanel.add(thresholdSlider);
-    }
+    progressPanel.clear();
+    progressPanel.add(ui.Label('Asset: ' + state.assetId, {margin: '5px 0'}));
+    progressPanel.add(ui.Label(state.detectionApproach === 'supervised' ?
+      'Classifying water and land...' : 'Calculating ' + state.waterIndex + '...', {margin: '5px 0'}));
 
-    mainPanel.add(settingsPanel);
+    var waterMask = detectWater('asset', image);
 
-    // Add process and back buttons
-    var buttonPanel = ui.Panel({
-      layout: ui.Panel.Layout.flow('horizontal'),
-      style: {margin: '20px 0'}
+    // Supervised runs pause here so the classifier can be checked first
+    reviewClassification('asset', progressPanel, function() {
+      progressPanel.add(ui.Label('Vectorizing shoreline...', {margin: '5px 0'}));
+
+      var shoreline = extractShoreline(waterMask, expandedAOI);
+      var clippedShoreline = shoreline.map(function(f) {
+        return f.intersection(state.aoi);
+      }).filterBounds(state.aoi);
+
+      displayResults('asset', waterMask.clip(state.aoi), clippedShoreline, progressPanel);
     });
+  }
 
-    buttonPanel.add(ui.Button({
-      label: ICONS.next + ' Continue',
-      onClick: function() {
-        updateStatus('Configuring date and image settings');
-        showDateCloudSettings(method);
-      },
-      style: STYLES.button
-    }));
+  // ─────────────────────────────────────────────────────────────────────────────
+  // MULTI-SENSOR FUSION
+  // ─────────────────────────────────────────────────────────────────────────────
 
-    buttonPanel.add(ui.Button({
-      label: ICONS.back + ' Back',
-      onClick: function() {
-        updateStatus('Returning to method selection');
-        showMethodSelection();
-      },
-      style: STYLES.button
-    }));
+  /**
+   * Detectors that can take part in a fusion run.
+   */
+  var FUSION_SENSORS = [
+    {label: 'Sentinel-1 SAR', shortLabel: 'S1', value: 'sentinel1'},
+    {label: 'Sentinel-2 Optical', shortLabel: 'S2', value: 'sentinel2'},
+    {label: 'Landsat 5/7/8/9', shortLabel: 'Landsat', value: 'landsat'}
+  ];
 
-    mainPanel.add(buttonPanel);
+  // Palette of the sensor agreement layer, from split vote to unanimous
+  var AGREEMENT_PALETTE = ['#d7191c', '#fdae61', '#a6d96a', '#1a9641'];
+
+  /**
+   * Fuses per-sensor water masks. Each sensor votes only where it has data,
+   * so SAR fills optical cloud gaps and vice versa.
+   * @param {Array<Object>} masks - {method, water, footprint, weight} per
+   *     sensor; footprint is the composite's data mask, since detectors that
+   *     mask land leave no data outside the water
+   * @param {number} threshold - Weighted water fraction that makes a pixel water
+   * @returns {Object} {water, score, agreement, sensors} images:
+   *     water - consensus water mask,
+   *     score - weighted fraction of sensors voting water,
+   *     agreement - fraction of sensors agreeing with the consensus,
+   *     sensors - number of sensors with data
+   */
+  function buildConsensus(masks, threshold) {
+    var weightedVotes = ee.Image(0);
+    var totalWeight = ee.Image(0);
+    var votes = ee.Image(0);
+    var sensors = ee.Image(0);
+
+    masks.forEach(function(entry) {
+      var hasData = entry.footprint.gt(0).unmask(0);
+      var isWater = entry.water.unmask(0).gt(0).and(hasData);
+
+      weightedVotes = weightedVotes.add(isWater.multiply(entry.weight));
+      totalWeight = totalWeight.add(hasData.multiply(entry.weight));
+      votes = votes.add(isWater);
+      sensors = sensors.add(hasData);
+    });
+
+    // Pixels without any data divide by zero and stay masked
+    var score = weightedVotes.divide(totalWeight).rename('score');
+    var water = score.gte(threshold).rename('water');
+    var agreeing = water.multiply(votes).add(water.not().multiply(sensors.subtract(votes)));
+
+    return {
+      water: water,
+      score: score,
+      agreement: agreeing.divide(sensors).rename('agreement'),
+      sensors: sensors.rename('sensors')
+    };
   }
 
-  function showDateCloudSettings(method) {
-    mainPanel.clear();
-    mainPanel.add(ui.Label('Image Selection Settings', STYLES.heading));
+  /**
+   * Runs every selected detector over the AOI and dates, fuses the water
+   * masks and extracts one shoreline from the consensus. Each shoreline
+   * segment carries the mean sensor agreement along it.
+   */
+  function processFusion(startDate, endDate, progressPanel) {
+    var expandedAOI = state.aoi.buffer(500);
+    var masks = [];
 
-    // Date range panel with white background
-    var dateRangePanel = ui.Panel({
-      widgets: [
-        ui.Label('Select the time period for image acquisition. Shorter time periods may have fewer images but better seasonal consistency.', {
-          margin: '5px 0',
-          fontSize: '13px'
-        })
-      ],
-      style: {
-        padding: '10px',
-        backgroundColor: 'white',
-        border: '1px solid #ddd',
-        margin: '5px 0 15px 0'
+    progressPanel.clear();
+
+    state.fusion.sensors.forEach(function(method) {
+      var sensor = findOption(FUSION_SENSORS, method);
+      var collection = getImageCollection(method, expandedAOI, startDate, endDate);
+      var count = collection.size().getInfo();
+
+      progressPanel.add(ui.Label(sensor.label + ': ' + count + ' scenes', {margin: '5px 0'}));
+      if (count === 0) {
+        return;
       }
+
+      var image = createComposite(method, collection).clip(expandedAOI);
+      var water = applyTidalCorrection(detectWater(method, image), collection, expandedAOI);
+      masks.push({
+        method: method,
+        water: water,
+        footprint: image.select(0).mask(),
+        weight: state.fusion.weights[method]
+      });
     });
-    mainPanel.add(dateRangePanel);
 
-    // Date range inputs
-    var now = Date.now();
-    var oneMonthAgo = new Date();
-    oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
+    if (masks.length < 2) {
+      progressPanel.add(ui.Label({
+        value: ICONS.warning + ' Fusion needs imagery from at least two sensors.',
+        style: {color: 'red', fontWeight: 'bold'}
+      }));
+      progressPanel.add(ui.Button({
+        label: 'Change Settings',
+        onClick: showFusionSettings,
+        style: STYLES.button
+      }));
+      updateStatus('Not enough sensors with imagery for fusion', true);
+      return;
+    }
 
-    var startDateBox = ui.Textbox({
-      placeholder: 'YYYY-MM-DD',
-      value: oneMonthAgo.toISOString().split('T')[0],
-      onChange: function(value) {
-        if (validateDate(value)) {
-          this.style().set('color', 'black');
-          state.dateRange.start = ee.Date(value);
-        } else {
-          this.style().set('color', 'red');
-          ui.alert('Please enter a valid start date (YYYY-MM-DD)');
-        }
-      },
-      style: {width: '150px'}
+    state.fusion.used = masks.map(function(entry) {
+      return entry.method;
     });
+    updateStatus('Fusing ' + masks.length + ' water masks');
+    progressPanel.add(ui.Label('Building consensus water mask...', {margin: '5px 0'}));
 
-    var endDateBox = ui.Textbox({
-      placeholder: 'YYYY-MM-DD',
-      value: new Date(now).toISOString().split('T')[0],
-      onChange: function(value) {
-        if (validateDate(value)) {
-          this.style().set('color', 'black');
-          state.dateRange.end = ee.Date(value);
-        } else {
-          this.style().set('color', 'red');
-          ui.alert('Please enter a valid end date (YYYY-MM-DD)');
-        }
-      },
-      style: {width: '150px'}
-    });
+    var consensus = buildConsensus(masks, state.fusion.threshold);
+    var waterMask = consensus.water.clip(expandedAOI);
 
-    var startDatePanel = ui.Panel({
-      widgets: [ui.Label('Start:', {margin: '4px 8px 4px 0px'}), startDateBox],
-      layout: ui.Panel.Layout.flow('horizontal')
-    });
-    mainPanel.add(startDatePanel);
+    // The agreement layer takes the place of the raw imagery on the map
+    state.rawImage = consensus.agreement.clip(state.aoi);
+    state.waterSurface = consensus.score.subtract(state.fusion.threshold).rename('surface');
 
-    var endDatePanel = ui.Panel({
-      widgets: [ui.Label('End:', {margin: '12px 8px 4px 0px'}), endDateBox],
-      layout: ui.Panel.Layout.flow('horizontal'),
-      style: {margin: '8px 0 0 0'}
+    progressPanel.add(ui.Label('Vectorizing shoreline...', {margin: '5px 0'}));
+
+    var shoreline = extractShoreline(waterMask, expandedAOI);
+    var clippedShoreline = consensus.agreement.reduceRegions({
+      collection: shoreline.map(function(f) {
+        return f.intersection(state.aoi);
+      }).filterBounds(state.aoi),
+      reducer: ee.Reducer.mean().setOutputs(['agreement']),
+      scale: 10,
+      tileScale: 4
     });
-    mainPanel.add(endDatePanel);
 
-    // Cloud cover (not needed for Sentinel-1)
-    if (method !== 'sentinel1') {
-      mainPanel.add(createSectionHeader('Cloud Cover Maximum (%)',
-        'Maximum cloud cover percentage allowed in images. Lower values ensure clearer images but may reduce the number of available scenes.'));
+    displayResults('fusion', waterMask.clip(state.aoi), clippedShoreline, progressPanel);
+  }
 
-      var cloudSlider = ui.Slider({
-        min: 0, max: 100, value: state.cloudCover, step: 5,
-        onChange: function(value) {
-          state.cloudCover = value;
-        },
-        style: {width: '300px'}
-      });
-      mainPanel.add(cloudSlider);
-    }
+  /**
+   * Fusion settings: sensors, weights and consensus threshold.
+   */
+  function showFusionSettings() {
+    mainPanel.clear();
+    mainPanel.add(ui.Label('Multi-Sensor Fusion', STYLES.heading));
+    mainPanel.add(ui.Label({
+      value: 'Runs several detectors over the same area and dates and combines their water ' +
+             'masks into a weighted consensus. Sensors only vote where they have data, so SAR ' +
+             'fills gaps left by clouds in optical imagery.',
+      style: {fontSize: '13px', color: '#666', margin: '0 0 10px 0'}
+    }));
 
-    // Composite method selection (applicable to Sentinel-1 or Sentinel-2)
-    if (method === 'sentinel1' || method === 'sentinel2') {
-      mainPanel.add(createSectionHeader('Composite Method',
-        'Method used to combine multiple images. Median is better for removing outliers, while Mean can be more sensitive to gradual changes.'));
+    mainPanel.add(createSectionHeader('Sensors and Weights',
+      'Select two or three sensors. A higher weight gives the sensor more say in the consensus.'));
 
-      var compositeOptions = ['Median', 'Mean'];
-      var compositeSelect = ui.Select({
-        items: compositeOptions,
-        value: state.compositeMethod,
+    FUSION_SENSORS.forEach(function(sensor) {
+      var weightSlider = ui.Slider({
+        min: 0.5,
+        max: 3,
+        value: state.fusion.weights[sensor.value],
+        step: 0.5,
+        style: {width: '150px', shown: state.fusion.sensors.indexOf(sensor.value) !== -1},
         onChange: function(value) {
-          state.compositeMethod = value;
-        },
-        style: {width: '150px'}
+          state.fusion.weights[sensor.value] = value;
+        }
       });
-      mainPanel.add(compositeSelect);
-    }
 
-    // Add buttons
+      mainPanel.add(ui.Panel({
+        widgets: [
+          ui.Checkbox({
+            label: sensor.label,
+            value: state.fusion.sensors.indexOf(sensor.value) !== -1,
+            onChange: function(checked) {
+              // Keep the sensors in a fixed order
+              state.fusion.sensors = FUSION_SENSORS.filter(function(s) {
+                return s.value === sensor.value ? checked : state.fusion.sensors.indexOf(s.value) !== -1;
+              }).map(function(s) {
+                return s.value;
+              });
+              weightSlider.style().set('shown', checked);
+            },
+            style: {width: '150px'}
+          }),
+          weightSlider
+        ],
+        layout: ui.Panel.Layout.flow('horizontal')
+      }));
+    });
+
+    mainPanel.add(createSectionHeader('Consensus Threshold (%)',
+      'Share of the weighted votes needed to call a pixel water. 50% is a weighted majority.'));
+    mainPanel.add(ui.Slider({
+      min: 10,
+      max: 90,
+      value: state.fusion.threshold * 100,
+      step: 5,
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.fusion.threshold = value / 100;
+      }
+    }));
+
     var buttonPanel = ui.Panel({
       layout: ui.Panel.Layout.flow('horizontal'),
       style: {margin: '20px 0'}
     });
 
     buttonPanel.add(ui.Button({
-      label: method === 'sentinel2' ? 'Select Water Index' : 'Process Images',
+      label: ICONS.next + ' Next',
       onClick: function() {
-        if (method === 'sentinel2') {
-          updateStatus('Selecting water index for Sentinel-2');
-          showSentinel2Options();
-        } else {
-          updateStatus('Processing ' + method + ' imagery...');
-          processImagery(method);
+        if (state.fusion.sensors.length < 2) {
+          ui.alert('Select Sensors', 'Please select at least two sensors.');
+          updateStatus('Select at least two sensors for fusion', true);
+          return;
         }
+        updateStatus('Configuring image selection for fusion');
+        showDateCloudSettings('fusion');
       },
       style: STYLES.button
     }));
 
     buttonPanel.add(ui.Button({
       label: ICONS.back + ' Back',
-      onClick: function() {
-        updateStatus('Returning to advanced settings');
-        showAdvancedSettings(method);
-      },
+      onClick: showMethodSelection,
       style: STYLES.button
     }));
 
     mainPanel.add(buttonPanel);
   }
 
-  function showSentinel2Options() {
-    mainPanel.clear();
-    mainPanel.add(ui.Label('Select Water Index', STYLES.heading));
-
-    // Information about water indices
-    var infoPanel = ui.Panel({
-      widgets: [
-        ui.Label({
-          value: 'Water indices use different band combinations to highlight water features. Choose the best index for your environment:',
-          style: {fontSize: '13px', margin: '3px 0'}
-        })
-      ],
-      style: {
-        padding: '8px',
-        backgroundColor: 'white',
-        border: '1px solid #ddd',
-        margin: '5px 0 10px 0'
-      }
+  /**
+   * Legend for the sensor agreement layer.
+   */
+  function createAgreementLegend() {
+    var legend = ui.Panel({
+      widgets: [ui.Label('Sensor Agreement', {fontWeight: 'bold', margin: '5px 0'})],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '10px 0'}
     });
-    mainPanel.add(infoPanel);
 
-    var indices = [
-      {
-        label: 'MNDWI (Modified NDWI)',
-        value: 'MNDWI',
-        description: 'Best for most cases, uses green and SWIR bands. Good at suppressing built-up area noise.'
-      },
-      {
-        label: 'NDWI (Normalized Difference Water Index)',
-        value: 'NDWI',
-        description: 'Uses green and NIR bands. Good for clear water bodies but may confuse with built-up areas.'
-      },
-      {
-        label: 'AWEInsh (Automated Water Extraction Index)',
-        value: 'AWEInsh',
-        description: 'Non-shadow variant, good for areas without mountain shadows.'
-      },
-      {
-        label: 'AWEIsh (AWEI shadow)',
-        value: 'AWEIsh',
-        description: 'Shadow variant, better for mountainous regions with shadows.'
-      },
-      {
-        label: 'Band8 (NIR)',
-        value: 'Band8',
-        description: 'Simple NIR band. Water appears dark. Good for clear contrast scenes.'
-      },
-      {
-        label: 'SMBWI (Sentinel Multi-Band Water Index)',
-        value: 'SMBWI',
-        description: 'Designed for Sentinel-2, uses multiple bands for robustness.'
-      },
-      {
-        label: 'WRI (Water Ratio Index)',
-        value: 'WRI',
-        description: 'Ratio-based index, sometimes useful in vegetated areas.'
-      },
-      {
-        label: 'NDWI2 (NIR-SWIR)',
-        value: 'NDWI2',
-        description: 'Alternative NDWI using NIR and SWIR bands. Good for turbid waters.'
-      }
-    ];
-
-    // Create index cards with descriptions
-    indices.forEach(function(idx) {
-      var indexCard = ui.Panel({
+    ['50% (split)', '67%', '83%', '100% (unanimous)'].forEach(function(label, i) {
+      legend.add(ui.Panel({
         widgets: [
-          ui.Label({
-            value: idx.label,
-            style: {fontWeight: 'bold', fontSize: '14px', margin: '5px 0'}
-          }),
-          ui.Label({
-            value: idx.description,
-            style: {fontSize: '12px', color: '#666', margin: '3px 0'}
-          }),
-          ui.Button({
-            label: 'Select',
-            onClick: function() {
-              state.waterIndex = idx.value;
-              updateStatus('Processing with ' + idx.label + '...');
-              processImagery('sentinel2');
-            },
-            style: STYLES.button
-          })
+          ui.Label('', {backgroundColor: AGREEMENT_PALETTE[i], padding: '8px', margin: '2px 6px 2px 0'}),
+          ui.Label(label, {fontSize: '12px', margin: '4px 0'})
         ],
-        style: {
-          padding: '8px',
-          backgroundColor: 'white',
-          border: '1px solid #ddd',
-          margin: '8px 0'
-        }
+        layout: ui.Panel.Layout.flow('horizontal')
+      }));
+    });
+    return legend;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // TIME SERIES
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Ways to split the date range into time-series windows.
+   */
+  var TIME_SERIES_WINDOWS = [
+    {
+      label: 'Yearly',
+      value: 'yearly',
+      description: 'One shoreline per calendar year.'
+    },
+    {
+      label: 'Seasonal',
+      value: 'seasonal',
+      description: 'One shoreline per meteorological season (MAM, JJA, SON, DJF).'
+    },
+    {
+      label: 'Per scene',
+      value: 'scene',
+      description: 'One shoreline per acquisition date, without multi-date compositing.'
+    }
+  ];
+
+  // Upper limit on windows per run to keep the request size manageable
+  var TIME_SERIES_MAX_WINDOWS = 50;
+
+  var DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Formats epoch milliseconds as YYYY-MM-DD.
+   */
+  function formatDateMillis(millis) {
+    return new Date(millis).toISOString().split('T')[0];
+  }
+
+  /**
+   * Splits a date range into time-series windows (client-side).
+   * @param {string} type - Window type from TIME_SERIES_WINDOWS
+   * @param {number} startMillis - Range start (epoch ms)
+   * @param {number} endMillis - Range end (epoch ms)
+   * @param {Array<number>} sceneMillis - Scene timestamps, for 'scene' windows
+   * @returns {Array<Object>} Windows {start, end, label, year, season}
+   */
+  function getTimeWindows(type, startMillis, endMillis, sceneMillis) {
+    var windows = [];
+    var startYear = new Date(startMillis).getUTCFullYear();
+    var endYear = new Date(endMillis).getUTCFullYear();
+
+    function addWindow(start, end, label, year, season) {
+      start = Math.max(start, startMillis);
+      end = Math.min(end, endMillis);
+      if (end > start) {
+        windows.push({start: start, end: end, label: label, year: year, season: season});
+      }
+    }
+
+    if (type === 'yearly') {
+      for (var y = startYear; y <= endYear; y++) {
+        addWindow(Date.UTC(y, 0, 1), Date.UTC(y + 1, 0, 1), String(y), y, 'annual');
+      }
+    } else if (type === 'seasonal') {
+      var seasons = [
+        {name: 'MAM', month: 2},
+        {name: 'JJA', month: 5},
+        {name: 'SON', month: 8},
+        {name: 'DJF', month: 11}   // December to February, labelled by its January
+      ];
+      for (var sy = startYear - 1; sy <= endYear; sy++) {
+        seasons.forEach(function(season) {
+          var labelYear = season.name === 'DJF' ? sy + 1 : sy;
+          addWindow(Date.UTC(sy, season.month, 1), Date.UTC(sy, season.month + 3, 1),
+            season.name + ' ' + labelYear, labelYear, season.name);
+        });
+      }
+    } else {
+      var days = {};
+      (sceneMillis || []).forEach(function(millis) {
+        days[Math.floor(millis / DAY_MILLIS) * DAY_MILLIS] = true;
       });
-      mainPanel.add(indexCard);
-    });
+      Object.keys(days).map(Number).sort(function(a, b) { return a - b; }).forEach(function(day) {
+        addWindow(day, day + DAY_MILLIS, formatDateMillis(day),
+          new Date(day).getUTCFullYear(), 'scene');
+      });
+    }
 
-    mainPanel.add(ui.Button({
-      label: ICONS.back + ' Back',
-      onClick: function() {
-        updateStatus('Returning to date settings');
-        showDateCloudSettings('sentinel2');
-      },
-      style: STYLES.button
-    }));
+    return windows;
   }
 
-  function processImagery(method) {
-    var startDate = state.dateRange.start || ee.Date(Date.now()).advance(-1, 'month');
-    var endDate   = state.dateRange.end   || ee.Date(Date.now());
+  /**
+   * Extracts one shoreline per time window and displays the dated series.
+   */
+  function processTimeSeries(method, startDate, endDate, progressPanel) {
+    var expandedAOI = state.aoi.buffer(500);
+    var windowType = findOption(TIME_SERIES_WINDOWS, state.timeSeriesWindow);
 
-    // Clear previous results and show loading
-    resultsPanel.clear();
-    mainPanel.clear();
+    progressPanel.clear();
+    progressPanel.add(ui.Label('Building ' + windowType.label.toLowerCase() + ' windows...', {margin: '5px 0'}));
 
-    // Create progress panel
-    var progressPanel = ui.Panel({
-      widgets: [
-        ui.Label({
-          value: 'Processing ' + method.toUpperCase() + ' imagery...',
-          style: {fontWeight: 'bold', margin: '5px 0'}
-        }),
-        ui.Label({
-          value: 'This may take a few minutes. Please wait.',
-          style: {fontSize: '13px', margin: '5px 0'}
-        })
-      ],
-      style: {
-        padding: '10px',
-        backgroundColor: 'white',
-        border: '1px solid #ddd',
-        margin: '10px 0'
-      }
-    });
+    var range = ee.List([startDate.millis(), endDate.millis()]).getInfo();
+    var sceneMillis = null;
+    if (windowType.value === 'scene') {
+      sceneMillis = getImageCollection(method, expandedAOI, startDate, endDate)
+        .aggregate_array('system:time_start').getInfo();
+    }
 
-    mainPanel.add(ui.Label('Processing Status', STYLES.heading));
-    mainPanel.add(progressPanel);
+    var windows = getTimeWindows(windowType.value, range[0], range[1], sceneMillis);
+    if (windows.length > TIME_SERIES_MAX_WINDOWS) {
+      progressPanel.add(ui.Label({
+        value: ICONS.warning + ' ' + windows.length + ' windows found; only the first ' +
+               TIME_SERIES_MAX_WINDOWS + ' are processed.',
+        style: {color: '#f57c00', margin: '5px 0'}
+      }));
+      windows = windows.slice(0, TIME_SERIES_MAX_WINDOWS);
+    }
 
-    // Add a cancel button
-    mainPanel.add(ui.Button({
-      label: 'Cancel',
-      onClick: function() {
-        updateStatus('Processing cancelled');
-        showMethodSelection();
-      },
-      style: STYLES.button
-    }));
+    // Count images per window in one request and skip empty windows
+    var counts = ee.List(windows.map(function(w) {
+      return getImageCollection(method, expandedAOI, ee.Date(w.start), ee.Date(w.end)).size();
+    })).getInfo();
 
-    try {
-      updateStatus('Processing ' + method + ' imagery...');
+    windows = windows.filter(function(w, i) {
+      w.imageCount = counts[i];
+      return counts[i] > 0;
+    });
 
-      switch(method) {
-        case 'sentinel1':
-          processSentinel1(startDate, endDate, progressPanel);
-          break;
-        case 'sentinel2':
-          processSentinel2(startDate, endDate, progressPanel);
-          break;
-        case 'landsat':
-          processLandsat(startDate, endDate, progressPanel);
-          break;
-      }
-    } catch(e) {
+    if (windows.length === 0) {
       progressPanel.clear();
       progressPanel.add(ui.Label({
-        value: ICONS.warning + ' Error: ' + e.message,
+        value: ICONS.warning + ' No images found in any time window.',
         style: {color: 'red', fontWeight: 'bold'}
       }));
-      updateStatus('Error during processing: ' + e.message, true);
+      progressPanel.add(ui.Button({
+        label: 'Change Dates',
+        onClick: function() {
+          showDateCloudSettings(method);
+        },
+        style: STYLES.button
+      }));
+      updateStatus('No images found for the time series', true);
+      return;
     }
+
+    progressPanel.add(ui.Label('Extracting shorelines for ' + windows.length + ' windows...', {margin: '5px 0'}));
+    updateStatus('Processing ' + windows.length + ' time windows');
+
+    var series = windows.map(function(w, i) {
+      var windowStart = ee.Date(w.start);
+      var windowEnd = ee.Date(w.end);
+      var collection = getImageCollection(method, expandedAOI, windowStart, windowEnd);
+      var image = createComposite(method, collection).clip(expandedAOI);
+      var waterMask = applyTidalCorrection(detectWater(method, image), collection, expandedAOI);
+      var water = waterMask.clip(state.aoi);
+
+      // Vectorize the unclipped mask so the AOI edge does not become a shoreline
+      var shoreline = extractShoreline(waterMask, expandedAOI).map(function(f) {
+        return f.intersection(state.aoi).set({
+          window_index: i,
+          window_label: w.label,
+          window_start: formatDateMillis(w.start),
+          window_end: formatDateMillis(w.end),
+          year: w.year,
+          season: w.season,
+          image_count: w.imageCount,
+          method: method
+        });
+      }).filterBounds(state.aoi);
+
+      recordShoreline(method, water, shoreline, ee.Date((w.start + w.end) / 2));
+
+      return {window: w, water: water, shoreline: shoreline};
+    });
+
+    displayTimeSeriesResults(method, series, progressPanel);
   }
 
-  // ─────────────────────────────────────────────────────────────────────────────
-  // DISPLAY & EXPORT
-  // ─────────────────────────────────────────────────────────────────────────────
+  /**
+   * Shows a time series of shorelines with controls to step through windows.
+   */
+  function displayTimeSeriesResults(method, series, progressPanel) {
+    var merged = ee.FeatureCollection(series.map(function(entry) {
+      return entry.shoreline;
+    })).flatten();
 
-  function displayResults(method, water, shoreline, progressPanel) {
     state.results[method] = {
-      water: water,
-      shoreline: shoreline
+      water: series[series.length - 1].water,
+      shoreline: merged,
+      timeSeries: series
     };
 
     map.layers().reset();
-
-    // Update progress panel
     progressPanel.clear();
     progressPanel.add(ui.Label({
-      value: ICONS.results + ' Processing complete!',
+      value: ICONS.results + ' Time series complete!',
       style: {color: '#2E7D32', fontWeight: 'bold', margin: '5px 0'}
     }));
 
-    // Show raw image
-    if (state.rawImage) {
-      switch(method) {
-        case 'sentinel1':
-          map.addLayer(state.rawImage, {
-            bands: ['VV'],
-            min: -25, max: 0,
-            palette: ['black', 'white']
-          }, method + ' Raw SAR (VV)', true);
-          break;
-        case 'sentinel2':
-          map.addLayer(state.rawImage, {
-            bands: ['B4', 'B3', 'B2'],
-            min: 0, max: 3000
-          }, method + ' True Color', true);
-          break;
-        case 'landsat':
-          map.addLayer(state.rawImage, {
-            bands: ['SR_B4', 'SR_B3', 'SR_B2'],
-            min: 7000, max: 30000, gamma: 1.2
-          }, method + ' True Color', true);
-          break;
-      }
-    }
-
-    // Show water
-    if (water) {
-      map.addLayer(water.selfMask(), {
-        palette: ['#0000FF'],
-        opacity: 0.5
-      }, method + ' Water');
-    }
-
-    // Show shoreline
-    if (shoreline) {
-      map.addLayer(shoreline, {color: '#FF0000', width: 3}, method + ' Shoreline');
-    }
-
+    // All shorelines faded, the selected window highlighted
+    map.addLayer(merged, {color: '#FFAAAA', width: 1}, method + ' All Shorelines');
+    var waterLayer = ui.Map.Layer(series[0].water.selfMask(), {palette: ['#0000FF'], opacity: 0.5},
+      method + ' Water');
+    var shorelineLayer = ui.Map.Layer(series[0].shoreline, {color: '#FF0000', width: 3},
+      method + ' Shoreline');
+    map.layers().add(waterLayer);
+    map.layers().add(shorelineLayer);
     map.centerObject(state.aoi, 12);
-    updateStatus('Completed processing ' + method + ' imagery');
 
-    // Prepare the results panel
     resultsPanel.clear();
     resultsPanel.style().set('shown', true);
+    resultsPanel.add(ui.Label({
+      value: ICONS.results + ' Time Series Results',
+      style: {fontSize: '18px', fontWeight: 'bold', margin: '10px 0 0 0', padding: '5px 0'}
+    }));
+    resultsPanel.add(ui.Panel({
+      style: {height: '2px', backgroundColor: '#4285F4', margin: '0 0 10px 0', stretch: 'horizontal'}
+    }));
 
-    // Add title to results panel - Fixed to use proper GEE styling
-    var resultsTitle = ui.Label({
-      value: ICONS.results + ' Results & Export',
-      style: {
-        fontSize: '18px',
-        fontWeight: 'bold',
-        margin: '10px 0 0 0',
-        padding: '5px 0'
+    resultsPanel.add(ui.Panel({
+      widgets: [
+        ui.Label('Processing Summary', {fontWeight: 'bold', margin: '5px 0'}),
+        ui.Label('Method: ' + method, {fontSize: '13px', margin: '2px 0'}),
+        ui.Label('Windows: ' + series.length + ' (' +
+          findOption(TIME_SERIES_WINDOWS, state.timeSeriesWindow).label + ')',
+          {fontSize: '13px', margin: '2px 0'}),
+        ui.Label('Composite: ' + describeComposite(method), {fontSize: '13px', margin: '2px 0'})
+      ],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '5px 0'}
+    }));
+
+    // Window stepper
+    var windowLabel = ui.Label('', {fontWeight: 'bold', fontSize: '14px', margin: '5px 0'});
+    var imageCountLabel = ui.Label('', {fontSize: '12px', color: '#666', margin: '2px 0'});
+    var current = 0;
+
+    function showWindow(index) {
+      current = Math.max(0, Math.min(series.length - 1, index));
+      var entry = series[current];
+      waterLayer.setEeObject(entry.water.selfMask());
+      shorelineLayer.setEeObject(entry.shoreline);
+      shorelineLayer.setName(method + ' Shoreline ' + entry.window.label);
+      windowLabel.setValue(entry.window.label + '  (' + (current + 1) + '/' + series.length + ')');
+      imageCountLabel.setValue(entry.window.imageCount + ' image(s), ' +
+        formatDateMillis(entry.window.start) + ' to ' + formatDateMillis(entry.window.end));
+      if (windowSelect.getValue() !== String(current)) {
+        windowSelect.setValue(String(current), false);
       }
+    }
+
+    var windowSelect = ui.Select({
+      items: series.map(function(entry, i) {
+        return {label: entry.window.label, value: String(i)};
+      }),
+      value: '0',
+      onChange: function(value) {
+        showWindow(Number(value));
+      },
+      style: {width: '150px'}
     });
 
-    // Add a separator panel instead of using borderBottom
-    var resultsSeparator = ui.Panel({
-      style: {
-        height: '2px',
-        backgroundColor: '#4285F4',
-        margin: '0 0 10px 0',
-        stretch: 'horizontal'
-      }
+    var stepPanel = ui.Panel({
+      widgets: [
+        ui.Label('Step Through Windows', {fontWeight: 'bold', margin: '5px 0'}),
+        windowLabel,
+        imageCountLabel,
+        ui.Panel({
+          widgets: [
+            ui.Button({label: ICONS.back, onClick: function() { showWindow(current - 1); }, style: STYLES.button}),
+            windowSelect,
+            ui.Button({label: ICONS.next, onClick: function() { showWindow(current + 1); }, style: STYLES.button})
+          ],
+          layout: ui.Panel.Layout.flow('horizontal')
+        })
+      ],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '10px 0'}
     });
+    resultsPanel.add(stepPanel);
+    showWindow(0);
 
-    resultsPanel.add(resultsTitle);
-    resultsPanel.add(resultsSeparator);
+    // Export
+    var exportPanel = ui.Panel({
+      style: {margin: '8px 0', padding: '10px', backgroundColor: 'white', border: '1px solid #ddd'}
+    });
+    exportPanel.add(ui.Button({
+      label: ICONS.download + ' Export Shoreline Series (SHP)',
+      onClick: function() {
+        Export.table.toDrive({
+          collection: merged,
+          description: 'ShorelineSeries_' + method + '_' + Date.now(),
+          fileFormat: 'SHP',
+          maxVertices: 1e9
+        });
+        exportPanel.add(ui.Label('✓ Shoreline series export started! Check Tasks panel.', {
+          color: '#2E7D32', margin: '5px 0'
+        }));
+      },
+      style: STYLES.button
+    }));
+    resultsPanel.add(exportPanel);
 
-    // Results summary with safe date formatting
-    var summaryPanel = ui.Panel({
+    resultsPanel.add(ui.Panel({
       widgets: [
-        ui.Label('Processing Summary', {fontWeight: 'bold', margin: '5px 0'}),
-        ui.Label('Method: ' + method, {fontSize: '13px', margin: '2px 0'})
+        ui.Button({
+          label: ICONS.results + ' Shoreline Change Analysis',
+          onClick: function() {
+            updateStatus('Configuring shoreline change analysis');
+            showChangeAnalysis();
+          },
+          disabled: state.shorelineHistory.length < 2,
+          style: STYLES.button
+        }),
+        ui.Button({
+          label: ICONS.results + ' Compare Side by Side',
+          onClick: function() {
+            updateStatus('Select two runs to compare');
+            showComparison();
+          },
+          disabled: state.shorelineHistory.length < 2,
+          style: STYLES.button
+        }),
+        ui.Button({
+          label: 'New Analysis',
+          onClick: function() {
+            resetState();
+            showWelcome();
+          },
+          style: STYLES.button
+        })
       ],
-      style: {
-        padding: '8px',
-        backgroundColor: 'white',
-        border: '1px solid #ddd',
-        margin: '5px 0'
-      }
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '15px 0 5px 0'}
+    }));
+
+    updateStatus('Completed ' + method + ' time series');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // WATER OCCURRENCE
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  // Palette of the water occurrence layer, from never (0%) to always (100%) wet
+  var OCCURRENCE_PALETTE = ['#ffffff', '#ffbbbb', '#0000ff'];
+
+  // Colors of the iso-frequency shorelines, from the lowest to the highest level
+  var ISO_LINE_COLORS = ['#FFA500', '#FF0000', '#8B0000', '#800080', '#000000'];
+
+  // Fewer scenes than this give too coarse an occurrence percentage
+  var OCCURRENCE_MIN_SCENES = 3;
+
+  /**
+   * Parses comma-separated frequency levels (%).
+   * @returns {Array<number>} Sorted unique levels between 1 and 99
+   */
+  function parseOccurrenceLevels(text) {
+    var levels = (text || '').split(/[\s,;]+/).map(Number).filter(function(level) {
+      return !isNaN(level) && level >= 1 && level <= 99;
+    }).sort(function(a, b) {
+      return a - b;
+    });
+    return levels.filter(function(level, i) {
+      return i === 0 || level !== levels[i - 1];
+    });
+  }
+
+  /**
+   * Runs the detector on every scene of a collection separately.
+   * @returns {Object} {occurrence, observations} images: the percentage of
+   *     valid observations classified as water, and the number of them
+   */
+  function computeWaterOccurrence(method, collection, region) {
+    // Detectors that mask non-water (SAR) would count only water detections:
+    // make every scene 0/1 over its own valid footprint
+    var water = collection.map(function(image) {
+      image = ee.Image(image).clip(region);
+      return detectWater(method, image).rename('water')
+        .unmask(0).updateMask(image.select(0).mask());
+    });
+
+    // Thresholds, surfaces and classifier reports of single scenes say
+    // nothing about the occurrence result
+    state.thresholdValues = {};
+    state.waterSurface = null;
+    state.classifierReport = null;
+
+    return {
+      occurrence: water.mean().multiply(100).rename('occurrence'),
+      observations: water.count().rename('observations')
+    };
+  }
+
+  /**
+   * Traces one shoreline per frequency level: the boundary of the area that
+   * was water in at least that share of the observations.
+   * @returns {Array<Object>} {level, water, shoreline} per level
+   */
+  function extractIsoShorelines(method, occurrence, region, levels) {
+    var isoLines = levels.map(function(level) {
+      var water = occurrence.gte(level);
+      state.waterSurface = occurrence.subtract(level).rename('surface');
+
+      var shoreline = extractShoreline(water, region).map(function(f) {
+        return f.intersection(state.aoi).set({frequency: level, method: method});
+      }).filterBounds(state.aoi);
+
+      return {level: level, water: water.clip(state.aoi), shoreline: shoreline};
     });
 
-    // Safely add date range if available
-    if (state.dateRange.start && state.dateRange.end) {
-      try {
-        var startDateStr = state.dateRange.start.format('YYYY-MM-DD').getInfo();
-        var endDateStr = state.dateRange.end.format('YYYY-MM-DD').getInfo();
-        summaryPanel.add(ui.Label('Date Range: ' + startDateStr + ' to ' + endDateStr,
-          {fontSize: '13px', margin: '2px 0'}));
-      } catch (e) {
-        // If formatting fails, show a simpler message
-        summaryPanel.add(ui.Label('Custom date range applied',
-          {fontSize: '13px', margin: '2px 0'}));
-      }
-    } else {
-      // Default message when dates aren't explicitly set
-      summaryPanel.add(ui.Label('Date Range: Last month',
-        {fontSize: '13px', margin: '2px 0'}));
-    }
+    state.waterSurface = null;
+    return isoLines;
+  }
+
+  /**
+   * Classifies every scene, builds the water occurrence image and extracts
+   * the iso-frequency shoreline envelope.
+   */
+  function processOccurrence(method, startDate, endDate, progressPanel) {
+    var expandedAOI = state.aoi.buffer(500);
+    var collection = getImageCollection(method, expandedAOI, startDate, endDate);
+    var count = collection.size().getInfo();
+
+    progressPanel.clear();
 
-    // Add method-specific info
-    if (method === 'sentinel2') {
-      summaryPanel.add(ui.Label('Water Index: ' + state.waterIndex,
-        {fontSize: '13px', margin: '2px 0'}));
+    if (count < OCCURRENCE_MIN_SCENES) {
+      progressPanel.add(ui.Label({
+        value: ICONS.warning + ' Water occurrence needs at least ' + OCCURRENCE_MIN_SCENES +
+               ' scenes; found ' + count + '.',
+        style: {color: 'red', fontWeight: 'bold'}
+      }));
+      progressPanel.add(ui.Button({
+        label: 'Change Dates',
+        onClick: function() {
+          showDateCloudSettings(method);
+        },
+        style: STYLES.button
+      }));
+      updateStatus('Not enough images for water occurrence', true);
+      return;
     }
 
-    resultsPanel.add(summaryPanel);
+    progressPanel.add(ui.Label('Classifying ' + count + ' scenes individually...', {margin: '5px 0'}));
+    updateStatus('Classifying ' + count + ' scenes');
 
-    // Layer visibility controls
-    var layerControlPanel = ui.Panel({
-      widgets: [
-        ui.Label('Layer Controls', {fontWeight: 'bold', margin: '5px 0'})
-      ],
-      style: {
-        padding: '8px',
-        backgroundColor: 'white',
-        border: '1px solid #ddd',
-        margin: '10px 0'
-      }
+    var result = computeWaterOccurrence(method, collection, expandedAOI);
+
+    progressPanel.add(ui.Label('Tracing iso-frequency shorelines...', {margin: '5px 0'}));
+
+    var levels = state.occurrenceLevels;
+    var isoLines = extractIsoShorelines(method, result.occurrence.clip(expandedAOI), expandedAOI, levels);
+    var occurrence = result.occurrence.clip(state.aoi);
+
+    // Uncertainty band between the lowest and highest level
+    var envelope = occurrence.gte(levels[0]).and(occurrence.lt(levels[levels.length - 1]))
+      .selfMask().rename('envelope');
+
+    // The level closest to 50% stands in for the shoreline in later analyses
+    var median = isoLines.reduce(function(best, entry) {
+      return Math.abs(entry.level - 50) < Math.abs(best.level - 50) ? entry : best;
     });
+    recordShoreline(method, median.water, median.shoreline);
+
+    displayOccurrenceResults(method, {
+      sceneCount: count,
+      occurrence: occurrence,
+      observations: result.observations.clip(state.aoi),
+      isoLines: isoLines,
+      envelope: envelope,
+      median: median
+    }, progressPanel);
+  }
 
-    // Add toggles for the different layers
-    var imageryCheck = ui.Checkbox({
-      label: 'Satellite Imagery',
-      value: true,
-      onChange: function(checked) {
-        var layers = map.layers();
-        if (layers.length() > 0) {  // Add check
-          layers.get(0).setShown(checked);
-        }
-      }
+  /**
+   * Shows the water occurrence image, the iso-frequency shorelines and the
+   * envelope between them.
+   */
+  function displayOccurrenceResults(method, result, progressPanel) {
+    var levels = result.isoLines.map(function(entry) {
+      return entry.level;
     });
-    layerControlPanel.add(imageryCheck);
+    var merged = ee.FeatureCollection(result.isoLines.map(function(entry) {
+      return entry.shoreline;
+    })).flatten();
 
-    var waterCheck = ui.Checkbox({
-      label: 'Water Mask',
-      value: true,
-      onChange: function(checked) {
-        var layers = map.layers();
-        if (layers.length() > 1) {  // Add check
-          layers.get(1).setShown(checked);
-        }
-      }
+    state.results[method] = {
+      water: result.median.water,
+      shoreline: result.median.shoreline,
+      occurrence: result
+    };
+
+    map.layers().reset();
+    progressPanel.clear();
+    progressPanel.add(ui.Label({
+      value: ICONS.results + ' Water occurrence complete!',
+      style: {color: '#2E7D32', fontWeight: 'bold', margin: '5px 0'}
+    }));
+
+    map.addLayer(result.occurrence.selfMask(), {min: 0, max: 100, palette: OCCURRENCE_PALETTE},
+      method + ' Water Occurrence (%)');
+    map.addLayer(result.envelope, {palette: ['#FFFF00'], opacity: 0.4},
+      'Shoreline Envelope (' + levels[0] + '-' + levels[levels.length - 1] + '%)');
+    result.isoLines.forEach(function(entry, i) {
+      map.addLayer(entry.shoreline, {color: ISO_LINE_COLORS[i % ISO_LINE_COLORS.length], width: 2},
+        entry.level + '% Shoreline');
     });
-    layerControlPanel.add(waterCheck);
+    map.centerObject(state.aoi, 12);
 
-    var shorelineCheck = ui.Checkbox({
-      label: 'Shoreline',
-      value: true,
-      onChange: function(checked) {
-        var layers = map.layers();
-        if (layers.length() > 2) {  // Add check
-          layers.get(2).setShown(checked);
-        }
+    resultsPanel.clear();
+    resultsPanel.style().set('shown', true);
+    resultsPanel.add(ui.Label({
+      value: ICONS.results + ' Water Occurrence Results',
+      style: {fontSize: '18px', fontWeight: 'bold', margin: '10px 0 0 0', padding: '5px 0'}
+    }));
+    resultsPanel.add(ui.Panel({
+      style: {height: '2px', backgroundColor: '#4285F4', margin: '0 0 10px 0', stretch: 'horizontal'}
+    }));
+
+    // Mean envelope width = envelope area / length of the median shoreline
+    var widthLabel = ui.Label('Mean Envelope Width: calculating...', {fontSize: '13px', margin: '2px 0'});
+    ee.Dictionary({
+      area: ee.Image.pixelArea().updateMask(result.envelope).reduceRegion({
+        reducer: ee.Reducer.sum(),
+        geometry: state.aoi,
+        scale: 30,
+        maxPixels: 1e10,
+        bestEffort: true
+      }).get('area'),
+      length: result.median.shoreline.geometry().length(1)
+    }).evaluate(function(values, error) {
+      if (error || !values || !values.length) {
+        widthLabel.setValue('Mean Envelope Width: unavailable');
+        return;
       }
+      widthLabel.setValue('Mean Envelope Width: ' + formatMeters((values.area || 0) / values.length));
     });
-    layerControlPanel.add(shorelineCheck);
 
-    resultsPanel.add(layerControlPanel);
+    resultsPanel.add(ui.Panel({
+      widgets: [
+        ui.Label('Processing Summary', {fontWeight: 'bold', margin: '5px 0'}),
+        ui.Label('Method: ' + method, {fontSize: '13px', margin: '2px 0'}),
+        ui.Label('Scenes Classified: ' + result.sceneCount, {fontSize: '13px', margin: '2px 0'}),
+        ui.Label('Frequency Levels: ' + levels.join('%, ') + '%', {fontSize: '13px', margin: '2px 0'}),
+        widthLabel
+      ],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '5px 0'}
+    }));
 
-    // Export section
-    resultsPanel.add(ui.Label({
-      value: ICONS.export + ' Export Options',
-      style: {fontWeight: 'bold', margin: '10px 0 5px 0'}
+    // Legend
+    var legend = ui.Panel({
+      widgets: [ui.Label('Iso-Frequency Shorelines', {fontWeight: 'bold', margin: '5px 0'})],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '10px 0'}
+    });
+    result.isoLines.forEach(function(entry, i) {
+      legend.add(ui.Panel({
+        widgets: [
+          ui.Label('', {
+            backgroundColor: ISO_LINE_COLORS[i % ISO_LINE_COLORS.length],
+            padding: '2px 10px',
+            margin: '8px 6px 2px 0'
+          }),
+          ui.Label('Water in ≥ ' + entry.level + '% of observations', {fontSize: '12px', margin: '4px 0'})
+        ],
+        layout: ui.Panel.Layout.flow('horizontal')
+      }));
+    });
+    legend.add(ui.Panel({
+      widgets: [
+        ui.Label('', {backgroundColor: '#FFFF00', padding: '8px', margin: '2px 6px 2px 0'}),
+        ui.Label('Envelope (uncertainty band)', {fontSize: '12px', margin: '4px 0'})
+      ],
+      layout: ui.Panel.Layout.flow('horizontal')
     }));
+    resultsPanel.add(legend);
 
+    // Export
     var exportPanel = ui.Panel({
-      style: {
-        margin: '8px 0',
-        padding: '10px',
-        backgroundColor: 'white',
-        border: '1px solid #ddd'
-      }
+      style: {margin: '8px 0', padding: '10px', backgroundColor: 'white', border: '1px solid #ddd'}
     });
-
-    // Shoreline export
     exportPanel.add(ui.Button({
-      label: ICONS.download + ' Export Shoreline (SHP)',
+      label: ICONS.download + ' Export Iso-Shorelines (SHP)',
       onClick: function() {
         Export.table.toDrive({
-          collection: shoreline,
-          description: 'Shoreline_' + method + '_' + Date.now(),
+          collection: merged,
+          description: 'ShorelineEnvelope_' + method + '_' + Date.now(),
           fileFormat: 'SHP',
           maxVertices: 1e9
         });
@@ -1486,295 +7193,512 @@ var STYLES = {
       },
       style: STYLES.button
     }));
-
-    // Water mask export
     exportPanel.add(ui.Button({
-      label: ICONS.download + ' Export Water Mask (GeoTIFF)',
+      label: ICONS.download + ' Export Occurrence (GeoTIFF)',
       onClick: function() {
         Export.image.toDrive({
-          image: water,
-          description: 'WaterMask_' + method + '_' + Date.now(),
+          image: result.occurrence.addBands(result.observations).toFloat(),
+          description: 'WaterOccurrence_' + method + '_' + Date.now(),
           scale: getAdaptiveScale(state.aoi, method),
           region: state.aoi,
           maxPixels: 1e13
         });
-        exportPanel.add(ui.Label('✓ Water mask export started! Check Tasks panel.', {
+        exportPanel.add(ui.Label('✓ Occurrence export started! Check Tasks panel.', {
           color: '#2E7D32', margin: '5px 0'
         }));
       },
       style: STYLES.button
     }));
+    resultsPanel.add(exportPanel);
 
-    // Sentinel-2: add image export
-    if (method === 'sentinel2') {
-      // Export RGB
-      exportPanel.add(ui.Button({
-        label: ICONS.download + ' Export RGB (GeoTIFF)',
-        onClick: function() {
-          Export.image.toDrive({
-            image: state.rawImage.select(['B4','B3','B2']),
-            description: 'Sentinel2_RGB_' + Date.now(),
-            scale: 10,
-            region: state.aoi,
-            maxPixels: 1e13,
-            formatOptions: {
-              cloudOptimized: true,
-              fileDimensions: 20000
-            }
-          });
-          exportPanel.add(ui.Label('✓ RGB export started! Check Tasks panel.', {
-            color: '#2E7D32', margin: '5px 0'
-          }));
-        },
-        style: STYLES.button
-      }));
+    resultsPanel.add(ui.Panel({
+      widgets: [
+        ui.Button({
+          label: ICONS.results + ' Shoreline Change Analysis',
+          onClick: function() {
+            updateStatus('Configuring shoreline change analysis');
+            showChangeAnalysis();
+          },
+          disabled: state.shorelineHistory.length < 2,
+          style: STYLES.button
+        }),
+        ui.Button({
+          label: 'New Analysis',
+          onClick: function() {
+            resetState();
+            showWelcome();
+          },
+          style: STYLES.button
+        })
+      ],
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '15px 0 5px 0'}
+    }));
 
-      // Export water index
-      exportPanel.add(ui.Button({
-        label: ICONS.download + ' Export ' + state.waterIndex + ' (GeoTIFF)',
-        onClick: function() {
-          var wi = calculateWaterIndex(state.rawImage, state.waterIndex);
-          Export.image.toDrive({
-            image: wi,
-            description: 'Sentinel2_' + state.waterIndex + '_' + Date.now(),
-            scale: 10,
-            region: state.aoi,
-            maxPixels: 1e9
-          });
-          exportPanel.add(ui.Label('✓ Water index export started! Check Tasks panel.', {
-            color: '#2E7D32', margin: '5px 0'
-          }));
-        },
-        style: STYLES.button
-      }));
+    updateStatus('Completed ' + method + ' water occurrence');
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // BATCH PROCESSING
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  // Settings a saved parameter set carries; everything else is per run or per site
+  var PARAMETER_KEYS = [
+    'cloudCover', 'compositeMethod', 'compositePercentile', 'compositeScore', 'waterIndex',
+    'waterBodySizeThreshold', 'smoothingKernelSize', 'smoothingIterations', 'smoothingMethod',
+    'simplifyTolerance', 'coastalBuffer', 'seaSource', 'landMaskAsset', 'shorelineClasses',
+    'sarVotesRequired', 'sarSpeckleFilter', 'sarKernelSize', 'sarOrbitPass', 'sarRelativeOrbits',
+    'sarAngleNormalization', 'sarReferenceAngle', 'useCustomThreshold', 'waterThreshold',
+    'thresholdMethod', 's2CloudMask', 'landsatCloudMask', 'hlsCloudMask', 'modisCloudMask',
+    'cloudBuffer', 'cloudProbability', 'landsatArchive', 'shorelineExtraction'
+  ];
+
+  // Option lists of the parameters that take one of a fixed set of values;
+  // the others must match the type of their default
+  var PARAMETER_OPTIONS = {
+    compositeMethod: COMPOSITE_METHODS,
+    compositeScore: COMPOSITE_SCORES,
+    waterIndex: WATER_INDICES,
+    smoothingMethod: LINE_SMOOTHING_METHODS,
+    seaSource: SEA_SOURCES,
+    shorelineClasses: WATER_CLASSES,
+    sarSpeckleFilter: SPECKLE_FILTERS,
+    sarOrbitPass: SAR_ORBIT_PASSES,
+    thresholdMethod: THRESHOLD_METHODS,
+    s2CloudMask: S2_CLOUD_MASKS,
+    landsatCloudMask: LANDSAT_CLOUD_MASKS,
+    hlsCloudMask: HLS_CLOUD_MASKS,
+    modisCloudMask: MODIS_CLOUD_MASKS,
+    landsatArchive: LANDSAT_ARCHIVES,
+    shorelineExtraction: SHORELINE_EXTRACTION_MODES
+  };
+
+  /**
+   * Ways to write batch results.
+   */
+  var BATCH_OUTPUTS = [
+    {
+      label: 'One export per AOI',
+      value: 'perAoi',
+      description: 'Queues a separate shapefile export for every AOI.'
+    },
+    {
+      label: 'Merged collection',
+      value: 'merged',
+      description: 'Queues one shapefile with the shorelines of all AOIs.'
+    }
+  ];
+
+  // Upper limit on AOIs per batch, to keep the number of queued tasks manageable
+  var BATCH_MAX_AOIS = 200;
+
+  /**
+   * Returns the current settings as a parameter set.
+   */
+  function getParameterSet() {
+    var params = {};
+    PARAMETER_KEYS.forEach(function(key) {
+      params[key] = state[key];
+    });
+    return JSON.parse(JSON.stringify(params));
+  }
+
+  /**
+   * Checks whether a value is one of the values of an option list.
+   */
+  function isOptionValue(options, value) {
+    return options.some(function(option) {
+      return option.value === value;
+    });
+  }
+
+  /**
+   * Parses and validates a saved parameter set.
+   * @param {string} text - Parameter set as JSON
+   * @returns {Object} Parameter values by key
+   */
+  function parseParameterSet(text) {
+    var params;
+    try {
+      params = JSON.parse(text);
+    } catch (e) {
+      throw new Error('The parameter set is not valid JSON.');
     }
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw new Error('The parameter set must be a JSON object.');
+    }
+    Object.keys(params).forEach(function(key) {
+      if (PARAMETER_KEYS.indexOf(key) === -1) {
+        throw new Error('Unknown parameter in the parameter set: ' + key);
+      }
+      var value = params[key];
+      var options = PARAMETER_OPTIONS[key];
+      var valid;
+      if (key === 'shorelineClasses') {
+        valid = Array.isArray(value) && value.length > 0 && value.every(function(item) {
+          return isOptionValue(options, item);
+        });
+      } else if (options) {
+        valid = isOptionValue(options, value);
+      } else if (typeof state[key] === 'number') {
+        valid = typeof value === 'number' && isFinite(value);
+      } else {
+        valid = typeof value === typeof state[key];
+      }
+      if (!valid) {
+        throw new Error('Invalid value for ' + key + ' in the parameter set: ' + JSON.stringify(value));
+      }
+    });
+    return params;
+  }
+
+  /**
+   * Applies a parameter set to the current settings.
+   * @param {Object} params - Parameter values by key
+   */
+  function applyParameterSet(params) {
+    Object.keys(params).forEach(function(key) {
+      state[key] = params[key];
+    });
+  }
+
+  /**
+   * Turns an AOI ID into a valid export task name.
+   */
+  function toTaskName(id) {
+    return String(id).replace(/[^A-Za-z0-9_.,:;-]/g, '_');
+  }
+
+  /**
+   * Runs the detector for one AOI. AOIs without imagery give no shorelines.
+   * @returns {ee.FeatureCollection} Shoreline segments tagged with aoi_id
+   */
+  function extractAoiShoreline(method, aoi, id, startDate, endDate) {
+    state.aoi = aoi;
+    var expandedAOI = aoi.buffer(500);
+
+    var collection = getImageCollection(method, expandedAOI, startDate, endDate);
+    var water = detectWater(method, createComposite(method, collection).clip(expandedAOI));
+    var shoreline = extractShoreline(water, expandedAOI).map(function(f) {
+      return f.intersection(aoi).set({aoi_id: id, method: method});
+    }).filterBounds(aoi);
+    state.waterSurface = null;
+
+    return ee.FeatureCollection(ee.Algorithms.If(collection.size().gt(0), shoreline, ee.FeatureCollection([])));
+  }
+
+  /**
+   * Shows the batch settings: AOI asset, ID property, method, dates,
+   * parameter set and output.
+   */
+  function showBatchSettings() {
+    mainPanel.clear();
+    resultsPanel.style().set('shown', false);
+    mainPanel.add(ui.Label('Batch Processing', STYLES.heading));
+
+    mainPanel.add(ui.Panel({
+      widgets: [
+        ui.Label({
+          value: 'Runs one detector with one parameter set over every AOI of a FeatureCollection ' +
+                 'and queues the shoreline exports. Tide settings and training samples are site-specific ' +
+                 'and are not used.',
+          style: {fontSize: '13px', margin: '3px 0'}
+        })
+      ],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '5px 0 10px 0'}
+    }));
+
+    mainPanel.add(createSectionHeader('AOI Collection',
+      'FeatureCollection asset with one polygon per site, and the property holding each site\'s ID.'));
+    mainPanel.add(ui.Textbox({
+      placeholder: 'users/YOUR_USERNAME/beaches',
+      value: state.batch.assetId,
+      onChange: function(value) {
+        state.batch.assetId = value.trim();
+      },
+      style: {width: '300px'}
+    }));
+    mainPanel.add(ui.Panel({
+      widgets: [
+        ui.Label('ID property:', {margin: '8px 8px 4px 0'}),
+        ui.Textbox({
+          value: state.batch.idProperty,
+          onChange: function(value) {
+            state.batch.idProperty = value.trim();
+          },
+          style: {width: '150px'}
+        })
+      ],
+      layout: ui.Panel.Layout.flow('horizontal')
+    }));
+
+    mainPanel.add(createSectionHeader('Detection Method', 'Threshold detector run on every AOI.'));
+    mainPanel.add(ui.Select({
+      items: [
+        {label: 'Sentinel-1 SAR', value: 'sentinel1'},
+        {label: 'Sentinel-2 Optical', value: 'sentinel2'},
+        {label: 'Landsat 5/7/8/9', value: 'landsat'},
+        {label: 'HLS (Landsat + Sentinel-2, 30 m)', value: 'hls'},
+        {label: 'MODIS (500 m, regional screening)', value: 'modis'}
+      ],
+      value: state.batch.method,
+      onChange: function(value) {
+        state.batch.method = value;
+      },
+      style: {width: '300px'}
+    }));
+
+    mainPanel.add(createSectionHeader('Date Range', 'Period composited for every AOI (YYYY-MM-DD).'));
+    var dateBoxes = ['start', 'end'].map(function(key) {
+      return ui.Textbox({
+        placeholder: key === 'start' ? 'Start (YYYY-MM-DD)' : 'End (YYYY-MM-DD)',
+        value: state.batch[key],
+        onChange: function(value) {
+          if (validateDate(value)) {
+            this.style().set('color', 'black');
+            state.batch[key] = value;
+          } else {
+            this.style().set('color', 'red');
+            ui.alert('Please enter a valid date (YYYY-MM-DD)');
+          }
+        },
+        style: {width: '140px'}
+      });
+    });
+    mainPanel.add(ui.Panel({widgets: dateBoxes, layout: ui.Panel.Layout.flow('horizontal')}));
+
+    mainPanel.add(createSectionHeader('Parameter Set',
+      'Settings applied to every AOI, as JSON. Defaults to the current settings; ' +
+      'paste a saved set to reuse it. Your settings are restored after the batch.'));
+    var parameterBox = ui.Textbox({
+      value: JSON.stringify(getParameterSet()),
+      style: {width: '300px'}
+    });
+    mainPanel.add(parameterBox);
 
-    resultsPanel.add(exportPanel);
+    mainPanel.add(createSectionHeader('Output', 'How the shorelines are exported.'));
+    var outputInfo = ui.Label(findOption(BATCH_OUTPUTS, state.batch.output).description, {
+      fontSize: '12px',
+      color: '#666',
+      margin: '2px 0 6px 0'
+    });
+    mainPanel.add(ui.Select({
+      items: BATCH_OUTPUTS.map(function(output) {
+        return {label: output.label, value: output.value};
+      }),
+      value: state.batch.output,
+      onChange: function(value) {
+        state.batch.output = value;
+        outputInfo.setValue(findOption(BATCH_OUTPUTS, value).description);
+      },
+      style: {width: '300px'}
+    }));
+    mainPanel.add(outputInfo);
 
-    // Navigation buttons
-    var navPanel = ui.Panel({
+    mainPanel.add(ui.Panel({
       widgets: [
         ui.Button({
-          label: 'New Analysis',
+          label: ICONS.next + ' Run Batch',
           onClick: function() {
-            resetState();
-            showWelcome();
+            if (!state.batch.assetId || !state.batch.idProperty) {
+              updateStatus('Enter the AOI collection asset and its ID property', true);
+              return;
+            }
+            if (!validateDate(state.batch.start) || !validateDate(state.batch.end)) {
+              updateStatus('Enter the batch start and end dates', true);
+              return;
+            }
+            var params;
+            try {
+              params = parseParameterSet(parameterBox.getValue());
+            } catch (e) {
+              updateStatus(e.message, true);
+              return;
+            }
+            runBatch(params);
           },
           style: STYLES.button
         }),
         ui.Button({
-          label: 'Try Different Method',
-          onClick: function() {
-            resultsPanel.style().set('shown', false);
-            showMethodSelection();
-          },
+          label: ICONS.back + ' Back',
+          onClick: showWelcome,
           style: STYLES.button
         })
       ],
       layout: ui.Panel.Layout.flow('horizontal'),
-      style: {margin: '15px 0 5px 0'}
-    });
+      style: {margin: '20px 0'}
+    }));
 
-    resultsPanel.add(navPanel);
+    updateStatus('Configure batch processing');
   }
 
-  // ─────────────────────────────────────────────────────────────────────────────
-  // SATELLITE-SPECIFIC PROCESSING
-  // ─────────────────────────────────────────────────────────────────────────────
-
-  function processSentinel1(startDate, endDate, progressPanel) {
-    var expandedAOI = state.aoi.buffer(500);
-
-    var collection = ee.ImageCollection('COPERNICUS/S1_GRD')
-        .filterBounds(expandedAOI)
-        .filterDate(startDate, endDate)
-        .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VV'))
-        .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VH'))
-        .filter(ee.Filter.eq('instrumentMode', 'IW'));
-
-    var count = collection.size().getInfo();
-    if (count === 0) {
-      progressPanel.clear();
-      progressPanel.add(ui.Label({
-        value: ICONS.warning + ' No Sentinel-1 images found for the selected period.',
-        style: {color: 'red', fontWeight: 'bold'}
-      }));
-
-      progressPanel.add(ui.Button({
-        label: 'Change Dates',
-        onClick: function() {
-          showDateCloudSettings('sentinel1');
-        },
-        style: STYLES.button
-      }));
-
-      updateStatus('No images found for the selected period', true);
-      return;
-    }
-
-    // Update progress
-    progressPanel.clear();
-    progressPanel.add(ui.Label('Found ' + count + ' Sentinel-1 scenes', {margin: '5px 0'}));
-    progressPanel.add(ui.Label('Creating composite...', {margin: '5px 0'}));
-
-    updateStatus('Processing ' + count + ' Sentinel-1 scenes');
-
-    var composite;
-    if (state.compositeMethod === 'Mean') {
-      composite = collection.mean();
-    } else {
-      composite = collection.median(); // default
-    }
-    var image = composite.clip(expandedAOI);
-
-    // Store raw
-    state.rawImage = image;
-
-    // Update progress
-    progressPanel.add(ui.Label('Detecting water bodies...', {margin: '5px 0'}));
-
-    // Detect water & extract shoreline
-    var waterMask = detectWaterFromSAR(image);
-
-    progressPanel.add(ui.Label('Vectorizing shoreline...', {margin: '5px 0'}));
+  /**
+   * Runs the detector over every AOI of the batch collection.
+   * @param {Object} params - Parameter set used for the batch only
+   */
+  function runBatch(params) {
+    var batch = state.batch;
+    mainPanel.clear();
+    mainPanel.add(ui.Label('Processing Status', STYLES.heading));
+    var progressPanel = ui.Panel({
+      widgets: [ui.Label('Loading AOIs...', {margin: '5px 0'})],
+      style: {padding: '10px', backgroundColor: 'white', border: '1px solid #ddd', margin: '10px 0'}
+    });
+    mainPanel.add(progressPanel);
 
-    var shoreline = vectorizeWaterMask(waterMask, expandedAOI);
-    var clippedShoreline = shoreline.map(function(f) {
-      return f.intersection(state.aoi);
-    }).filterBounds(state.aoi);
+    // Per-site settings do not carry over to other AOIs
+    var savedAoi = state.aoi;
+    var savedTide = state.tide.enabled;
+    var savedApproach = state.detectionApproach;
+    var savedParams = getParameterSet();
+    state.tide.enabled = false;
+    state.detectionApproach = 'threshold';
+    applyParameterSet(params);
 
-    displayResults('sentinel1', waterMask.clip(state.aoi), clippedShoreline, progressPanel);
-  }
+    try {
+      var aois = ee.FeatureCollection(batch.assetId);
+      var ids = aois.aggregate_array(batch.idProperty).getInfo();
+      if (ids.length === 0) {
+        throw new Error('No AOI has the property "' + batch.idProperty + '".');
+      }
+      if (ids.length > BATCH_MAX_AOIS) {
+        throw new Error('The collection has ' + ids.length + ' AOIs; batches are limited to ' +
+                        BATCH_MAX_AOIS + '.');
+      }
 
-  function processSentinel2(startDate, endDate, progressPanel) {
-    var expandedAOI = state.aoi.buffer(500);
+      progressPanel.add(ui.Label('Building shorelines for ' + ids.length + ' AOIs...', {margin: '5px 0'}));
+      updateStatus('Processing ' + ids.length + ' AOIs');
 
-    var collection = ee.ImageCollection('COPERNICUS/S2')
-        .filterBounds(expandedAOI)
-        .filterDate(startDate, endDate)
-        .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', state.cloudCover));
+      var startDate = ee.Date(batch.start);
+      var endDate = ee.Date(batch.end);
+      var shorelines = ids.map(function(id) {
+        var aoi = aois.filter(ee.Filter.eq(batch.idProperty, id)).geometry();
+        return {id: id, shoreline: extractAoiShoreline(batch.method, aoi, id, startDate, endDate)};
+      });
 
-    var count = collection.size().getInfo();
-    if (count === 0) {
+      state.thresholdValues = {};
+      displayBatchResults(aois, shorelines, progressPanel);
+    } catch (e) {
       progressPanel.clear();
       progressPanel.add(ui.Label({
-        value: ICONS.warning + ' No Sentinel-2 images found within cloud cover limit.',
+        value: ICONS.warning + ' Error: ' + e.message,
         style: {color: 'red', fontWeight: 'bold'}
       }));
-
-      progressPanel.add(ui.Button({
-        label: 'Increase Cloud Cover Limit',
-        onClick: function() {
-          state.cloudCover = Math.min(100, state.cloudCover + 10);
-          showDateCloudSettings('sentinel2');
-        },
-        style: STYLES.button
-      }));
-
       progressPanel.add(ui.Button({
-        label: 'Change Dates',
-        onClick: function() {
-          showDateCloudSettings('sentinel2');
-        },
+        label: 'Change Settings',
+        onClick: showBatchSettings,
         style: STYLES.button
       }));
-
-      updateStatus('No images found within cloud cover limit', true);
-      return;
+      updateStatus('Error during batch processing: ' + e.message, true);
+    } finally {
+      state.aoi = savedAoi;
+      state.tide.enabled = savedTide;
+      state.detectionApproach = savedApproach;
+      applyParameterSet(savedParams);
     }
-
-    // Update progress
-    progressPanel.clear();
-    progressPanel.add(ui.Label('Found ' + count + ' Sentinel-2 scenes', {margin: '5px 0'}));
-    progressPanel.add(ui.Label('Creating composite...', {margin: '5px 0'}));
-
-    updateStatus('Processing ' + count + ' Sentinel-2 scenes');
-
-    var composite;
-    if (state.compositeMethod === 'Mean') {
-      composite = collection.mean();
-    } else {
-      composite = collection.median(); // default
-    }
-    var image = composite.clip(expandedAOI);
-    state.rawImage = image;
-
-    // Update progress
-    progressPanel.add(ui.Label('Calculating ' + state.waterIndex + '...', {margin: '5px 0'}));
-
-    // Water detection
-    var waterMask = detectWaterFromOptical(image, state.waterIndex);
-
-    progressPanel.add(ui.Label('Vectorizing shoreline...', {margin: '5px 0'}));
-
-    var shoreline = vectorizeWaterMask(waterMask, expandedAOI);
-    var clippedShoreline = shoreline.map(function(f) {
-      return f.intersection(state.aoi);
-    }).filterBounds(state.aoi);
-
-    displayResults('sentinel2', waterMask.clip(state.aoi), clippedShoreline, progressPanel);
   }
 
-  function processLandsat(startDate, endDate, progressPanel) {
-    var expandedAOI = state.aoi.buffer(500);
-
-    var collection = ee.ImageCollection('LANDSAT/LC08/C02/T1_L2')
-        .filterBounds(expandedAOI)
-        .filterDate(startDate, endDate)
-        .filter(ee.Filter.lt('CLOUD_COVER', state.cloudCover));
-
-    var count = collection.size().getInfo();
-    if (count === 0) {
-      progressPanel.clear();
-      progressPanel.add(ui.Label({
-        value: ICONS.warning + ' No Landsat images found within cloud cover limit.',
-        style: {color: 'red', fontWeight: 'bold'}
-      }));
-
-      progressPanel.add(ui.Button({
-        label: 'Increase Cloud Cover Limit',
-        onClick: function() {
-          state.cloudCover = Math.min(100, state.cloudCover + 10);
-          showDateCloudSettings('landsat');
-        },
-        style: STYLES.button
-      }));
-
-      progressPanel.add(ui.Button({
-        label: 'Change Dates',
-        onClick: function() {
-          showDateCloudSettings('landsat');
-        },
-        style: STYLES.button
-      }));
+  /**
+   * Shows the merged batch shorelines and queues their exports.
+   */
+  function displayBatchResults(aois, shorelines, progressPanel) {
+    var batch = state.batch;
+    var merged = ee.FeatureCollection(shorelines.map(function(entry) {
+      return entry.shoreline;
+    })).flatten();
 
-      updateStatus('No images found within cloud cover limit', true);
-      return;
-    }
+    map.layers().reset();
+    map.addLayer(ee.Image().byte().paint(aois, 1, 2), {palette: ['#FFFFFF']}, 'Batch AOIs');
+    map.addLayer(merged, {color: '#FF0000', width: 2}, batch.method + ' Batch Shorelines');
+    map.centerObject(aois);
 
-    // Update progress
     progressPanel.clear();
-    progressPanel.add(ui.Label('Found ' + count + ' Landsat scenes', {margin: '5px 0'}));
-    progressPanel.add(ui.Label('Creating composite...', {margin: '5px 0'}));
-
-    updateStatus('Processing ' + count + ' Landsat scenes');
+    progressPanel.add(ui.Label({
+      value: ICONS.results + ' Batch complete!',
+      style: {color: '#2E7D32', fontWeight: 'bold', margin: '5px 0'}
+    }));
 
-    var image = collection.median().clip(expandedAOI);
-    state.rawImage = image;
+    resultsPanel.clear();
+    resultsPanel.style().set('shown', true);
+    resultsPanel.add(ui.Label({
+      value: ICONS.results + ' Batch Results',
+      style: {fontSize: '18px', fontWeight: 'bold', margin: '10px 0 0 0', padding: '5px 0'}
+    }));
+    resultsPanel.add(ui.Panel({
+      style: {height: '2px', backgroundColor: '#4285F4', margin: '0 0 10px 0', stretch: 'horizontal'}
+    }));
 
-    // Update progress
-    progressPanel.add(ui.Label('Detecting water bodies...', {margin: '5px 0'}));
+    var segmentsLabel = ui.Label('Shoreline Segments: calculating...', {fontSize: '13px', margin: '2px 0'});
+    merged.size().evaluate(function(count, error) {
+      segmentsLabel.setValue('Shoreline Segments: ' + (error ? 'unavailable' : count));
+    });
 
-    var waterMask = detectWaterFromLandsat(image);
+    resultsPanel.add(ui.Panel({
+      widgets: [
+        ui.Label('Processing Summary', {fontWeight: 'bold', margin: '5px 0'}),
+        ui.Label('Method: ' + batch.method, {fontSize: '13px', margin: '2px 0'}),
+        ui.Label('AOIs: ' + shorelines.length + ' (' + batch.assetId + ')', {fontSize: '13px', margin: '2px 0'}),
+        ui.Label('Date Range: ' + batch.start + ' to ' + batch.end, {fontSize: '13px', margin: '2px 0'}),
+        ui.Label('Composite: ' + describeComposite(batch.method), {fontSize: '13px', margin: '2px 0'}),
+        segmentsLabel
+      ],
+      style: {padding: '8px', backgroundColor: 'white', border: '1px solid #ddd', margin: '5px 0'}
+    }));
 
-    progressPanel.add(ui.Label('Vectorizing shoreline...', {margin: '5px 0'}));
+    var exportPanel = ui.Panel({
+      style: {margin: '8px 0', padding: '10px', backgroundColor: 'white', border: '1px solid #ddd'}
+    });
+    var stamp = Date.now();
+    exportPanel.add(ui.Button({
+      label: ICONS.download + (batch.output === 'merged' ?
+        ' Export Merged Shorelines (SHP)' : ' Export ' + shorelines.length + ' Shorelines (SHP)'),
+      onClick: function() {
+        if (batch.output === 'merged') {
+          Export.table.toDrive({
+            collection: merged,
+            description: 'Shorelines_' + batch.method + '_' + stamp,
+            fileFormat: 'SHP',
+            maxVertices: 1e9
+          });
+        } else {
+          shorelines.forEach(function(entry) {
+            Export.table.toDrive({
+              collection: entry.shoreline,
+              description: 'Shoreline_' + toTaskName(entry.id) + '_' + batch.method + '_' + stamp,
+              fileFormat: 'SHP',
+              maxVertices: 1e9
+            });
+          });
+        }
+        exportPanel.add(ui.Label('✓ Exports queued! Start them in the Tasks panel.', {
+          color: '#2E7D32', margin: '5px 0'
+        }));
+      },
+      style: STYLES.button
+    }));
+    resultsPanel.add(exportPanel);
 
-    var shoreline = vectorizeWaterMask(waterMask, expandedAOI);
-    var clippedShoreline = shoreline.map(function(f) {
-      return f.intersection(state.aoi);
-    }).filterBounds(state.aoi);
+    resultsPanel.add(ui.Panel({
+      widgets: [
+        ui.Button({
+          label: 'Change Settings',
+          onClick: showBatchSettings,
+          style: STYLES.button
+        }),
+        ui.Button({
+          label: 'New Analysis',
+          onClick: function() {
+            resetState();
+            showWelcome();
+          },
+          style: STYLES.button
+        })
+      ],
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '15px 0 5px 0'}
+    }));
 
-    displayResults('landsat', waterMask.clip(state.aoi), clippedShoreline, progressPanel);
+    updateStatus('Completed batch of ' + shorelines.length + ' AOIs');
   }
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -1863,41 +7787,77 @@ var STYLES = {
     panel.add(fileUpload);
   }
 
-  // Remove the local file processing code and add an asset selector instead
+  /**
+   * Asset settings: a user image read through band roles, so every water
+   * index and supervised detection run on it like on the built-in sensors.
+   */
   function addAssetSelector(panel) {
-    panel.add(ui.Label('Select Sentinel-2 Band Asset:', STYLES.subheading));
-
-    var assetTextbox = ui.Textbox({
-      placeholder: 'users/YOUR_USERNAME/B08',
-      style: {width: '250px'}
-    });
+    panel.clear();
+    panel.add(ui.Label('Process Image Asset', STYLES.heading));
 
-    panel.add(assetTextbox);
+    panel.add(ui.Label('Image asset ID:', {margin: '4px 0'}));
+    panel.add(ui.Textbox({
+      placeholder: 'users/YOUR_USERNAME/image',
+      value: state.assetId,
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.assetId = value.trim();
+      }
+    }));
 
-    panel.add(ui.Button({
-      label: 'Process Asset',
-      onClick: function() {
-        var assetId = assetTextbox.getValue();
-        if (!assetId) {
-          updateStatus('Please enter an asset ID', true);
-          return;
-        }
+    panel.add(ui.Label('Bands for ' + BAND_ROLES.join(', ') + ':', {margin: '4px 0'}));
+    panel.add(ui.Textbox({
+      value: state.assetBands,
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.assetBands = value;
+      }
+    }));
+    panel.add(ui.Label({
+      value: 'Comma separated, in this order. Leave a position empty when the image lacks ' +
+             'that band, e.g. ", , , B8, ," for a single NIR band.',
+      style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+    }));
 
-        try {
-          var image = ee.Image(assetId);
-          var waterMask = image.lt(state.waterThreshold || 0.2);
+    panel.add(ui.Label('Reflectance scale (e.g. 0.0001 for 0-10000 values):', {margin: '4px 0'}));
+    panel.add(ui.Textbox({
+      value: String(state.assetReflectanceScale),
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.assetReflectanceScale = value;
+      }
+    }));
 
-          var expandedAOI = state.aoi.buffer(500);
-          var shoreline = vectorizeWaterMask(waterMask, expandedAOI);
-          var clippedShoreline = shoreline.map(function(f) {
-            return f.intersection(state.aoi);
-          }).filterBounds(state.aoi);
+    panel.add(ui.Label('Resolution (m):', {margin: '4px 0'}));
+    panel.add(ui.Textbox({
+      value: String(state.assetScale),
+      style: {width: '300px'},
+      onChange: function(value) {
+        state.assetScale = value;
+      }
+    }));
 
-          displayResults('asset', waterMask.clip(state.aoi), clippedShoreline);
-        } catch (e) {
-          updateStatus('Error processing asset: ' + e.message, true);
+    var buttonPanel = ui.Panel({
+      layout: ui.Panel.Layout.flow('horizontal'),
+      style: {margin: '20px 0'}
+    });
+    buttonPanel.add(ui.Button({
+      label: ICONS.back + ' Back',
+      onClick: showMethodSelection,
+      style: STYLES.button
+    }));
+    buttonPanel.add(ui.Button({
+      label: 'Select Water Index',
+      onClick: function() {
+        var error = configureUserImagery();
+        if (error) {
+          updateStatus(error, true);
+          return;
         }
+        updateStatus('Selecting water index for ' + state.assetId);
+        showWaterIndexOptions('asset');
       },
       style: STYLES.button
     }));
+    panel.add(buttonPanel);
   }
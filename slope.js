@@ -24,53 +24,332 @@ var DEFAULT_ICONS = {
   next: '➡️'
 };
 
+// Rating names and colours of five-class schemes, from most to least vulnerable
+var RATING_NAMES = ['Very High', 'High', 'Moderate', 'Low', 'Very Low'];
+var RATING_COLORS = ['#d32f2f', '#f57c00', '#fbc02d', '#689f38', '#2e7d32'];
+
+/**
+ * Units slope breaks can be given in.
+ */
+var SLOPE_UNITS = [
+  {label: 'Degrees', value: 'degrees', symbol: '°'},
+  {label: 'Percent', value: 'percent', symbol: '%'}
+];
+
+// Slope pixels sampled from the coastal zone for natural breaks
+var NATURAL_BREAKS_SAMPLE = 1000;
+
+/**
+ * Slope vulnerability classification schemes. Fixed schemes list their
+ * ascending class breaks in `unit`; the others derive the breaks from the
+ * study area or from user input when the analysis runs.
+ */
+var CLASSIFICATION_SCHEMES = [
+  {
+    label: 'Default (degree breaks)',
+    value: 'default',
+    unit: 'degrees',
+    breaks: [0.5, 1, 2, 5],
+    descriptions: [
+      'Very low slope areas (<0.5°) are highly vulnerable to flooding and erosion.',
+      'Low slope (0.5-1°) - high vulnerability to sea level rise impacts.',
+      'Moderate slope (1-2°) - medium vulnerability to coastal hazards.',
+      'Steep slope (2-5°) provides natural protection from flooding.',
+      'Very steep slope (>5°) offers excellent protection from coastal hazards.'
+    ],
+    description: 'Five classes with breaks at 0.5, 1, 2 and 5 degrees.'
+  },
+  {
+    label: 'Thieler & Hammar-Klose (1999) - Atlantic',
+    value: 'thielerAtlantic',
+    unit: 'percent',
+    breaks: [0.025, 0.04, 0.07, 0.2],
+    description: 'USGS CVI coastal slope ranks for the U.S. Atlantic coast, in percent slope. ' +
+      'Source: Thieler & Hammar-Klose (1999), USGS Open-File Report 99-593.'
+  },
+  {
+    label: 'Thieler & Hammar-Klose (2000) - Pacific',
+    value: 'thielerPacific',
+    unit: 'percent',
+    breaks: [0.6, 1.9, 4.3, 12.7],
+    description: 'USGS CVI coastal slope ranks for the U.S. Pacific coast, in percent slope. ' +
+      'Source: Thieler & Hammar-Klose (2000), USGS Open-File Report 00-178.'
+  },
+  {
+    label: 'Thieler & Hammar-Klose (2000) - Gulf of Mexico',
+    value: 'thielerGulf',
+    unit: 'percent',
+    breaks: [0.022, 0.035, 0.055, 0.115],
+    description: 'USGS CVI coastal slope ranks for the U.S. Gulf of Mexico coast, in percent slope. ' +
+      'Source: Thieler & Hammar-Klose (2000), USGS Open-File Report 00-179.'
+  },
+  {
+    label: 'Quantiles (study area)',
+    value: 'quantile',
+    unit: 'degrees',
+    description: 'Five classes holding equal shares of the coastal zone\'s slope pixels.'
+  },
+  {
+    label: 'Natural breaks (study area)',
+    value: 'naturalBreaks',
+    unit: 'degrees',
+    description: 'Five Jenks natural-breaks classes from a sample of the coastal zone\'s slope pixels.'
+  },
+  {
+    label: 'User-defined',
+    value: 'custom',
+    description: 'Your own class breaks, colours and unit.'
+  }
+];
+
+/**
+ * Finds an entry by value in a list of {label, value} options.
+ */
+function findOption(options, value) {
+  for (var i = 0; i < options.length; i++) {
+    if (options[i].value === value) {
+      return options[i];
+    }
+  }
+  return options[0];
+}
+
+/**
+ * Converts a slope in degrees to the given unit.
+ * @param {number} slopeDegrees - Slope angle in degrees
+ * @param {string} unit - 'degrees' or 'percent'
+ * @return {number} Slope in the unit
+ */
+function toSlopeUnit(slopeDegrees, unit) {
+  return unit === 'percent' ? Math.tan(slopeDegrees * Math.PI / 180) * 100 : slopeDegrees;
+}
+
+/**
+ * Builds the classes of a scheme from its breaks.
+ * @param {Object} definition - Entry of CLASSIFICATION_SCHEMES
+ * @param {Array<number>} breaks - Ascending class breaks in `unit`
+ * @param {string} unit - 'degrees' or 'percent'
+ * @param {Array<string>} colors - Optional class colours
+ * @return {Object} Scheme {value, label, unit, classes}; each class has
+ *     `max` (exclusive upper limit), `rating`, `color` and `description`
+ */
+function buildScheme(definition, breaks, unit, colors) {
+  var symbol = findOption(SLOPE_UNITS, unit).symbol;
+  var count = breaks.length + 1;
+  var classes = [];
+
+  function format(value) {
+    return (Math.round(value * 1000) / 1000) + symbol;
+  }
+
+  for (var i = 0; i < count; i++) {
+    var lower = i > 0 ? breaks[i - 1] : null;
+    var upper = i < breaks.length ? breaks[i] : Infinity;
+    classes.push({
+      max: upper,
+      rating: count === RATING_NAMES.length ? RATING_NAMES[i] : 'Class ' + (i + 1),
+      color: (colors && colors[i]) ||
+        RATING_COLORS[Math.round(i * (RATING_COLORS.length - 1) / (count - 1))],
+      description: definition.descriptions ? definition.descriptions[i] :
+        lower === null ? 'Slope below ' + format(upper) + '.' :
+        upper === Infinity ? 'Slope of ' + format(lower) + ' or more.' :
+        'Slope from ' + format(lower) + ' to ' + format(upper) + '.'
+    });
+  }
+
+  return {value: definition.value, label: definition.label, unit: unit, classes: classes};
+}
+
+// Scheme used when none is given
+var DEFAULT_SCHEME = buildScheme(CLASSIFICATION_SCHEMES[0], CLASSIFICATION_SCHEMES[0].breaks, 'degrees');
+
+/**
+ * Jenks natural breaks of a list of values.
+ * @param {Array<number>} values - Sample values
+ * @param {number} classes - Number of classes
+ * @return {Array<number>} Lower limits of classes 2..n, ascending
+ */
+function getJenksBreaks(values, classes) {
+  var data = values.slice().sort(function(a, b) { return a - b; });
+  var n = data.length;
+  var lower = [];
+  var variance = [];
+  var i, j;
+
+  for (i = 0; i <= n; i++) {
+    lower.push([]);
+    variance.push([]);
+    for (j = 0; j <= classes; j++) {
+      lower[i].push(i === 1 && j >= 1 ? 1 : 0);
+      variance[i].push(i >= 2 && j >= 1 ? Infinity : 0);
+    }
+  }
+
+  // Lowest within-class variance for the first l values in j classes
+  for (var l = 2; l <= n; l++) {
+    var sum = 0;
+    var sumSquares = 0;
+    var v = 0;
+    for (var m = 1; m <= l; m++) {
+      var lowerLimit = l - m + 1;
+      var value = data[lowerLimit - 1];
+      sum += value;
+      sumSquares += value * value;
+      v = sumSquares - sum * sum / m;
+      if (lowerLimit > 1) {
+        for (j = 2; j <= classes; j++) {
+          if (variance[l][j] >= v + variance[lowerLimit - 1][j - 1]) {
+            lower[l][j] = lowerLimit;
+            variance[l][j] = v + variance[lowerLimit - 1][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  var breaks = [];
+  var k = n;
+  for (j = classes; j >= 2; j--) {
+    breaks.unshift(data[lower[k][j] - 1]);
+    k = lower[k][j] - 1;
+  }
+  return breaks;
+}
+
+/**
+ * Keeps the strictly increasing values of a break list.
+ */
+function uniqueBreaks(breaks) {
+  return breaks.filter(function(value, i) {
+    return value !== null && value !== undefined && (i === 0 || value > breaks[i - 1]);
+  });
+}
+
+/**
+ * Parses a comma-separated list, e.g. of breaks or colours.
+ */
+function parseList(text) {
+  return (text || '').split(',').map(function(item) {
+    return item.trim();
+  }).filter(function(item) {
+    return item !== '';
+  });
+}
+
+/**
+ * Resolves the selected scheme into classes. Study-area schemes are computed
+ * from the slope image, so the result is delivered asynchronously.
+ * @param {Object} settings - {scheme, customBreaks, customColors, customUnit}
+ * @param {ee.Image} slope - Slope image in degrees
+ * @param {ee.Geometry} zone - Study area
+ * @param {number} scale - Sampling scale (m)
+ * @param {Function} callback - Called with (scheme) or (null, errorMessage)
+ */
+function resolveClassificationScheme(settings, slope, zone, scale, callback) {
+  var definition = findOption(CLASSIFICATION_SCHEMES, settings.scheme);
+  slope = slope.rename('slope');
+
+  switch (definition.value) {
+    case 'quantile':
+      var percentiles = [20, 40, 60, 80];
+      slope.reduceRegion({
+        reducer: ee.Reducer.percentile(percentiles),
+        geometry: zone,
+        scale: scale,
+        maxPixels: 1e9,
+        bestEffort: true
+      }).evaluate(function(values, error) {
+        var breaks = values ? uniqueBreaks(percentiles.map(function(p) {
+          return values['slope_p' + p];
+        })) : [];
+        if (error || breaks.length === 0) {
+          callback(null, 'Quantile breaks could not be computed: ' + (error || 'no slope data'));
+          return;
+        }
+        callback(buildScheme(definition, breaks, definition.unit));
+      });
+      break;
+    case 'naturalBreaks':
+      slope.sample({
+        region: zone,
+        scale: scale,
+        numPixels: NATURAL_BREAKS_SAMPLE,
+        seed: 42,
+        geometries: false
+      }).aggregate_array('slope').evaluate(function(values, error) {
+        if (error || !values || values.length < RATING_NAMES.length) {
+          callback(null, 'Natural breaks could not be computed: ' + (error || 'too few slope samples'));
+          return;
+        }
+        callback(buildScheme(definition, uniqueBreaks(getJenksBreaks(values, RATING_NAMES.length)),
+          definition.unit));
+      });
+      break;
+    case 'custom':
+      var breaks = parseList(settings.customBreaks).map(Number);
+      var invalid = breaks.length === 0 || breaks.some(function(value, i) {
+        return isNaN(value) || (i > 0 && value <= breaks[i - 1]);
+      });
+      if (invalid) {
+        callback(null, 'Enter ascending class breaks, separated by commas.');
+        return;
+      }
+      var colors = parseList(settings.customColors);
+      if (colors.some(function(color) { return !/^#?[0-9a-fA-F]{6}$/.test(color); })) {
+        callback(null, 'Enter class colours as hex codes such as #d32f2f, separated by commas.');
+        return;
+      }
+      callback(buildScheme(definition, breaks, settings.customUnit, colors.map(function(color) {
+        return color.charAt(0) === '#' ? color : '#' + color;
+      })));
+      break;
+    default:
+      callback(buildScheme(definition, definition.breaks, definition.unit));
+  }
+}
+
 /**
  * A slope vulnerability classification function.
  * @param {number} slopeDegrees - Slope angle in degrees
+ * @param {Object} scheme - Optional resolved scheme (defaults to degree breaks)
  * @return {Object} Vulnerability rating info
  */
-function getSlopeVulnerabilityCategory(slopeDegrees) {
-  if (slopeDegrees < 0.5) {
-    return {
-      rating: 'Very High',
-      color: '#d32f2f',
-      description: 'Very low slope areas (<0.5°) are highly vulnerable to flooding and erosion.'
-    };
-  } else if (slopeDegrees < 1) {
-    return {
-      rating: 'High',
-      color: '#f57c00',
-      description: 'Low slope (0.5-1°) - high vulnerability to sea level rise impacts.'
-    };
-  } else if (slopeDegrees < 2) {
-    return {
-      rating: 'Moderate',
-      color: '#fbc02d',
-      description: 'Moderate slope (1-2°) - medium vulnerability to coastal hazards.'
-    };
-  } else if (slopeDegrees < 5) {
-    return {
-      rating: 'Low',
-      color: '#689f38',
-      description: 'Steep slope (2-5°) provides natural protection from flooding.'
-    };
-  } else {
-    return {
-      rating: 'Very Low',
-      color: '#2e7d32',
-      description: 'Very steep slope (>5°) offers excellent protection from coastal hazards.'
-    };
+function getSlopeVulnerabilityCategory(slopeDegrees, scheme) {
+  scheme = scheme || DEFAULT_SCHEME;
+  var value = toSlopeUnit(slopeDegrees, scheme.unit);
+
+  for (var i = 0; i < scheme.classes.length - 1; i++) {
+    if (value < scheme.classes[i].max) {
+      return scheme.classes[i];
+    }
   }
+  return scheme.classes[scheme.classes.length - 1];
 }
 
 /**
- * Available DEM sources in Google Earth Engine.
+ * Vertical units of elevation data, with their size in meters.
+ */
+var VERTICAL_UNITS = [
+  {label: 'Meters', value: 'meters', toMeters: 1},
+  {label: 'Centimeters', value: 'centimeters', toMeters: 0.01},
+  {label: 'Feet', value: 'feet', toMeters: 0.3048},
+  {label: 'US survey feet', value: 'usSurveyFeet', toMeters: 1200 / 3937}
+];
+
+/**
+ * Available DEM sources in Google Earth Engine. `type` tells whether the
+ * asset is a single Image or a tiled ImageCollection; elevations are in
+ * meters unless `units` names another VERTICAL_UNITS entry. Custom assets
+ * registered from the UI are appended to this list.
  */
 var demSources = [
   {
     label: 'SRTM (Shuttle Radar Topography Mission)',
     value: 'SRTM',
     collection: 'USGS/SRTMGL1_003',
+    type: 'Image',
     band: 'elevation',
     resolution: 30,
     description: 'Global 30m DEM from NASA (2000). Coverage: ±60° latitude.'
@@ -79,6 +358,7 @@ var demSources = [
     label: 'ALOS World 3D (AW3D30)',
     value: 'ALOS',
     collection: 'JAXA/ALOS/AW3D30/V2_2',
+    type: 'Image',
     band: 'DSM',
     resolution: 30,
     description: 'Global 30m DEM from JAXA (2006-2011). More recent than SRTM.'
@@ -87,6 +367,7 @@ var demSources = [
     label: 'NASADEM',
     value: 'NASADEM',
     collection: 'NASA/NASADEM_HGT/001',
+    type: 'Image',
     band: 'elevation',
     resolution: 30,
     description: 'Enhanced SRTM data with improved coastal accuracy.'
@@ -95,6 +376,7 @@ var demSources = [
     label: 'Copernicus GLO-30',
     value: 'COPERNICUS',
     collection: 'COPERNICUS/DEM/GLO30',
+    type: 'ImageCollection',
     band: 'elevation',
     resolution: 30,
     description: 'Global 30m DEM from Copernicus (2019-2020).'
@@ -103,12 +385,176 @@ var demSources = [
     label: 'MERIT DEM',
     value: 'MERIT',
     collection: 'MERIT/Hydro/v1_0_1',
+    type: 'Image',
     band: 'dem',
     resolution: 90,
     description: 'Error-reduced global DEM at 90m. Better for flat coastal areas.'
   }
 ];
 
+/**
+ * Loads the elevation band of a DEM source in meters. Tiled collections are
+ * mosaicked with the tiles' native projection restored, since mosaic()
+ * falls back to a 1-degree default that breaks ee.Terrain.slope. The
+ * projection is taken from a tile covering the region, as tiles can be in
+ * different UTM zones.
+ * @param {Object} source - Entry of demSources
+ * @param {ee.Geometry} region - Analysis area
+ * @return {ee.Image} Elevation image
+ */
+function loadDEM(source, region) {
+  var image;
+  if (source.type === 'ImageCollection') {
+    var collection = ee.ImageCollection(source.collection).select(source.band);
+    image = collection.mosaic()
+      .setDefaultProjection(collection.filterBounds(region).first().projection());
+  } else {
+    image = ee.Image(source.collection).select(source.band);
+  }
+
+  var toMeters = findOption(VERTICAL_UNITS, source.units).toMeters;
+  return toMeters === 1 ? image : image.multiply(toMeters);
+}
+
+/**
+ * Registers a user DEM asset as a DEM source.
+ * @param {Object} options - {assetId, type, band, resolution, units, compare}
+ * @return {Object} The new demSources entry; `custom` marks it as
+ *     user-registered and `compare` whether it joins DEM comparisons
+ */
+function registerCustomDEM(options) {
+  var source = {
+    label: 'Custom: ' + options.assetId,
+    value: 'CUSTOM_' + (demSources.length + 1),
+    collection: options.assetId,
+    type: options.type,
+    band: options.band,
+    resolution: options.resolution,
+    units: options.units,
+    custom: true,
+    compare: !!options.compare,
+    description: 'User-registered DEM at ' + options.resolution + 'm, elevations in ' +
+                 findOption(VERTICAL_UNITS, options.units).label.toLowerCase() + '.'
+  };
+  demSources.push(source);
+  return source;
+}
+
+/**
+ * DEM sources taking part in a comparison: the built-in ones plus the
+ * custom DEMs opted in.
+ * @return {Array<Object>} Entries of demSources
+ */
+function getComparisonSources() {
+  return demSources.filter(function(source) {
+    return !source.custom || source.compare;
+  });
+}
+
+/**
+ * Offshore bathymetry sources merged with the DEM into a topobathymetric
+ * surface. Elevations are in meters, negative below sea level.
+ */
+var bathymetrySources = [
+  {
+    label: 'None (land DEM only)',
+    value: 'none',
+    description: 'Slope is computed from the land DEM alone; its offshore values are sea surface.'
+  },
+  {
+    label: 'GEBCO Global Grid',
+    value: 'GEBCO',
+    collection: 'projects/sat-io/open-datasets/gebco/gebco_grid',
+    type: 'ImageCollection',
+    band: 'b1',
+    resolution: 464,
+    description: 'Global ocean and land terrain model at 15 arc-seconds (community catalog).'
+  },
+  {
+    label: 'ETOPO1 (bedrock)',
+    value: 'ETOPO1',
+    collection: 'NOAA/NGDC/ETOPO1',
+    type: 'Image',
+    band: 'bedrock',
+    resolution: 1852,
+    description: 'Global relief model at 1 arc-minute from NOAA. Coarse near the shore.'
+  },
+  {
+    label: 'User-uploaded raster',
+    value: 'custom',
+    type: 'Image',
+    description: 'A bathymetry raster uploaded as an Earth Engine image asset.'
+  }
+];
+
+/**
+ * Loads a bathymetry source as elevation in meters, negative below sea level.
+ * @param {Object} source - Entry of bathymetrySources
+ * @param {ee.Geometry} region - Analysis area
+ * @param {Object} options - For user rasters: {assetId, band, positiveDepth}
+ * @return {ee.Image} Single `elevation` band
+ */
+function loadBathymetry(source, region, options) {
+  var image;
+  if (source.value === 'custom') {
+    if (!options.assetId) {
+      throw new Error('Enter the asset ID of the bathymetry raster.');
+    }
+    image = ee.Image(options.assetId).select(options.band || 0);
+    if (options.positiveDepth) {
+      image = image.multiply(-1);
+    }
+  } else {
+    image = loadDEM(source, region);
+  }
+  return image.rename('elevation').toFloat();
+}
+
+/**
+ * Merges a land DEM with bathymetry. DEM pixels above sea level are kept;
+ * everything else, including the DEM's flat sea surface, comes from the
+ * bathymetry resampled to the DEM grid.
+ * @param {ee.Image} dem - Land elevation
+ * @param {ee.Image} bathymetry - Output of loadBathymetry
+ * @return {ee.Image} Single `elevation` band in the DEM's projection
+ */
+function mergeTopobathymetry(dem, bathymetry) {
+  dem = dem.rename('elevation').toFloat();
+  var land = dem.updateMask(dem.gt(0));
+  var sea = bathymetry.resample('bilinear').updateMask(bathymetry.lte(0));
+  return ee.ImageCollection([sea, land]).mosaic().setDefaultProjection(dem.projection());
+}
+
+/**
+ * Slope statistics split at sea level.
+ * @param {ee.Image} slope - Slope image in degrees
+ * @param {ee.Image} elevation - Surface the slope was computed from
+ * @param {ee.Geometry} zone - Coastal zone
+ * @param {number} scale - Reduction scale (m)
+ * @return {ee.Dictionary} `land`, `sea` and `combined` dictionaries of
+ *     `slope_mean` and `slope_stdDev`
+ */
+function getLandSeaSlopeStats(slope, elevation, zone, scale) {
+  var land = elevation.select(0).gt(0);
+  slope = slope.rename('slope');
+
+  function reduce(image) {
+    return image.reduceRegion({
+      reducer: ee.Reducer.mean().combine(ee.Reducer.stdDev(), null, true),
+      geometry: zone,
+      scale: scale,
+      maxPixels: 1e9,
+      bestEffort: true
+    });
+  }
+
+  return ee.Dictionary({
+    land: reduce(slope.updateMask(land)),
+    sea: reduce(slope.updateMask(land.not())),
+    combined: reduce(slope)
+  });
+}
+
 /**
  * Creates a section header with optional info tooltip
  */
@@ -140,6 +586,28 @@ function createSectionHeader(title, info, ICONS, STYLES) {
   return panel;
 }
 
+/**
+ * Creates a table row of fixed-width cells.
+ * @param {Array<string>} cells - Cell texts
+ * @param {Array<string>} widths - CSS widths of the cells
+ * @param {boolean} isHeader - Whether to render the cells in bold
+ * @return {ui.Panel} Horizontal panel with one label per cell
+ */
+function createTableRow(cells, widths, isHeader) {
+  return ui.Panel({
+    widgets: cells.map(function(text, i) {
+      return ui.Label(text, {
+        width: widths[i],
+        fontSize: '12px',
+        fontWeight: isHeader ? 'bold' : 'normal',
+        margin: '2px 4px 2px 0',
+        padding: '2px 4px'
+      });
+    }),
+    layout: ui.Panel.Layout.flow('horizontal')
+  });
+}
+
 /**
  * Creates the slope analysis UI after a shoreline is loaded.
  * @param {ee.FeatureCollection} shoreline - Vectorized shoreline
@@ -189,6 +657,25 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
     slopeCalculated: false,
     slopeImage: null,
     coastalZone: null,
+    transectSpacing: 200,  // Distance between shore-normal transects (m)
+    transectLength: 1000,  // Total transect length across the shore (m)
+    transects: null,       // Transects with fitted profile slopes
+    segmentLength: 1000,   // Length of the rated shoreline segments (m)
+    segments: null,        // Shoreline segments with slope ratings
+    schemeValue: 'default',           // Selected CLASSIFICATION_SCHEMES entry
+    customBreaks: '0.5, 1, 2, 5',     // Breaks of the user-defined scheme
+    customColors: '',                 // Optional colours of the user-defined scheme
+    customUnit: 'degrees',            // Unit of the user-defined breaks
+    scheme: null,          // Scheme resolved for the current results
+    bathymetry: 'none',    // Selected bathymetrySources entry
+    bathymetryAsset: '',   // Asset ID of a user-uploaded bathymetry raster
+    bathymetryBand: 'b1',  // Depth band of the user raster
+    positiveDepth: false,  // Whether the user raster stores depths as positive values
+    elevationImage: null,  // Surface the slope was computed from
+    compareAll: false,     // Compute slope from every DEM source instead of one
+    comparisonSources: null,  // DEM sources of the current comparison run
+    demSlopes: null,       // One slope band per DEM source in comparison runs
+    slopeSpread: null,     // Per-pixel slope spread between DEM sources
     currentStep: 1  // Track which step/page we're on
   };
 
@@ -249,6 +736,7 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
 
         updateStatus('Selected DEM: ' + selectedDEM.label);
       },
+      disabled: state.compareAll,
       style: {width: '300px', margin: '5px 0'}
     });
     contentPanel.add(demSelect);
@@ -274,13 +762,129 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
     });
     contentPanel.add(resolutionWarning);
 
+    // Registration of the user's own DEM assets
+    var customPanel = ui.Panel({style: {shown: false, margin: '0 0 10px 0'}});
+    var customAsset = ui.Textbox({placeholder: 'users/name/lidar_dem', style: {width: '280px'}});
+    var customBand = ui.Textbox({value: 'elevation', style: {width: '280px'}});
+    var customResolution = ui.Textbox({value: '1', style: {width: '280px'}});
+    var customUnits = ui.Select({
+      items: VERTICAL_UNITS.map(function(unit) {
+        return {label: unit.label, value: unit.value};
+      }),
+      value: 'meters',
+      style: {width: '280px'}
+    });
+    var customCompare = ui.Checkbox({label: 'Include in DEM comparison', value: false});
+    var customMessage = ui.Label({value: '', style: {fontSize: '12px', margin: '3px 0', shown: false}});
+
+    function showCustomMessage(message, isError) {
+      customMessage.setValue(message);
+      customMessage.style().set({shown: true, color: isError ? 'red' : '#2E7D32'});
+    }
+
+    var registerButton = ui.Button({
+      label: 'Add to DEM List',
+      onClick: function() {
+        var assetId = customAsset.getValue().trim();
+        var band = customBand.getValue().trim();
+        var resolution = Number(customResolution.getValue());
+        if (!assetId || !band) {
+          showCustomMessage('Enter the asset ID and the elevation band.', true);
+          return;
+        }
+        if (!(resolution > 0)) {
+          showCustomMessage('Enter the DEM resolution in meters.', true);
+          return;
+        }
+
+        var existing = demSources.filter(function(dem) {
+          return dem.collection === assetId && dem.band === band;
+        })[0];
+        if (existing) {
+          demSelect.setValue(existing.label);
+          showCustomMessage(existing.label + ' is already in the DEM list.', false);
+          return;
+        }
+
+        // The asset type decides how the DEM is loaded
+        showCustomMessage('Checking asset...', false);
+        registerButton.setDisabled(true);
+        ee.data.getAsset(assetId, function(asset, error) {
+          registerButton.setDisabled(false);
+          if (error || !asset) {
+            showCustomMessage('Asset not found or not readable: ' + (error || assetId), true);
+            return;
+          }
+          var type = {IMAGE: 'Image', IMAGE_COLLECTION: 'ImageCollection'}[asset.type];
+          if (!type) {
+            showCustomMessage('The asset must be an image or an image collection.', true);
+            return;
+          }
+
+          var source = registerCustomDEM({
+            assetId: assetId,
+            type: type,
+            band: band,
+            resolution: resolution,
+            units: customUnits.getValue(),
+            compare: customCompare.getValue()
+          });
+          demSelect.items().reset(demSources.map(function(dem) { return dem.label; }));
+          demSelect.setValue(source.label);
+          showCustomMessage('Added ' + source.label + ' (' + type + ').', false);
+        });
+      },
+      style: STYLES.button
+    });
+
+    customPanel.add(ui.Label('DEM asset ID (image or image collection):', {margin: '4px 0'}));
+    customPanel.add(customAsset);
+    customPanel.add(ui.Label('Elevation band:', {margin: '4px 0'}));
+    customPanel.add(customBand);
+    customPanel.add(ui.Label('Resolution (m):', {margin: '4px 0'}));
+    customPanel.add(customResolution);
+    customPanel.add(ui.Label('Vertical units:', {margin: '4px 0'}));
+    customPanel.add(customUnits);
+    customPanel.add(customCompare);
+    customPanel.add(registerButton);
+    customPanel.add(customMessage);
+
+    contentPanel.add(ui.Button({
+      label: ICONS.settings + ' Register Custom DEM',
+      onClick: function() {
+        customPanel.style().set('shown', !customPanel.style().get('shown'));
+      },
+      style: STYLES.button
+    }));
+    contentPanel.add(customPanel);
+
+    // Comparison of every source instead of a single one
+    contentPanel.add(ui.Checkbox({
+      label: 'Compare all DEM sources',
+      value: state.compareAll,
+      onChange: function(checked) {
+        state.compareAll = checked;
+        demSelect.setDisabled(checked);
+        nextButton.setDisabled(!checked && state.selectedDEM === null);
+        if (checked) {
+          updateStatus('Comparing ' + getComparisonSources().length + ' DEM sources');
+        }
+      },
+      style: {margin: '10px 0 0 0'}
+    }));
+    contentPanel.add(ui.Label({
+      value: 'Computes slope from every source over the same coastal zone, with a summary ' +
+             'table per DEM, an inter-DEM spread layer and pairwise difference maps.',
+      style: {fontSize: '12px', color: '#666', margin: '3px 0 10px 0'}
+    }));
+
     // Next button
     var nextButton = ui.Button({
       label: 'Next: Configure Analysis ' + ICONS.next,
       onClick: function() {
         showAnalysisSettingsPage();
       },
-      disabled: state.selectedDEM === null,
+      disabled: state.selectedDEM === null && !state.compareAll,
       style: STYLES.button
     });
     contentPanel.add(nextButton);
@@ -298,7 +902,8 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
 
     // Show which DEM was selected
     contentPanel.add(ui.Label('Selected DEM Source:', {fontWeight: 'bold', margin: '5px 0'}));
-    contentPanel.add(ui.Label(state.selectedDEM.label, {margin: '3px 0 10px 0'}));
+    contentPanel.add(ui.Label(state.compareAll ? 'All DEM sources (comparison)' : state.selectedDEM.label,
+      {margin: '3px 0 10px 0'}));
 
     // Analysis settings panel
     contentPanel.add(createSectionHeader('Analysis Settings',
@@ -324,6 +929,176 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
       style: {fontSize: '12px', color: '#666', margin: '3px 0 15px 0'}
     }));
 
+    // Bathymetry, transects and segments are only analysed for a single DEM
+    if (!state.compareAll) {
+      contentPanel.add(createSectionHeader('Offshore Bathymetry',
+        'The offshore half of the buffer is sea surface in a land DEM. A bathymetry source is ' +
+        'merged with the DEM so the slope spans the subaerial and submarine profile.',
+        ICONS, STYLES));
+
+      var bathymetryDescription = ui.Label({
+        value: findOption(bathymetrySources, state.bathymetry).description,
+        style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+      });
+
+      var bathymetryPanel = ui.Panel({
+        widgets: [
+          ui.Label('Image asset ID:', {margin: '4px 0'}),
+          ui.Textbox({
+            placeholder: 'users/name/bathymetry',
+            value: state.bathymetryAsset,
+            style: {width: '280px'},
+            onChange: function(value) {
+              state.bathymetryAsset = value.trim();
+            }
+          }),
+          ui.Label('Band:', {margin: '4px 0'}),
+          ui.Textbox({
+            value: state.bathymetryBand,
+            style: {width: '280px'},
+            onChange: function(value) {
+              state.bathymetryBand = value.trim();
+            }
+          }),
+          ui.Checkbox({
+            label: 'Depths are positive values',
+            value: state.positiveDepth,
+            onChange: function(checked) {
+              state.positiveDepth = checked;
+            }
+          })
+        ],
+        style: {shown: state.bathymetry === 'custom', margin: '0'}
+      });
+
+      contentPanel.add(ui.Select({
+        items: bathymetrySources.map(function(source) {
+          return {label: source.label, value: source.value};
+        }),
+        value: state.bathymetry,
+        style: {width: '280px'},
+        onChange: function(value) {
+          state.bathymetry = value;
+          bathymetryDescription.setValue(findOption(bathymetrySources, value).description);
+          bathymetryPanel.style().set('shown', value === 'custom');
+        }
+      }));
+      contentPanel.add(bathymetryDescription);
+      contentPanel.add(bathymetryPanel);
+
+      contentPanel.add(createSectionHeader('Shore-Normal Transects',
+        'Transects are cast perpendicular to the shoreline. The DEM elevation profile along each ' +
+        'transect is sampled at the DEM resolution, and a straight line fitted to it gives the ' +
+        'cross-shore slope.',
+        ICONS, STYLES));
+
+      contentPanel.add(ui.Label('Transect Spacing (m):', {margin: '4px 0'}));
+      contentPanel.add(ui.Slider({
+        min: 50,
+        max: 1000,
+        value: state.transectSpacing,
+        step: 50,
+        style: {width: '280px'},
+        onChange: function(value) {
+          state.transectSpacing = value;
+        }
+      }));
+
+      contentPanel.add(ui.Label('Transect Length (m):', {margin: '4px 0'}));
+      contentPanel.add(ui.Slider({
+        min: 100,
+        max: 3000,
+        value: state.transectLength,
+        step: 100,
+        style: {width: '280px'},
+        onChange: function(value) {
+          state.transectLength = value;
+        }
+      }));
+
+      contentPanel.add(ui.Label({
+        value: 'Transects are centred on the shoreline, so half the length lies on each side. ' +
+               'Without bathymetry only the part above sea level is fitted.',
+        style: {fontSize: '12px', color: '#666', margin: '3px 0 15px 0'}
+      }));
+
+      contentPanel.add(createSectionHeader('Shoreline Segments',
+        'The shoreline is split into segments of equal length. Each segment is rated by the mean ' +
+        'slope within the buffer distance around it.',
+        ICONS, STYLES));
+
+      contentPanel.add(ui.Label('Segment Length (m):', {margin: '4px 0'}));
+      contentPanel.add(ui.Slider({
+        min: 250,
+        max: 5000,
+        value: state.segmentLength,
+        step: 250,
+        style: {width: '280px'},
+        onChange: function(value) {
+          state.segmentLength = value;
+        }
+      }));
+    }
+
+    contentPanel.add(createSectionHeader('Vulnerability Classification',
+      'Choose the slope breaks used to rate the coastal zone and each segment. Published CVI ' +
+      'schemes use percent slope; study-area schemes derive the breaks from the slope itself.',
+      ICONS, STYLES));
+
+    var schemeDescription = ui.Label({
+      value: findOption(CLASSIFICATION_SCHEMES, state.schemeValue).description,
+      style: {fontSize: '12px', color: '#666', margin: '3px 0'}
+    });
+
+    var customPanel = ui.Panel({
+      widgets: [
+        ui.Label('Class breaks, ascending (comma separated):', {margin: '4px 0'}),
+        ui.Textbox({
+          value: state.customBreaks,
+          style: {width: '280px'},
+          onChange: function(value) {
+            state.customBreaks = value;
+          }
+        }),
+        ui.Label('Class colours, optional (hex, comma separated):', {margin: '4px 0'}),
+        ui.Textbox({
+          placeholder: '#d32f2f, #f57c00, #fbc02d, #689f38, #2e7d32',
+          value: state.customColors,
+          style: {width: '280px'},
+          onChange: function(value) {
+            state.customColors = value;
+          }
+        }),
+        ui.Label('Break unit:', {margin: '4px 0'}),
+        ui.Select({
+          items: SLOPE_UNITS.map(function(unit) {
+            return {label: unit.label, value: unit.value};
+          }),
+          value: state.customUnit,
+          style: {width: '280px'},
+          onChange: function(value) {
+            state.customUnit = value;
+          }
+        })
+      ],
+      style: {shown: state.schemeValue === 'custom', margin: '0'}
+    });
+
+    contentPanel.add(ui.Select({
+      items: CLASSIFICATION_SCHEMES.map(function(scheme) {
+        return {label: scheme.label, value: scheme.value};
+      }),
+      value: state.schemeValue,
+      style: {width: '280px'},
+      onChange: function(value) {
+        state.schemeValue = value;
+        schemeDescription.setValue(findOption(CLASSIFICATION_SCHEMES, value).description);
+        customPanel.style().set('shown', value === 'custom');
+      }
+    }));
+    contentPanel.add(schemeDescription);
+    contentPanel.add(customPanel);
+
     // Navigation buttons
     var buttonPanel = ui.Panel({
       widgets: [
@@ -346,11 +1121,19 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
               style: {fontSize: '13px', color: '#666'}
             }));
 
-            // Start calculation and then show results page
-            calculateCoastalSlope(shoreline, state, map, contentPanel, function(message, isError) {
+            // Start calculation and then show results page once it has completed
+            var calculate = state.compareAll ? calculateDemComparison : calculateCoastalSlope;
+            state.slopeCalculated = false;
+            calculate(shoreline, state, map, contentPanel, function(message, isError) {
               updateStatus(message, isError);
               if (!isError) {
-                showResultsPage();
+                if (state.slopeCalculated) {
+                  if (state.compareAll) {
+                    showComparisonPage();
+                  } else {
+                    showResultsPage();
+                  }
+                }
               } else {
                 // If there was an error, add back button
                 contentPanel.add(ui.Button({
@@ -370,6 +1153,34 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
     contentPanel.add(buttonPanel);
   }
 
+  // Resolves the selected classification scheme into state.scheme, or shows
+  // why it could not be resolved
+  function resolveScheme(scale, loadingLabel, onResolved) {
+    resolveClassificationScheme({
+      scheme: state.schemeValue,
+      customBreaks: state.customBreaks,
+      customColors: state.customColors,
+      customUnit: state.customUnit
+    }, state.slopeImage, state.coastalZone, scale, function(scheme, error) {
+      if (!scheme) {
+        contentPanel.remove(loadingLabel);
+        updateStatus(error, true);
+        contentPanel.add(ui.Label({
+          value: ICONS.warning + ' ' + error,
+          style: {fontSize: '13px', color: 'red', margin: '3px 0'}
+        }));
+        contentPanel.add(ui.Button({
+          label: ICONS.back + ' Back to Settings',
+          onClick: showAnalysisSettingsPage,
+          style: STYLES.button
+        }));
+        return;
+      }
+      state.scheme = scheme;
+      onResolved(scheme);
+    });
+  }
+
   // Function to show results page (step 3)
   function showResultsPage() {
     // Update step indicators
@@ -403,18 +1214,32 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
       bestEffort: true
     });
 
+    // Resolve the classification scheme first, since study-area schemes are
+    // computed from the slope image
+    resolveScheme(state.selectedDEM.resolution, loadingLabel, function(scheme) {
+      // Vulnerability rating per shoreline segment
+      state.segments = classifySegments(shoreline, state.slopeImage, {
+        length: state.segmentLength,
+        buffer: state.bufferDistance,
+        scale: state.selectedDEM.resolution,
+        scheme: scheme
+      });
+      map.addLayer(styleByRating(state.segments), {}, 'Segment Vulnerability', true);
+
+      stats.evaluate(displayStatistics);
+    });
+
     // When stats are ready, display them
-    stats.evaluate(function(statValues) {
+    function displayStatistics(statValues) {
       // Remove loading indicator
       contentPanel.remove(loadingLabel);
 
       if (statValues) {
-        // For different DEM sources, the band names in the stats might vary
-        var bandName = state.selectedDEM.band;
-        var meanKey = bandName + '_mean';
-        var minKey = bandName + '_min';
-        var maxKey = bandName + '_max';
-        var stdDevKey = bandName + '_stdDev';
+        // ee.Terrain.slope names its output band 'slope' for every DEM
+        var meanKey = 'slope_mean';
+        var minKey = 'slope_min';
+        var maxKey = 'slope_max';
+        var stdDevKey = 'slope_stdDev';
 
         // Mean slope (most important value)
         var meanSlope = Math.round(statValues[meanKey] * 100) / 100;
@@ -454,8 +1279,55 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
         // Add to main content
         contentPanel.add(resultsCard);
 
+        // Slope on either side of sea level
+        var landSeaCard = ui.Panel({
+          widgets: [
+            ui.Label({
+              value: 'Land-Side and Sea-Side Slope',
+              style: {fontSize: '16px', fontWeight: 'bold', margin: '0 0 10px 0'}
+            })
+          ],
+          style: {
+            padding: '15px',
+            backgroundColor: 'white',
+            border: '1px solid #ddd',
+            margin: '5px 0 15px 0'
+          }
+        });
+        var landSeaLabel = ui.Label({
+          value: 'Splitting at sea level...',
+          style: {fontSize: '13px', margin: '3px 0', color: '#2196F3'}
+        });
+        landSeaCard.add(landSeaLabel);
+        contentPanel.add(landSeaCard);
+
+        var bathymetry = findOption(bathymetrySources, state.bathymetry);
+        getLandSeaSlopeStats(state.slopeImage, state.elevationImage, state.coastalZone,
+          state.selectedDEM.resolution).evaluate(function(values, error) {
+          if (error || !values) {
+            landSeaLabel.setValue('Land/sea split failed.');
+            landSeaLabel.style().set('color', 'red');
+            return;
+          }
+          landSeaLabel.setValue(bathymetry.value === 'none' ?
+            'No bathymetry selected; sea-side values are the DEM\'s sea surface.' :
+            'Bathymetry: ' + bathymetry.label);
+          landSeaLabel.style().set('color', bathymetry.value === 'none' ? '#f57c00' : 'black');
+
+          [['Land-side', values.land], ['Sea-side', values.sea], ['Combined', values.combined]]
+            .forEach(function(row) {
+              var mean = row[1].slope_mean;
+              landSeaCard.add(ui.Label({
+                value: row[0] + ': ' + (mean === null ? 'no data' :
+                  Math.round(mean * 100) / 100 + '° (std dev ' +
+                  Math.round(row[1].slope_stdDev * 100) / 100 + '°)'),
+                style: {fontSize: '13px', margin: '3px 0', fontWeight: row[0] === 'Combined' ? 'bold' : 'normal'}
+              }));
+            });
+        });
+
         // Add vulnerability assessment
-        var vulnerability = getSlopeVulnerabilityCategory(meanSlope);
+        var vulnerability = getSlopeVulnerabilityCategory(meanSlope, state.scheme);
 
         // Create vulnerability card
         var vulnCard = ui.Panel({
@@ -497,8 +1369,116 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
           style: {fontSize: '12px', margin: '3px 0', color: '#666'}
         }));
 
+        var unit = findOption(SLOPE_UNITS, state.scheme.unit);
+        vulnCard.add(ui.Label({
+          value: 'Scheme: ' + state.scheme.label + ' (' + unit.label.toLowerCase() + ')',
+          style: {fontSize: '12px', margin: '8px 0 3px 0', fontWeight: 'bold'}
+        }));
+        vulnCard.add(ui.Label({
+          value: 'Class breaks: ' + state.scheme.classes.slice(0, -1).map(function(c) {
+            return Math.round(c.max * 1000) / 1000 + unit.symbol;
+          }).join(', '),
+          style: {fontSize: '12px', margin: '3px 0', color: '#666'}
+        }));
+
         contentPanel.add(vulnCard);
 
+        // Ratings of the individual shoreline segments
+        var segmentCard = ui.Panel({
+          widgets: [
+            ui.Label({
+              value: 'Segment Vulnerability',
+              style: {fontSize: '16px', fontWeight: 'bold', margin: '0 0 10px 0'}
+            })
+          ],
+          style: {
+            padding: '15px',
+            backgroundColor: 'white',
+            border: '1px solid #ddd',
+            margin: '5px 0 15px 0'
+          }
+        });
+        var segmentLabel = ui.Label({
+          value: 'Rating segments...',
+          style: {fontSize: '13px', margin: '3px 0', color: '#2196F3'}
+        });
+        segmentCard.add(segmentLabel);
+        contentPanel.add(segmentCard);
+
+        state.segments.aggregate_histogram('rating').evaluate(function(counts, error) {
+          if (error || !counts) {
+            segmentLabel.setValue('Segment rating failed.');
+            segmentLabel.style().set('color', 'red');
+            return;
+          }
+          var total = Object.keys(counts).reduce(function(sum, rating) {
+            return sum + counts[rating];
+          }, 0);
+          segmentLabel.setValue(total + ' segments of ' + state.segmentLength + ' m');
+          segmentLabel.style().set('color', 'black');
+
+          state.scheme.classes.forEach(function(c) {
+            segmentCard.add(ui.Panel({
+              widgets: [
+                ui.Label('', {backgroundColor: c.color, padding: '6px', margin: '4px 6px 0 0'}),
+                ui.Label(c.rating + ': ' + (counts[c.rating] || 0) + ' segment(s)', {
+                  fontSize: '13px', margin: '2px 0'
+                })
+              ],
+              layout: ui.Panel.Layout.flow('horizontal')
+            }));
+          });
+        });
+
+        // Transect profile summary
+        var transectCard = ui.Panel({
+          widgets: [
+            ui.Label({
+              value: 'Cross-Shore Profiles',
+              style: {fontSize: '16px', fontWeight: 'bold', margin: '0 0 10px 0'}
+            })
+          ],
+          style: {
+            padding: '15px',
+            backgroundColor: 'white',
+            border: '1px solid #ddd',
+            margin: '5px 0 15px 0'
+          }
+        });
+        var transectLabel = ui.Label({
+          value: 'Fitting transect profiles...',
+          style: {fontSize: '13px', margin: '3px 0', color: '#2196F3'}
+        });
+        transectCard.add(transectLabel);
+        contentPanel.add(transectCard);
+
+        ee.Dictionary({
+          count: state.transects.size(),
+          mean: state.transects.aggregate_mean('slope'),
+          median: state.transects.reduceColumns(ee.Reducer.median(), ['slope']).get('median'),
+          min: state.transects.aggregate_min('slope'),
+          max: state.transects.aggregate_max('slope')
+        }).evaluate(function(values, error) {
+          if (error || !values || !values.count) {
+            transectLabel.setValue('No transect profile could be fitted.');
+            transectLabel.style().set('color', 'red');
+            return;
+          }
+          transectLabel.setValue('Transects: ' + values.count + ' every ' + state.transectSpacing +
+                                 ' m, ' + state.transectLength + ' m long');
+          transectLabel.style().set('color', 'black');
+          transectCard.add(ui.Label({
+            value: 'Mean Fitted Slope: ' + Math.round(values.mean * 100) / 100 + '° (median ' +
+                   Math.round(values.median * 100) / 100 + '°)',
+            style: {fontSize: '14px', margin: '3px 0', fontWeight: 'bold'}
+          }));
+          transectCard.add(ui.Label({
+            value: 'Range: ' + Math.round(values.min * 100) / 100 + '° to ' +
+                   Math.round(values.max * 100) / 100 + '°',
+            style: {fontSize: '13px', margin: '3px 0'}
+          }));
+        });
+
         // Add export options
         contentPanel.add(ui.Label('Export Options:', {fontWeight: 'bold', margin: '10px 0 5px 0'}));
 
@@ -521,6 +1501,38 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
           style: STYLES.button
         }));
 
+        contentPanel.add(ui.Button({
+          label: ICONS.download + ' Export Rated Segments (SHP)',
+          onClick: function() {
+            Export.table.toDrive({
+              collection: state.segments,
+              description: 'Coastal_Slope_Segments_' + Date.now(),
+              fileFormat: 'SHP'
+            });
+
+            contentPanel.add(ui.Label('✓ Segment export started! Check Tasks panel.', {
+              color: '#2E7D32', margin: '5px 0', fontSize: '12px'
+            }));
+          },
+          style: STYLES.button
+        }));
+
+        contentPanel.add(ui.Button({
+          label: ICONS.download + ' Export Transects (SHP)',
+          onClick: function() {
+            Export.table.toDrive({
+              collection: state.transects,
+              description: 'Coastal_Slope_Transects_' + Date.now(),
+              fileFormat: 'SHP'
+            });
+
+            contentPanel.add(ui.Label('✓ Transect export started! Check Tasks panel.', {
+              color: '#2E7D32', margin: '5px 0', fontSize: '12px'
+            }));
+          },
+          style: STYLES.button
+        }));
+
       } else {
         // Error handling
         contentPanel.add(ui.Label({
@@ -529,6 +1541,227 @@ function createSlopeAnalysisUI(shoreline, map, updateStatus, STYLES, ICONS) {
         }));
       }
 
+      // Add back button
+      contentPanel.add(ui.Button({
+        label: ICONS.back + ' Back to Settings',
+        onClick: showAnalysisSettingsPage,
+        style: STYLES.button
+      }));
+    }
+  }
+
+  // Function to show the DEM comparison page (step 3 of comparison runs)
+  function showComparisonPage() {
+    // Update step indicators
+    stepPanel.widgets().get(0).style().set({fontWeight: 'normal', color: '#888'});
+    stepPanel.widgets().get(2).style().set({fontWeight: 'normal', color: '#888'});
+    stepPanel.widgets().get(4).style().set({fontWeight: 'bold', color: '#4285F4'});
+    state.currentStep = 3;
+
+    contentPanel.clear();
+
+    contentPanel.add(ui.Label({
+      value: ICONS.results + ' DEM Comparison Results',
+      style: STYLES.subheading
+    }));
+
+    var loadingLabel = ui.Label({
+      value: 'Calculating statistics...',
+      style: {fontSize: '13px', margin: '5px 0', color: '#2196F3'}
+    });
+    contentPanel.add(loadingLabel);
+
+    // Shared statistics run at the finest built-in DEM resolution, so a
+    // high-resolution custom DEM does not drive them over the whole zone
+    var sources = state.comparisonSources;
+    var scale = Math.min.apply(null, sources.filter(function(source) {
+      return !source.custom;
+    }).map(function(source) {
+      return source.resolution;
+    }));
+
+    // The scheme is resolved from the mean slope of all sources
+    resolveScheme(scale, loadingLabel, function(scheme) {
+      contentPanel.remove(loadingLabel);
+      var cardStyle = {
+        padding: '15px',
+        backgroundColor: 'white',
+        border: '1px solid #ddd',
+        margin: '5px 0 15px 0'
+      };
+      var titleStyle = {fontSize: '16px', fontWeight: 'bold', margin: '0 0 10px 0'};
+      var widths = ['95px', '60px', '60px', '75px'];
+      var unit = findOption(SLOPE_UNITS, scheme.unit);
+
+      // Summary table, one row per DEM filled in as its statistics arrive
+      var tableCard = ui.Panel({
+        widgets: [ui.Label({value: 'Slope by DEM Source', style: titleStyle})],
+        style: cardStyle
+      });
+      tableCard.add(createTableRow(['DEM', 'Mean', 'Std Dev', 'Rating'], widths, true));
+      sources.forEach(function(source) {
+        var row = createTableRow([source.value, '...', '...', ''], widths, false);
+        tableCard.add(row);
+
+        getDemSlopeStats(state.demSlopes, state.coastalZone, source).evaluate(function(values, error) {
+          if (error || !values || values.slope_mean === null) {
+            row.widgets().get(1).setValue('no data');
+            row.widgets().get(2).setValue('');
+            return;
+          }
+          var rating = getSlopeVulnerabilityCategory(values.slope_mean, scheme);
+          row.widgets().get(1).setValue(Math.round(values.slope_mean * 100) / 100 + '°');
+          row.widgets().get(2).setValue(Math.round(values.slope_stdDev * 100) / 100 + '°');
+          row.widgets().get(3).setValue(rating.rating);
+          row.widgets().get(3).style().set({color: 'white', backgroundColor: rating.color});
+        });
+      });
+      tableCard.add(ui.Label({
+        value: 'Scheme: ' + scheme.label + ' (' + unit.label.toLowerCase() + '). Statistics use ' +
+               'each DEM at its own resolution.',
+        style: {fontSize: '12px', margin: '8px 0 3px 0', color: '#666'}
+      }));
+      contentPanel.add(tableCard);
+
+      // Agreement between the sources
+      var spreadCard = ui.Panel({
+        widgets: [ui.Label({value: 'Inter-DEM Spread', style: titleStyle})],
+        style: cardStyle
+      });
+      var spreadLabel = ui.Label({
+        value: 'Calculating spread...',
+        style: {fontSize: '13px', margin: '3px 0', color: '#2196F3'}
+      });
+      spreadCard.add(spreadLabel);
+      contentPanel.add(spreadCard);
+
+      state.slopeSpread.reduceRegion({
+        reducer: ee.Reducer.mean(),
+        geometry: state.coastalZone,
+        scale: scale,
+        maxPixels: 1e9,
+        bestEffort: true
+      }).evaluate(function(values, error) {
+        if (error || !values || values.spread === null) {
+          spreadLabel.setValue('Spread calculation failed. The DEMs may not overlap here.');
+          spreadLabel.style().set('color', 'red');
+          return;
+        }
+        spreadLabel.setValue('Mean per-pixel std dev between DEMs: ' +
+                             Math.round(values.spread * 100) / 100 + '°');
+        spreadLabel.style().set({color: 'black', fontWeight: 'bold'});
+        spreadCard.add(ui.Label({
+          value: 'Mean range (steepest minus flattest DEM): ' + Math.round(values.range * 100) / 100 + '°',
+          style: {fontSize: '13px', margin: '3px 0'}
+        }));
+        spreadCard.add(ui.Label({
+          value: 'See the "Inter-DEM Slope Spread" layer for where the sources disagree.',
+          style: {fontSize: '12px', margin: '3px 0', color: '#666'}
+        }));
+      });
+
+      // Pairwise difference map
+      var demItems = sources.map(function(source) {
+        return {label: source.label, value: source.value};
+      });
+      var firstSelect = ui.Select({items: demItems, value: sources[0].value, style: {width: '280px'}});
+      var secondSelect = ui.Select({items: demItems, value: sources[1].value, style: {width: '280px'}});
+      var differenceLabel = ui.Label({
+        value: '',
+        style: {fontSize: '13px', margin: '3px 0', shown: false}
+      });
+
+      contentPanel.add(ui.Panel({
+        widgets: [
+          ui.Label({value: 'Pairwise Difference', style: titleStyle}),
+          ui.Label('Slope of:', {margin: '4px 0'}),
+          firstSelect,
+          ui.Label('minus slope of:', {margin: '4px 0'}),
+          secondSelect,
+          ui.Button({
+            label: 'Show Difference Map',
+            onClick: function() {
+              var first = firstSelect.getValue();
+              var second = secondSelect.getValue();
+              differenceLabel.style().set({shown: true, color: 'black'});
+              if (first === second) {
+                differenceLabel.setValue('Choose two different DEM sources.');
+                differenceLabel.style().set('color', 'red');
+                return;
+              }
+
+              var difference = state.demSlopes.select(first).subtract(state.demSlopes.select(second))
+                .rename('difference');
+              map.addLayer(difference,
+                {min: -DIFFERENCE_RANGE, max: DIFFERENCE_RANGE, palette: DIFFERENCE_PALETTE},
+                'Slope Difference (' + first + ' - ' + second + ')',
+                true);
+
+              differenceLabel.setValue('Calculating difference...');
+              difference.addBands(difference.abs().rename('absolute')).reduceRegion({
+                reducer: ee.Reducer.mean(),
+                geometry: state.coastalZone,
+                scale: scale,
+                maxPixels: 1e9,
+                bestEffort: true
+              }).evaluate(function(values, error) {
+                if (error || !values || values.difference === null) {
+                  differenceLabel.setValue('The two DEMs do not overlap in the coastal zone.');
+                  differenceLabel.style().set('color', 'red');
+                  return;
+                }
+                differenceLabel.setValue(first + ' - ' + second + ': mean ' +
+                  Math.round(values.difference * 100) / 100 + '°, mean absolute ' +
+                  Math.round(values.absolute * 100) / 100 + '°');
+              });
+            },
+            style: STYLES.button
+          }),
+          differenceLabel
+        ],
+        style: cardStyle
+      }));
+
+      // Add export options
+      contentPanel.add(ui.Label('Export Options:', {fontWeight: 'bold', margin: '10px 0 5px 0'}));
+
+      contentPanel.add(ui.Button({
+        label: ICONS.download + ' Export DEM Slopes and Spread (GeoTIFF)',
+        onClick: function() {
+          Export.image.toDrive({
+            image: state.demSlopes.addBands(state.slopeSpread).toFloat(),
+            description: 'Coastal_Slope_DEM_Comparison_' + Date.now(),
+            scale: scale,
+            region: state.coastalZone,
+            maxPixels: 1e13
+          });
+
+          contentPanel.add(ui.Label('✓ Export started! Check Tasks panel.', {
+            color: '#2E7D32', margin: '5px 0', fontSize: '12px'
+          }));
+        },
+        style: STYLES.button
+      }));
+
+      contentPanel.add(ui.Button({
+        label: ICONS.download + ' Export Comparison Table (CSV)',
+        onClick: function() {
+          Export.table.toDrive({
+            collection: ee.FeatureCollection(sources.map(function(source) {
+              return ee.Feature(null, getDemSlopeStats(state.demSlopes, state.coastalZone, source))
+                .set({dem: source.value, label: source.label, resolution: source.resolution});
+            })),
+            description: 'Coastal_Slope_DEM_Table_' + Date.now(),
+            fileFormat: 'CSV'
+          });
+
+          contentPanel.add(ui.Label('✓ Table export started! Check Tasks panel.', {
+            color: '#2E7D32', margin: '5px 0', fontSize: '12px'
+          }));
+        },
+        style: STYLES.button
+      }));
+
       // Add back button
       contentPanel.add(ui.Button({
         label: ICONS.back + ' Back to Settings',
@@ -560,8 +1793,19 @@ function calculateCoastalSlope(shoreline, state, map, panel, updateStatus, STYLE
     var coastalZone = shoreline.geometry().buffer(state.bufferDistance);
     state.coastalZone = coastalZone;
 
-    // Load the DEM
-    var dem = ee.Image(demSource.collection).select(demSource.band);
+    // Load the DEM, merged with bathymetry when a source is selected
+    var dem = loadDEM(demSource, coastalZone);
+    var bathymetry = findOption(bathymetrySources, state.bathymetry);
+    if (bathymetry.value !== 'none') {
+      dem = mergeTopobathymetry(dem, loadBathymetry(bathymetry, coastalZone, {
+        assetId: state.bathymetryAsset,
+        band: state.bathymetryBand,
+        positiveDepth: state.positiveDepth
+      }));
+      map.addLayer(dem, {min: -TOPOBATHY_RANGE, max: TOPOBATHY_RANGE, palette: TOPOBATHY_PALETTE},
+        'Topobathymetry (' + demSource.value + ' + ' + bathymetry.value + ')', false);
+    }
+    state.elevationImage = dem;
 
     // Clip to coastal zone
     var coastalDEM = dem.clip(coastalZone);
@@ -570,11 +1814,21 @@ function calculateCoastalSlope(shoreline, state, map, panel, updateStatus, STYLE
     var slope = ee.Terrain.slope(coastalDEM);
     state.slopeImage = slope;
 
+    // Fitted cross-shore slope along shore-normal transects
+    state.transects = computeTransectSlopes(shoreline, dem, {
+      spacing: state.transectSpacing,
+      length: state.transectLength,
+      // Fine DEMs sample no closer than needed, so long profiles stay tractable
+      step: Math.max(demSource.resolution, state.transectLength / MAX_PROFILE_SAMPLES),
+      subaerialOnly: bathymetry.value === 'none'
+    });
+
     // Add to map
     map.addLayer(slope,
-      {min: 0, max: 10, palette: ['blue', 'cyan', 'green', 'yellow', 'red']},
+      {min: 0, max: SLOPE_PALETTE_MAX, palette: SLOPE_PALETTE},
       'Coastal Slope (' + demSource.label + ')',
       true);
+    map.addLayer(styleBySlope(state.transects, 2), {}, 'Transect Slopes', true);
 
     state.slopeCalculated = true;
     updateStatus('Coastal slope analysis complete');
@@ -588,6 +1842,325 @@ function calculateCoastalSlope(shoreline, state, map, panel, updateStatus, STYLE
   }
 }
 
+/**
+ * Calculates coastal slope from every DEM source over the same coastal zone
+ */
+function calculateDemComparison(shoreline, state, map, panel, updateStatus, STYLES, ICONS) {
+  var sources = getComparisonSources();
+  state.comparisonSources = sources;
+  updateStatus('Calculating coastal slope using ' + sources.length + ' DEM sources...');
+
+  try {
+    // Buffer the shoreline to create a coastal zone for analysis
+    var coastalZone = shoreline.geometry().buffer(state.bufferDistance);
+    state.coastalZone = coastalZone;
+
+    // Slope from each DEM, their spread, and their mean for the classification
+    state.demSlopes = computeDemSlopes(coastalZone, sources);
+    state.slopeSpread = computeSlopeSpread(state.demSlopes);
+    state.slopeImage = state.demSlopes.reduce(ee.Reducer.mean()).rename('slope');
+
+    // Add to map
+    sources.forEach(function(source) {
+      map.addLayer(state.demSlopes.select(source.value),
+        {min: 0, max: SLOPE_PALETTE_MAX, palette: SLOPE_PALETTE},
+        'Coastal Slope (' + source.label + ')',
+        false);
+    });
+    map.addLayer(state.slopeSpread.select('spread'),
+      {min: 0, max: SPREAD_PALETTE_MAX, palette: SPREAD_PALETTE},
+      'Inter-DEM Slope Spread',
+      true);
+
+    state.slopeCalculated = true;
+    updateStatus('DEM comparison complete');
+
+  } catch (e) {
+    updateStatus('Error in DEM comparison: ' + e.message, true);
+    panel.add(ui.Label({
+      value: ICONS.warning + ' Error: ' + e.message,
+      style: {color: 'red', fontWeight: 'bold', margin: '5px 0'}
+    }));
+  }
+}
+
+/**
+ * Colour ramp for slope layers, from flat (blue) to steep (red).
+ */
+var SLOPE_PALETTE = ['0000FF', '00FFFF', '008000', 'FFFF00', 'FF0000'];
+var SLOPE_PALETTE_MAX = 10;  // Degrees at the red end of the ramp
+
+// Ramp for topobathymetric surfaces, from deep water (blue) to high land (brown)
+var TOPOBATHY_PALETTE = ['08306B', '4292C6', 'DEEBF7', 'C7E9C0', '41AB5D', '8C510A'];
+var TOPOBATHY_RANGE = 50;  // Meters below and above sea level at the ends of the ramp
+
+/**
+ * Splits every line of a shoreline into pieces of equal length.
+ * @param {ee.FeatureCollection} shoreline - Shoreline (Multi)LineStrings
+ * @param {number} length - Piece length (m)
+ * @return {ee.FeatureCollection} Pieces with a `piece_id` built from the
+ *     source feature and the piece's position along it
+ */
+function splitShoreline(shoreline, length) {
+  return shoreline.map(function(feature) {
+    var featureId = ee.String(feature.get('system:index'));
+    var lines = feature.geometry().geometries().map(function(part) {
+      part = ee.Geometry(part);
+      return ee.Algorithms.If(ee.String(part.type()).equals('LineString'), part, null);
+    }, true);
+
+    // Cut each line, then number the pieces along the whole feature
+    var pieces = ee.List(lines.map(function(line) {
+      line = ee.Geometry(line);
+      return line.cutLines(ee.List.sequence(0, line.length(1), length), 1).geometries();
+    })).flatten();
+
+    return ee.FeatureCollection(ee.List.sequence(0, pieces.size().subtract(1)).map(function(i) {
+      var piece = ee.Geometry(pieces.get(i));
+      return ee.Feature(piece, {
+        piece_id: featureId.cat('_').cat(ee.Number(i).format('%d')),
+        length: piece.length(1)
+      });
+    })).filter(ee.Filter.gt('length', 1));
+  }).flatten();
+}
+
+/**
+ * Casts a transect perpendicular to a shoreline piece, centred on its start.
+ * @param {ee.Geometry} piece - LineString piece of the shoreline
+ * @param {number} length - Total transect length (m)
+ * @return {ee.Geometry} Transect LineString
+ */
+function castTransect(piece, length) {
+  var coords = piece.transform('EPSG:3857', 1).coordinates();
+  var start = ee.List(coords.get(0));
+  var end = ee.List(coords.get(-1));
+  var x0 = ee.Number(start.get(0));
+  var y0 = ee.Number(start.get(1));
+  var dx = ee.Number(end.get(0)).subtract(x0);
+  var dy = ee.Number(end.get(1)).subtract(y0);
+
+  // Web Mercator stretches ground distances by 1 / cos(latitude)
+  var latitude = ee.Number(ee.List(piece.coordinates().get(0)).get(1));
+  var halfLength = ee.Number(length / 2).divide(latitude.multiply(Math.PI / 180).cos());
+  var scale = halfLength.divide(dx.hypot(dy));
+  var nx = dy.multiply(-1).multiply(scale);
+  var ny = dx.multiply(scale);
+
+  return ee.Geometry.LineString([
+    [x0.subtract(nx), y0.subtract(ny)],
+    [x0.add(nx), y0.add(ny)]
+  ], 'EPSG:3857', false).transform('EPSG:4326', 1);
+}
+
+/**
+ * Places evenly spaced sample points along each transect.
+ * @param {ee.FeatureCollection} transects - Transects with `transect_id`
+ * @param {number} length - Transect length (m)
+ * @param {number} step - Distance between samples (m)
+ * @return {ee.FeatureCollection} Points with `transect_id` and `distance`
+ *     (m from the shoreline; the sign only tells the two sides apart)
+ */
+function getProfilePoints(transects, length, step) {
+  var count = Math.floor(length / step) + 1;
+
+  return transects.map(function(transect) {
+    var coords = transect.geometry().transform('EPSG:3857', 1).coordinates();
+    var a = ee.List(coords.get(0));
+    var b = ee.List(coords.get(-1));
+    var ax = ee.Number(a.get(0));
+    var ay = ee.Number(a.get(1));
+    var dx = ee.Number(b.get(0)).subtract(ax);
+    var dy = ee.Number(b.get(1)).subtract(ay);
+
+    return ee.FeatureCollection(ee.List.sequence(0, count - 1).map(function(k) {
+      var f = ee.Number(k).divide(count - 1);
+      return ee.Feature(ee.Geometry.Point([ax.add(dx.multiply(f)), ay.add(dy.multiply(f))], 'EPSG:3857'), {
+        transect_id: transect.get('transect_id'),
+        distance: f.multiply(length).subtract(length / 2)
+      });
+    }));
+  }).flatten();
+}
+
+// Most elevation samples taken along one transect profile
+var MAX_PROFILE_SAMPLES = 200;
+
+/**
+ * Casts shore-normal transects along a shoreline, samples DEM elevation
+ * profiles along them and fits a straight line to each profile.
+ * @param {ee.FeatureCollection} shoreline - Shoreline
+ * @param {ee.Image} dem - Single-band elevation image (m)
+ * @param {Object} options - {spacing, length, step} in meters, and
+ *     `subaerialOnly` to fit only samples above sea level, for land DEMs
+ *     whose offshore half is the flat sea surface
+ * @return {ee.FeatureCollection} Transects with `transect_id`, `gradient`
+ *     (m/m) and `slope` (degrees) of the fitted cross-shore profile
+ */
+function computeTransectSlopes(shoreline, dem, options) {
+  var transects = splitShoreline(shoreline, options.spacing).map(function(piece) {
+    return ee.Feature(castTransect(piece.geometry(), options.length), {
+      transect_id: piece.get('piece_id')
+    });
+  });
+
+  var samples = dem.rename('elevation').reduceRegions({
+    collection: getProfilePoints(transects, options.length, options.step),
+    reducer: ee.Reducer.first().setOutputs(['elevation']),
+    scale: options.step
+  }).filter(ee.Filter.notNull(['elevation']));
+  if (options.subaerialOnly) {
+    samples = samples.filter(ee.Filter.gt('elevation', 0));
+  }
+
+  // Least-squares fit of elevation against distance, per transect
+  var fits = ee.List(samples.reduceColumns({
+    reducer: ee.Reducer.linearFit().group({groupField: 2, groupName: 'transect_id'}),
+    selectors: ['distance', 'elevation', 'transect_id']
+  }).get('groups'));
+  var gradients = ee.Dictionary.fromLists(
+    fits.map(function(fit) { return ee.Dictionary(fit).get('transect_id'); }),
+    fits.map(function(fit) { return ee.Dictionary(fit).get('scale'); })
+  );
+
+  return transects.filter(ee.Filter.inList('transect_id', gradients.keys())).map(function(transect) {
+    var gradient = ee.Number(gradients.get(transect.get('transect_id'))).abs();
+    return transect.set({
+      gradient: gradient,
+      slope: gradient.atan().multiply(180 / Math.PI)
+    });
+  });
+}
+
+/**
+ * Styles line features by their `slope` property with the slope colour ramp.
+ * @param {ee.FeatureCollection} features - Features with a `slope` in degrees
+ * @param {number} width - Line width in pixels
+ * @return {ee.Image} Styled image for Map.addLayer
+ */
+function styleBySlope(features, width) {
+  var palette = ee.List(SLOPE_PALETTE);
+  return features.map(function(feature) {
+    var index = ee.Number(feature.get('slope')).divide(SLOPE_PALETTE_MAX)
+      .multiply(SLOPE_PALETTE.length - 1).round()
+      .max(0).min(SLOPE_PALETTE.length - 1);
+    return feature.set('style', {color: palette.get(index), width: width});
+  }).style({styleProperty: 'style'});
+}
+
+/**
+ * Splits a shoreline into equal-length segments and rates each one by the
+ * slope statistics of its stretch of the coastal zone.
+ * @param {ee.FeatureCollection} shoreline - Shoreline
+ * @param {ee.Image} slope - Slope image in degrees
+ * @param {Object} options - {length, buffer, scale} in meters and the
+ *     resolved classification `scheme`
+ * @return {ee.FeatureCollection} Segments with `segment_id`, `slope_mean`,
+ *     `slope_std`, `slope_min`, `slope_max` (degrees), `cvi_rank`, `rating`,
+ *     `color` and `scheme`
+ */
+function classifySegments(shoreline, slope, options) {
+  var classes = options.scheme.classes;
+  var breaks = ee.List(classes.slice(0, -1).map(function(c) { return c.max; }));
+  var ratings = ee.List(classes.map(function(c) { return c.rating; }));
+  var colors = ee.List(classes.map(function(c) { return c.color; }));
+  var band = slope.bandNames().get(0);
+
+  return splitShoreline(shoreline, options.length).map(function(segment) {
+    var stats = slope.reduceRegion({
+      reducer: ee.Reducer.mean().combine(ee.Reducer.stdDev(), null, true)
+                               .combine(ee.Reducer.minMax(), null, true),
+      geometry: segment.geometry().buffer(options.buffer),
+      scale: options.scale,
+      maxPixels: 1e9,
+      bestEffort: true
+    });
+    var mean = stats.get(ee.String(band).cat('_mean'));
+    var value = options.scheme.unit === 'percent' ?
+      ee.Number(mean).multiply(Math.PI / 180).tan().multiply(100) : ee.Number(mean);
+
+    // Class index = number of breaks at or below the mean slope
+    var index = breaks.map(function(limit) {
+      return value.gte(limit);
+    }).reduce(ee.Reducer.sum());
+
+    // Segments without DEM coverage are dropped
+    return ee.Algorithms.If(ee.Algorithms.IsEqual(mean, null), null, ee.Feature(segment.geometry(), {
+      segment_id: segment.get('piece_id'),
+      slope_mean: mean,
+      slope_std: stats.get(ee.String(band).cat('_stdDev')),
+      slope_min: stats.get(ee.String(band).cat('_min')),
+      slope_max: stats.get(ee.String(band).cat('_max')),
+      cvi_rank: ee.Number(classes.length).subtract(index),
+      rating: ratings.get(index),
+      color: colors.get(index),
+      scheme: options.scheme.value
+    }));
+  }, true);
+}
+
+/**
+ * Styles segments with the colour of their vulnerability rating.
+ * @param {ee.FeatureCollection} segments - Output of classifySegments
+ * @return {ee.Image} Styled image for Map.addLayer
+ */
+function styleByRating(segments) {
+  return segments.map(function(segment) {
+    return segment.set('style', {color: ee.String(segment.get('color')).slice(1), width: 4});
+  }).style({styleProperty: 'style'});
+}
+
+// Ramp for the inter-DEM spread layer, from agreement (yellow) to disagreement (red)
+var SPREAD_PALETTE = ['FFFFCC', 'FD8D3C', '800026'];
+var SPREAD_PALETTE_MAX = 5;  // Degrees of standard deviation at the red end
+
+// Diverging ramp for pairwise slope differences, centred on zero
+var DIFFERENCE_PALETTE = ['2166AC', '67A9CF', 'F7F7F7', 'EF8A62', 'B2182B'];
+var DIFFERENCE_RANGE = 5;  // Degrees of difference at either end of the ramp
+
+/**
+ * Computes slope from several DEM sources over the same zone.
+ * @param {ee.Geometry} zone - Coastal zone
+ * @param {Array<Object>} sources - Entries of demSources
+ * @return {ee.Image} One slope band (degrees) per source, named by its `value`
+ */
+function computeDemSlopes(zone, sources) {
+  return ee.Image.cat(sources.map(function(source) {
+    return ee.Terrain.slope(loadDEM(source, zone).clip(zone)).rename(source.value);
+  }));
+}
+
+/**
+ * Per-pixel spread of slope between DEM sources.
+ * @param {ee.Image} slopes - Output of computeDemSlopes
+ * @return {ee.Image} `spread` (standard deviation) and `range` (max - min)
+ *     bands, in degrees
+ */
+function computeSlopeSpread(slopes) {
+  var range = slopes.reduce(ee.Reducer.max()).subtract(slopes.reduce(ee.Reducer.min()));
+  return slopes.reduce(ee.Reducer.stdDev()).rename('spread')
+    .addBands(range.rename('range'));
+}
+
+/**
+ * Slope statistics of one DEM source over the zone, at its own resolution.
+ * @param {ee.Image} slopes - Output of computeDemSlopes
+ * @param {ee.Geometry} zone - Coastal zone
+ * @param {Object} source - Entry of demSources
+ * @return {ee.Dictionary} `slope_mean`, `slope_stdDev`, `slope_min` and
+ *     `slope_max` in degrees
+ */
+function getDemSlopeStats(slopes, zone, source) {
+  return slopes.select([source.value], ['slope']).reduceRegion({
+    reducer: ee.Reducer.mean().combine(ee.Reducer.stdDev(), null, true)
+                             .combine(ee.Reducer.minMax(), null, true),
+    geometry: zone,
+    scale: source.resolution,
+    maxPixels: 1e9,
+    bestEffort: true
+  });
+}
+
 // Export the functions for use in other modules
 exports.createSlopeAnalysisUI = createSlopeAnalysisUI;
 exports.getSlopeVulnerabilityCategory = getSlopeVulnerabilityCategory;